@@ -0,0 +1,209 @@
+/**
+ * Auth Service Module
+ * Manages client API keys and their scopes
+ * Keys are stored hashed in a local JSON file; the plain key is only shown once on creation
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('./config');
+const {
+    ValidationError,
+    NotFoundError,
+    UnauthorizedError,
+    ForbiddenError
+} = require('./movieService');
+
+// Auth Configuration
+const API_KEYS_FILE = config.apiKeysFile;
+const ADMIN_API_KEY = config.adminApiKey; // Bootstrap key with the admin scope
+const PUBLIC_READ = config.publicRead; // Allow read endpoints without a key
+const API_KEY_HEADER = 'x-api-key';
+
+// Known scopes; admin implies every other scope
+const SCOPES = ['read', 'posters:write', 'watchlists', 'admin'];
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Constant-time comparison of two keys
+const keysMatch = (a, b) => {
+    const hashA = Buffer.from(hashKey(a), 'hex');
+    const hashB = Buffer.from(hashKey(b), 'hex');
+    return crypto.timingSafeEqual(hashA, hashB);
+};
+
+// Parsed keys file, kept in memory so authenticating a request does not parse it again.
+// The file's modification time and size are checked on every read, so keys created or
+// revoked by another instance or by editing the file take effect on the next request
+let cachedKeys = null;
+let cachedVersion = null;
+
+// Identifies the current contents of the keys file, or null if it does not exist
+const getFileVersion = () => {
+    try {
+        const stats = fs.statSync(API_KEYS_FILE);
+        return `${stats.mtimeMs}:${stats.size}`;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        return null;
+    }
+};
+
+const readKeys = () => {
+    const version = getFileVersion();
+    if (cachedKeys && version === cachedVersion) {
+        return cachedKeys;
+    }
+    cachedKeys = version ? JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8')) : [];
+    cachedVersion = version;
+    return cachedKeys;
+};
+
+const writeKeys = (keys) => {
+    // Callers change the cached list in place, so it is re-read if the write fails
+    cachedKeys = null;
+    fs.mkdirSync(path.dirname(API_KEYS_FILE), { recursive: true });
+    fs.writeFileSync(API_KEYS_FILE, JSON.stringify(keys, null, 2));
+    cachedKeys = keys;
+    cachedVersion = getFileVersion();
+};
+
+// Public view of a stored key, without its hash
+const describeKey = ({ keyHash, ...key }) => key;
+
+/**
+ * Creates a new API key
+ * @param {Object} options - Key details
+ * @param {string} options.name - Name of the client the key belongs to
+ * @param {string[]} options.scopes - Scopes granted to the key
+ * @returns {Object} Key metadata including the plain key, which is not stored
+ * @throws {ValidationError} If the name or scopes are invalid
+ */
+const createKey = ({ name, scopes } = {}) => {
+    if (!name || typeof name !== 'string' || name.trim() === '') {
+        throw new ValidationError('You must supply a key name!');
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw new ValidationError('You must supply at least one scope!');
+    }
+
+    const unknownScopes = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+        throw new ValidationError(`Unknown scopes: ${unknownScopes.join(', ')}. Must be one of: ${SCOPES.join(', ')}`);
+    }
+
+    const key = `msk_${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+        id: crypto.randomBytes(6).toString('hex'),
+        name: name.trim(),
+        scopes: [...new Set(scopes)],
+        prefix: key.slice(0, 8),
+        keyHash: hashKey(key),
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+    };
+
+    const keys = readKeys();
+    keys.push(record);
+    writeKeys(keys);
+
+    return { ...describeKey(record), key };
+};
+
+/**
+ * Lists all API keys, including revoked ones
+ * @returns {Object[]} Key metadata without hashes
+ */
+const listKeys = () => readKeys().map(describeKey);
+
+/**
+ * Revokes an API key
+ * @param {string} id - ID of the key
+ * @returns {Object} Metadata of the revoked key
+ * @throws {NotFoundError} If no such key exists
+ */
+const revokeKey = (id) => {
+    const keys = readKeys();
+    const record = keys.find(item => item.id === id);
+    if (!record) {
+        throw new NotFoundError(`API key not found: ${id}`);
+    }
+
+    if (!record.revokedAt) {
+        record.revokedAt = new Date().toISOString();
+        writeKeys(keys);
+    }
+    return describeKey(record);
+};
+
+/**
+ * Finds the active key matching a plain API key
+ * @param {string} key - Plain API key sent by the client
+ * @returns {Object|null} Key metadata, or null if the key is unknown or revoked
+ */
+const findKey = (key) => {
+    if (ADMIN_API_KEY && keysMatch(key, ADMIN_API_KEY)) {
+        return { id: 'bootstrap-admin', name: 'admin', scopes: ['admin'] };
+    }
+
+    const keyHash = hashKey(key);
+    const record = readKeys().find(item => item.keyHash === keyHash && !item.revokedAt);
+    return record ? describeKey(record) : null;
+};
+
+/**
+ * Identifies the client from its API key header
+ * @param {http.IncomingMessage} req - The HTTP request
+ * @returns {Object|null} Metadata of the client's key, or null if no key was sent
+ * @throws {UnauthorizedError} If the key is unknown or revoked
+ */
+const authenticate = (req) => {
+    const key = req.headers[API_KEY_HEADER];
+    if (!key) {
+        return null;
+    }
+
+    const client = findKey(key);
+    if (!client) {
+        throw new UnauthorizedError('Invalid or revoked API key');
+    }
+    return client;
+};
+
+/**
+ * Checks that a client holds the scope an endpoint needs
+ * @param {Object|null} client - Result of authenticate
+ * @param {string} requiredScope - Scope declared by the route
+ * @throws {UnauthorizedError} If a key is required but none was sent
+ * @throws {ForbiddenError} If the key lacks the required scope
+ */
+const requireScope = (client, requiredScope) => {
+    // Public endpoints such as health checks need no key
+    if (requiredScope === 'public') {
+        return;
+    }
+
+    if (!client) {
+        if (requiredScope === 'read' && PUBLIC_READ) {
+            return;
+        }
+        throw new UnauthorizedError('An API key is required for this endpoint');
+    }
+
+    if (!client.scopes.includes(requiredScope) && !client.scopes.includes('admin')) {
+        throw new ForbiddenError(`API key is missing the required scope: ${requiredScope}`);
+    }
+};
+
+module.exports = {
+    SCOPES,
+    createKey,
+    listKeys,
+    revokeKey,
+    authenticate,
+    requireScope
+};
@@ -0,0 +1,432 @@
+#!/usr/bin/env node
+/**
+ * Fake Upstream Server
+ * Serves OMDB and Streaming Availability API responses for a small built-in
+ * catalog, plus generated poster images, so the API can run without keys or network
+ *
+ * Usage: node bin/fake-upstream.js [--port 4000]
+ * Then start the API with UPSTREAM_BASE_URL=http://localhost:4000
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const sharp = require('sharp');
+const { logger } = require('../logService');
+
+const DEFAULT_PORT = 4000;
+const POSTER_WIDTHS = { w240: 240, w360: 360, w480: 480, w600: 600, w720: 720 };
+
+// Streaming services referenced by the catalog
+const SERVICES = {
+    netflix: { id: 'netflix', name: 'Netflix', homePage: 'https://www.netflix.com/', themeColorCode: '#E50914' },
+    prime: { id: 'prime', name: 'Prime Video', homePage: 'https://www.amazon.com/video', themeColorCode: '#00A8E1' },
+    apple: { id: 'apple', name: 'Apple TV', homePage: 'https://tv.apple.com/', themeColorCode: '#000000' },
+    disney: { id: 'disney', name: 'Disney+', homePage: 'https://www.disneyplus.com/', themeColorCode: '#01147C' },
+    hbo: { id: 'hbo', name: 'Max', homePage: 'https://www.max.com/', themeColorCode: '#002BE7' }
+};
+
+/**
+ * Built-in catalog
+ * Streaming options are [serviceId, type, quality, price] per country
+ */
+const CATALOG = [
+    {
+        imdbId: 'tt1375666',
+        title: 'Inception',
+        type: 'movie',
+        year: 2010,
+        released: '16 Jul 2010',
+        runtime: 148,
+        rated: 'PG-13',
+        genres: ['Action', 'Adventure', 'Sci-Fi'],
+        directors: ['Christopher Nolan'],
+        writers: ['Christopher Nolan'],
+        actors: ['Leonardo DiCaprio', 'Joseph Gordon-Levitt', 'Elliot Page'],
+        plot: 'A thief who steals corporate secrets through dream-sharing technology is given the inverse task of planting an idea into the mind of a C.E.O.',
+        language: 'English, Japanese, French',
+        country: 'United States, United Kingdom',
+        awards: 'Won 4 Oscars. 159 wins & 220 nominations total',
+        imdbRating: '8.8',
+        imdbVotes: '2,600,000',
+        metascore: '74',
+        rottenTomatoes: '87%',
+        boxOffice: '$292,587,330',
+        rating: 86,
+        options: {
+            us: [['netflix', 'subscription', 'hd'], ['apple', 'rent', 'uhd', '3.99'], ['apple', 'buy', 'uhd', '14.99']],
+            gb: [['prime', 'subscription', 'hd'], ['apple', 'rent', 'hd', '3.49']]
+        }
+    },
+    {
+        imdbId: 'tt0816692',
+        title: 'Interstellar',
+        type: 'movie',
+        year: 2014,
+        released: '07 Nov 2014',
+        runtime: 169,
+        rated: 'PG-13',
+        genres: ['Adventure', 'Drama', 'Sci-Fi'],
+        directors: ['Christopher Nolan'],
+        writers: ['Jonathan Nolan', 'Christopher Nolan'],
+        actors: ['Matthew McConaughey', 'Anne Hathaway', 'Jessica Chastain'],
+        plot: 'When Earth becomes uninhabitable in the future, a farmer and ex-NASA pilot is tasked to pilot a spacecraft to find a new planet for humans.',
+        language: 'English',
+        country: 'United States, United Kingdom, Canada',
+        awards: 'Won 1 Oscar. 44 wins & 148 nominations total',
+        imdbRating: '8.7',
+        imdbVotes: '2,200,000',
+        metascore: '74',
+        rottenTomatoes: '73%',
+        boxOffice: '$188,020,017',
+        rating: 85,
+        options: {
+            us: [['prime', 'subscription', 'hd'], ['apple', 'rent', 'uhd', '3.99']],
+            de: [['netflix', 'subscription', 'uhd']]
+        }
+    },
+    {
+        imdbId: 'tt0111161',
+        title: 'The Shawshank Redemption',
+        type: 'movie',
+        year: 1994,
+        released: '14 Oct 1994',
+        runtime: 142,
+        rated: 'R',
+        genres: ['Drama'],
+        directors: ['Frank Darabont'],
+        writers: ['Stephen King', 'Frank Darabont'],
+        actors: ['Tim Robbins', 'Morgan Freeman', 'Bob Gunton'],
+        plot: 'A banker convicted of uxoricide forms a friendship over a quarter century with a hardened convict.',
+        language: 'English',
+        country: 'United States',
+        awards: 'Nominated for 7 Oscars. 21 wins & 42 nominations total',
+        imdbRating: '9.3',
+        imdbVotes: '2,900,000',
+        metascore: '82',
+        rottenTomatoes: '89%',
+        boxOffice: '$28,767,189',
+        rating: 91,
+        options: {
+            us: [['hbo', 'subscription', 'hd'], ['apple', 'buy', 'hd', '9.99']],
+            gb: [['netflix', 'subscription', 'hd']]
+        }
+    },
+    {
+        imdbId: 'tt0903747',
+        title: 'Breaking Bad',
+        type: 'series',
+        year: 2008,
+        endYear: 2013,
+        released: '20 Jan 2008',
+        runtime: 49,
+        rated: 'TV-MA',
+        genres: ['Crime', 'Drama', 'Thriller'],
+        directors: [],
+        writers: ['Vince Gilligan'],
+        actors: ['Bryan Cranston', 'Aaron Paul', 'Anna Gunn'],
+        plot: 'A chemistry teacher diagnosed with inoperable lung cancer turns to manufacturing and selling methamphetamine with a former student to secure his family\'s future.',
+        language: 'English, Spanish',
+        country: 'United States',
+        awards: 'Won 16 Primetime Emmys. 165 wins & 269 nominations total',
+        imdbRating: '9.5',
+        imdbVotes: '2,100,000',
+        metascore: null,
+        rottenTomatoes: null,
+        boxOffice: null,
+        rating: 93,
+        options: {
+            us: [['netflix', 'subscription', 'hd']],
+            gb: [['netflix', 'subscription', 'hd']]
+        },
+        seasons: [
+            { year: 2008, episodes: ['Pilot', 'Cat\'s in the Bag...', '...And the Bag\'s in the River'] },
+            { year: 2009, episodes: ['Seven Thirty-Seven', 'Grilled', 'Bit by a Dead Bee'] }
+        ]
+    }
+];
+
+const hashNumber = (value) => crypto.createHash('md5').update(value).digest().readUInt32BE(0);
+
+// OMDB writes missing values as "N/A"
+const orNA = (value) => (value === null || value === undefined || value === '' ? 'N/A' : value);
+
+const toOMDBTitle = (title, baseUrl) => {
+    const ratings = [{ Source: 'Internet Movie Database', Value: `${title.imdbRating}/10` }];
+    if (title.rottenTomatoes) {
+        ratings.push({ Source: 'Rotten Tomatoes', Value: title.rottenTomatoes });
+    }
+    if (title.metascore) {
+        ratings.push({ Source: 'Metacritic', Value: `${title.metascore}/100` });
+    }
+
+    const movie = {
+        Title: title.title,
+        Year: title.endYear ? `${title.year}–${title.endYear}` : String(title.year),
+        Rated: orNA(title.rated),
+        Released: orNA(title.released),
+        Runtime: `${title.runtime} min`,
+        Genre: title.genres.join(', '),
+        Director: orNA(title.directors.join(', ')),
+        Writer: orNA(title.writers.join(', ')),
+        Actors: title.actors.join(', '),
+        Plot: title.plot,
+        Language: title.language,
+        Country: title.country,
+        Awards: orNA(title.awards),
+        Poster: `${baseUrl}/images/${title.imdbId}/vertical/w480.jpg`,
+        Ratings: ratings,
+        Metascore: orNA(title.metascore),
+        imdbRating: title.imdbRating,
+        imdbVotes: title.imdbVotes,
+        imdbID: title.imdbId,
+        Type: title.type
+    };
+
+    if (title.type === 'series') {
+        movie.totalSeasons = String(title.seasons.length);
+    } else {
+        Object.assign(movie, { DVD: 'N/A', BoxOffice: orNA(title.boxOffice), Production: 'N/A', Website: 'N/A' });
+    }
+    movie.Response = 'True';
+    return movie;
+};
+
+const episodeId = (title, season, episode) => `tt9${String(hashNumber(`${title.imdbId}:${season}:${episode}`)).slice(0, 6)}`;
+
+const toOMDBEpisode = (title, season, episode, baseUrl) => ({
+    Title: title.seasons[season - 1].episodes[episode - 1],
+    Year: String(title.seasons[season - 1].year),
+    Rated: orNA(title.rated),
+    Released: 'N/A',
+    Season: String(season),
+    Episode: String(episode),
+    Runtime: `${title.runtime} min`,
+    Genre: title.genres.join(', '),
+    Writer: title.writers.join(', '),
+    Actors: title.actors.join(', '),
+    Plot: 'N/A',
+    Poster: `${baseUrl}/images/${title.imdbId}/vertical/w480.jpg`,
+    imdbRating: title.imdbRating,
+    imdbID: episodeId(title, season, episode),
+    seriesID: title.imdbId,
+    Type: 'episode',
+    Response: 'True'
+});
+
+const toOMDBSeason = (title, season) => ({
+    Title: title.title,
+    Season: String(season),
+    totalSeasons: String(title.seasons.length),
+    Episodes: title.seasons[season - 1].episodes.map((name, index) => ({
+        Title: name,
+        Released: 'N/A',
+        Episode: String(index + 1),
+        imdbRating: title.imdbRating,
+        imdbID: episodeId(title, season, index + 1)
+    })),
+    Response: 'True'
+});
+
+const toImageSet = (imdbId, baseUrl) => ({
+    verticalPoster: Object.keys(POSTER_WIDTHS).reduce((result, size) => {
+        result[size] = `${baseUrl}/images/${imdbId}/vertical/${size}.jpg`;
+        return result;
+    }, {}),
+    horizontalPoster: { w720: `${baseUrl}/images/${imdbId}/horizontal/w720.jpg` }
+});
+
+const toStreamingOption = ([serviceId, type, quality, price], title, country) => {
+    const option = {
+        service: SERVICES[serviceId],
+        type,
+        link: `${SERVICES[serviceId].homePage}title/${title.imdbId}?country=${country}`,
+        quality,
+        audios: [{ language: 'eng' }],
+        subtitles: [{ closedCaptions: true, locale: { language: 'eng' } }],
+        expiresSoon: false,
+        availableSince: 1700000000
+    };
+    if (price) {
+        option.price = { amount: price, currency: 'USD', formatted: `${price} USD` };
+    }
+    return option;
+};
+
+// Streaming options for one country, or every country when none is given
+const toStreamingOptions = (title, country) => {
+    const countries = country ? [country] : Object.keys(title.options);
+    return countries.reduce((result, code) => {
+        result[code] = (title.options[code] || []).map(option => toStreamingOption(option, title, code));
+        return result;
+    }, {});
+};
+
+const toStreamingShow = (title, { country, granularity }, baseUrl) => {
+    const show = {
+        itemType: 'show',
+        showType: title.type,
+        id: String(hashNumber(title.imdbId) % 100000),
+        imdbId: title.imdbId,
+        title: title.title,
+        overview: title.plot,
+        genres: title.genres.map(genre => ({ id: genre.toLowerCase().replace(/[^a-z]/g, ''), name: genre })),
+        cast: title.actors,
+        rating: title.rating,
+        imageSet: toImageSet(title.imdbId, baseUrl),
+        streamingOptions: toStreamingOptions(title, country)
+    };
+
+    if (title.type === 'movie') {
+        Object.assign(show, { releaseYear: title.year, directors: title.directors, runtime: title.runtime });
+    } else {
+        Object.assign(show, {
+            firstAirYear: title.year,
+            lastAirYear: title.endYear || title.year,
+            creators: title.writers,
+            seasonCount: title.seasons.length,
+            episodeCount: title.seasons.reduce((count, season) => count + season.episodes.length, 0)
+        });
+        if (granularity === 'season' || granularity === 'episode') {
+            show.seasons = title.seasons.map((season, index) => ({
+                itemType: 'season',
+                title: `Season ${index + 1}`,
+                firstAirYear: season.year,
+                lastAirYear: season.year,
+                streamingOptions: show.streamingOptions,
+                ...(granularity === 'episode' && {
+                    episodes: season.episodes.map(name => ({
+                        itemType: 'episode',
+                        title: name,
+                        airYear: season.year,
+                        streamingOptions: show.streamingOptions
+                    }))
+                })
+            }));
+        }
+    }
+    return show;
+};
+
+const findTitle = imdbId => CATALOG.find(title => title.imdbId === imdbId);
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+};
+
+// OMDB answers everything on / and reports most errors with a 200
+const handleOMDB = (res, query, baseUrl) => {
+    if (!query.get('apikey')) {
+        sendJson(res, 401, { Response: 'False', Error: 'No API key provided.' });
+        return;
+    }
+
+    const title = findTitle(query.get('i'));
+    if (!title) {
+        sendJson(res, 200, { Response: 'False', Error: 'Incorrect IMDb ID.' });
+        return;
+    }
+
+    const season = Number(query.get('Season'));
+    if (!query.get('Season')) {
+        sendJson(res, 200, toOMDBTitle(title, baseUrl));
+        return;
+    }
+    if (!title.seasons?.[season - 1]) {
+        sendJson(res, 200, { Response: 'False', Error: 'Series or season not found!' });
+        return;
+    }
+
+    const episode = Number(query.get('Episode'));
+    if (!query.get('Episode')) {
+        sendJson(res, 200, toOMDBSeason(title, season));
+    } else if (title.seasons[season - 1].episodes[episode - 1]) {
+        sendJson(res, 200, toOMDBEpisode(title, season, episode, baseUrl));
+    } else {
+        sendJson(res, 200, { Response: 'False', Error: 'Series or episode not found!' });
+    }
+};
+
+const handleStreaming = (req, res, pathname, query, baseUrl) => {
+    if (!req.headers['x-rapidapi-key']) {
+        sendJson(res, 401, { message: 'Invalid API key. Go to https://docs.rapidapi.com/docs/keys for more info.' });
+        return;
+    }
+
+    const country = query.get('country')?.toLowerCase();
+    if (pathname === '/shows/search/title') {
+        if (!query.get('title') || !country) {
+            sendJson(res, 400, { message: 'title and country are required' });
+            return;
+        }
+        const search = query.get('title').toLowerCase();
+        const showType = query.get('show_type');
+        const shows = CATALOG
+            .filter(title => title.title.toLowerCase().includes(search))
+            .filter(title => !showType || title.type === showType)
+            .map(title => toStreamingShow(title, { country }, baseUrl));
+        sendJson(res, 200, shows);
+        return;
+    }
+
+    const title = findTitle(pathname.slice('/shows/'.length));
+    if (!title) {
+        sendJson(res, 404, { message: 'show not found' });
+        return;
+    }
+    sendJson(res, 200, toStreamingShow(title, { country, granularity: query.get('series_granularity') }, baseUrl));
+};
+
+// Generated posters, one colour per title
+const posterCache = new Map();
+
+const handleImage = async (res, pathname) => {
+    const match = pathname.match(/^\/images\/(tt\d+)\/(vertical|horizontal)\/(w\d+)\.jpg$/);
+    const width = match && POSTER_WIDTHS[match[3]];
+    if (!width || !findTitle(match[1])) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+        return;
+    }
+
+    if (!posterCache.has(pathname)) {
+        const hue = hashNumber(match[1]) % 360;
+        const height = match[2] === 'vertical' ? Math.round(width * 1.5) : Math.round(width * 0.5625);
+        posterCache.set(pathname, await sharp({
+            create: { width, height, channels: 3, background: `hsl(${hue}, 60%, 45%)` }
+        }).jpeg().toBuffer());
+    }
+    res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+    res.end(posterCache.get(pathname));
+};
+
+const server = http.createServer(async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const baseUrl = `http://${req.headers.host}`;
+    logger.info('Fake upstream request', { method: req.method, url: req.url });
+
+    try {
+        if (pathname === '/') {
+            handleOMDB(res, searchParams, baseUrl);
+        } else if (pathname.startsWith('/shows/')) {
+            handleStreaming(req, res, pathname, searchParams, baseUrl);
+        } else if (pathname.startsWith('/images/')) {
+            await handleImage(res, pathname);
+        } else {
+            sendJson(res, 404, { message: 'Endpoint not found' });
+        }
+    } catch (error) {
+        logger.error('Fake upstream request failed', { error });
+        sendJson(res, 500, { message: error.message });
+    }
+});
+
+const { values } = parseArgs({ options: { port: { type: 'string', short: 'p' } } });
+const port = Number(values.port || process.env.FAKE_UPSTREAM_PORT || DEFAULT_PORT);
+
+['SIGTERM', 'SIGINT'].forEach(signal => process.on(signal, () => server.close(() => process.exit(0))));
+
+server.listen(port, () => {
+    logger.info(`Fake upstream running at http://localhost:${port}/`, { titles: CATALOG.length });
+});
@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+/**
+ * Movie API Command-Line Interface
+ * Looks up titles and manages posters without running the HTTP server
+ * Built directly on the service modules, so results match the API's
+ *
+ * Exit codes: 0 success, 1 unexpected error, 2 invalid usage or input,
+ * 3 not found, 4 upstream API error
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+// Only errors are logged by default
+if (!process.env.LOG_LEVEL) {
+    process.env.LOG_LEVEL = process.argv.includes('--verbose') ? 'debug' : 'error';
+}
+
+const {
+    searchMovieByTitle,
+    getMovieDataById,
+    validateCountry,
+    ValidationError,
+    NotFoundError,
+    isHttpError
+} = require('../movieService');
+const {
+    getLocalPoster,
+    getFetchedPoster,
+    getPoster,
+    savePoster,
+    verifyPosterTitle
+} = require('../posterService');
+const { presentMovie } = require('../movieSchema');
+const { titleIndex } = require('../titleIndexService');
+const { POSTER_SIZES } = require('../imageService');
+const { configErrors } = require('../config');
+const { setLogOutput } = require('../logService');
+
+// Keep stdout for command output
+setLogOutput(process.stderr);
+
+const EXIT_CODES = {
+    ok: 0,
+    error: 1,
+    usage: 2,
+    notFound: 3,
+    upstream: 4
+};
+
+const MIME_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp'
+};
+
+const USAGE = `Usage: movie-api <command> [options]
+
+Commands:
+  search <title>                 Search for movies and series by title
+  data <imdbId>                  Show details and streaming availability of a title
+  poster get <imdbId> [-o file]  Save a title's poster (default <imdbId>.<ext>, - for stdout)
+  poster add <imdbId> <file>     Upload a JPEG, PNG or WebP poster
+
+Options:
+  -c, --country <code>   Country for streaming availability (default us)
+      --json             Print JSON instead of a table
+  -o, --output <file>    Where poster get writes the image
+      --size <size>      Poster width: w240, w480 or w720
+      --uploader <name>  Name recorded in the poster's history (default cli)
+      --show-type <type> Search for movie (default), series or all
+      --year-from <year>, --year-to <year>, --genre <ids>, --service <ids>
+      --sort <order>     relevance (default), year or rating
+      --source <source>  Search the local title index, upstream, or auto (default)
+      --page <n>, --limit <n>
+      --verbose          Log debug output to stderr
+  -h, --help             Show this help`;
+
+const OPTIONS = {
+    country: { type: 'string', short: 'c' },
+    json: { type: 'boolean' },
+    output: { type: 'string', short: 'o' },
+    size: { type: 'string' },
+    uploader: { type: 'string', default: 'cli' },
+    'show-type': { type: 'string' },
+    'year-from': { type: 'string' },
+    'year-to': { type: 'string' },
+    genre: { type: 'string' },
+    service: { type: 'string' },
+    sort: { type: 'string' },
+    source: { type: 'string' },
+    page: { type: 'string' },
+    limit: { type: 'string' },
+    verbose: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Formats rows as a plain-text table with a header line
+ * @param {string[]} columns - Column headings
+ * @param {Array[]} rows - Cell values in column order
+ * @returns {string} Table text
+ */
+const formatTable = (columns, rows) => {
+    const cells = [columns, ...rows].map(row => row.map(cell => (cell === null || cell === undefined ? '-' : String(cell))));
+    const widths = columns.map((column, index) => Math.max(...cells.map(row => row[index].length)));
+    const formatRow = row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+    return [
+        formatRow(cells[0]),
+        widths.map(width => '-'.repeat(width)).join('  '),
+        ...cells.slice(1).map(formatRow)
+    ].join('\n');
+};
+
+// Streaming services a normalized movie is available on in a country
+const getServices = (movie, country) => movie.streaming.options[country] || [];
+
+const describePrice = price => (price ? `${price.amount} ${price.currency}` : null);
+
+const printJson = (value) => {
+    process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+};
+
+const printSearch = (data, country) => {
+    const rows = data.results.map(movie => [
+        movie.imdbId,
+        movie.title,
+        movie.year,
+        movie.ratings.imdb,
+        getServices(movie, country).map(({ service }) => service.name).join(', ') || null
+    ]);
+    process.stdout.write(`${formatTable(['IMDb ID', 'Title', 'Year', 'IMDb', 'Services'], rows)}\n`);
+    process.stdout.write(`\nPage ${data.page} of ${data.totalPages}, ${data.total} results\n`);
+};
+
+const printMovie = (movie, country) => {
+    const details = [
+        ['Title', movie.title],
+        ['IMDb ID', movie.imdbId],
+        ['Type', movie.type],
+        ['Year', movie.endYear ? `${movie.year}-${movie.endYear}` : movie.year],
+        ['Released', movie.releaseDate],
+        ['Runtime', movie.runtimeMinutes === null ? null : `${movie.runtimeMinutes} min`],
+        ['Genres', movie.genres.join(', ')],
+        ['Directors', movie.directors.join(', ')],
+        ['Actors', movie.actors.join(', ')],
+        ['IMDb', movie.ratings.imdb],
+        ['Rotten Tomatoes', movie.ratings.rottenTomatoes],
+        ['Metacritic', movie.ratings.metacritic]
+    ];
+    const labelWidth = Math.max(...details.map(([label]) => label.length));
+    details.forEach(([label, value]) => {
+        process.stdout.write(`${label.padEnd(labelWidth)}  ${value === null || value === '' ? '-' : value}\n`);
+    });
+
+    const offers = getServices(movie, country).flatMap(({ service, offers: serviceOffers }) =>
+        serviceOffers.map(offer => [service.name, offer.type, offer.quality, describePrice(offer.price), offer.link])
+    );
+    process.stdout.write(`\nStreaming in ${country.toUpperCase()}:\n`);
+    process.stdout.write(offers.length > 0
+        ? `${formatTable(['Service', 'Type', 'Quality', 'Price', 'Link'], offers)}\n`
+        : 'Not available\n');
+};
+
+// Search options named as the API's query parameters
+const toSearchOptions = (values) => ({
+    country: values.country,
+    showType: values['show-type'],
+    yearFrom: values['year-from'],
+    yearTo: values['year-to'],
+    genre: values.genre,
+    service: values.service,
+    sort: values.sort,
+    source: values.source,
+    page: values.page,
+    limit: values.limit
+});
+
+// Upstream calls need valid API keys; local work such as reading stored posters does not
+const requireUpstreamConfig = () => {
+    if (configErrors.length > 0) {
+        throw new Error(`Invalid configuration:\n${configErrors.map(error => `  ${error}`).join('\n')}`);
+    }
+};
+
+const commands = {
+    search: async ([title], values) => {
+        requireUpstreamConfig();
+        if (!title) {
+            throw new ValidationError('You must supply a title!');
+        }
+        const data = await searchMovieByTitle(title, toSearchOptions(values));
+        const country = validateCountry(values.country);
+        const result = { ...data, results: data.results.map(movie => presentMovie(movie, { version: 2, country })) };
+        if (values.json) {
+            printJson(result);
+        } else {
+            printSearch(result, country);
+        }
+    },
+
+    data: async ([imdbId], values) => {
+        requireUpstreamConfig();
+        const data = await getMovieDataById(imdbId, values.country);
+        const country = validateCountry(values.country);
+        const movie = presentMovie(data, { version: 2, country });
+        if (values.json) {
+            printJson(movie);
+        } else {
+            printMovie(movie, country);
+        }
+    },
+
+    poster: async ([action, imdbId, file], values) => {
+        if (action === 'get') {
+            if (values.size && !POSTER_SIZES[values.size]) {
+                throw new ValidationError(`size must be one of: ${Object.keys(POSTER_SIZES).join(', ')}`);
+            }
+            // Only a poster that is neither uploaded nor cached is fetched from upstream
+            if (!(await getLocalPoster(imdbId, values.size || null)) && !getFetchedPoster(imdbId, values.size || null)) {
+                requireUpstreamConfig();
+            }
+            const { source, data, mimeType } = await getPoster(imdbId, values.size || null);
+            const output = values.output || `${imdbId}.${MIME_EXTENSIONS[mimeType] || 'img'}`;
+            if (output === '-') {
+                process.stdout.write(data);
+                return;
+            }
+
+            fs.writeFileSync(output, data);
+            const result = { imdbId, file: path.resolve(output), bytes: data.length, mimeType, source };
+            if (values.json) {
+                printJson(result);
+            } else {
+                process.stdout.write(`Saved ${source} poster of ${imdbId} to ${output} (${data.length} bytes, ${mimeType})\n`);
+            }
+            return;
+        }
+
+        if (action === 'add') {
+            if (!file) {
+                throw new ValidationError('You must supply a poster file!');
+            }
+            let data;
+            try {
+                data = fs.readFileSync(file);
+            } catch (error) {
+                throw new ValidationError(`Cannot read ${file}: ${error.message}`);
+            }
+
+            // Same check as the upload endpoints, so posters are only stored for known titles
+            requireUpstreamConfig();
+            await verifyPosterTitle(imdbId);
+            const version = savePoster(imdbId, data, { uploader: values.uploader });
+            if (values.json) {
+                printJson({ imdbId, version });
+            } else {
+                process.stdout.write(`Stored poster version ${version.version} of ${imdbId} (${version.size} bytes)\n`);
+            }
+            return;
+        }
+
+        throw new ValidationError('Usage: movie-api poster get <imdbId> [-o file] | poster add <imdbId> <file>');
+    }
+};
+
+/**
+ * Maps an error to the process exit code
+ * @param {Error} error - Error that ended the command
+ * @returns {number} Exit code
+ */
+const getExitCode = (error) => {
+    if (error instanceof ValidationError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+        return EXIT_CODES.usage;
+    }
+    if (error instanceof NotFoundError) {
+        return EXIT_CODES.notFound;
+    }
+    // APIError and the other upstream errors
+    if (isHttpError(error)) {
+        return EXIT_CODES.upstream;
+    }
+    return EXIT_CODES.error;
+};
+
+const main = async (argv) => {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [commandName, ...args] = positionals;
+
+    if (values.help || !commandName) {
+        process.stdout.write(`${USAGE}\n`);
+        return values.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+    }
+
+    const command = commands[commandName];
+    if (!command) {
+        process.stderr.write(`Unknown command: ${commandName}\n\n${USAGE}\n`);
+        return EXIT_CODES.usage;
+    }
+
+    await command(args, values);
+    return EXIT_CODES.ok;
+};
+
+main(process.argv.slice(2))
+    .then((exitCode) => {
+        process.exitCode = exitCode;
+    })
+    .catch((error) => {
+        process.stderr.write(`Error: ${error.message}\n`);
+        process.exitCode = getExitCode(error);
+    })
+    // Keep the titles looked up by this run in the local index
+    .finally(() => titleIndex.save());
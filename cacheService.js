@@ -0,0 +1,292 @@
+/**
+ * Cache Service Module
+ * Caches upstream API responses with per-source TTLs
+ * Backed by a bounded in-memory LRU and an optional on-disk store
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('./config');
+const { logger } = require('./logService');
+
+// Cache Configuration
+const CACHE_MAX_ENTRIES = config.cacheMaxEntries;
+const CACHE_DIR = config.cacheDir;
+const CACHE_DISK_MAX_ENTRIES = config.cacheDiskMaxEntries;
+
+/**
+ * Freshness policy for each upstream source
+ * ttl: how long an entry is served as fresh
+ * staleTtl: how long after expiry an entry may still be served while it is refreshed
+ */
+const CACHE_TTLS = {
+    omdb: { ttl: config.omdbCacheTtl, staleTtl: config.omdbCacheStaleTtl },
+    streaming: { ttl: config.streamingCacheTtl, staleTtl: config.streamingCacheStaleTtl },
+    search: { ttl: config.searchCacheTtl, staleTtl: config.searchCacheStaleTtl }
+};
+
+/**
+ * Bounded in-memory store with least-recently-used eviction
+ * Relies on Map preserving insertion order
+ */
+class LRUCache {
+    constructor(maxEntries = CACHE_MAX_ENTRIES) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        if (!this.entries.has(key)) {
+            return undefined;
+        }
+        // Re-insert to mark the entry as most recently used
+        const entry = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+/**
+ * On-disk store so cached responses survive restarts
+ * Each entry is written as a JSON file named after a hash of its key
+ * The store is bounded: once it holds maxEntries files, the least recently written
+ * ones are removed. Entries past their stale window are removed when they are read
+ * and when the store is opened
+ */
+class DiskStore {
+    constructor(dir, { maxEntries = CACHE_DISK_MAX_ENTRIES } = {}) {
+        this.dir = dir;
+        this.maxEntries = maxEntries;
+        // File names in the order they were written, oldest first
+        this.files = new Set();
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        this.sweep();
+    }
+
+    fileName(key) {
+        return `${crypto.createHash('sha1').update(key).digest('hex')}.json`;
+    }
+
+    filePath(key) {
+        return path.join(this.dir, this.fileName(key));
+    }
+
+    /**
+     * Indexes the files already on disk, removing expired and unreadable ones,
+     * then trims the store to its maximum size
+     */
+    sweep() {
+        const now = Date.now();
+        const kept = [];
+        let removed = 0;
+
+        fs.readdirSync(this.dir).filter(name => name.endsWith('.json')).forEach((name) => {
+            try {
+                const entry = JSON.parse(fs.readFileSync(path.join(this.dir, name), 'utf8'));
+                if (now < entry.staleUntil) {
+                    kept.push({ name, storedAt: entry.storedAt || 0 });
+                    return;
+                }
+            } catch (error) {
+                // Unreadable entries are removed like expired ones
+            }
+            this.removeFile(name);
+            removed++;
+        });
+
+        kept.sort((a, b) => a.storedAt - b.storedAt).forEach(({ name }) => this.files.add(name));
+        this.evict();
+        if (removed > 0) {
+            logger.debug('Removed expired disk cache entries', { dir: this.dir, removed, kept: this.files.size });
+        }
+    }
+
+    // Removes the least recently written files until the store fits its maximum size
+    evict() {
+        while (this.files.size > this.maxEntries) {
+            this.removeFile(this.files.values().next().value);
+        }
+    }
+
+    removeFile(name) {
+        this.files.delete(name);
+        try {
+            fs.unlinkSync(path.join(this.dir, name));
+        } catch (error) {
+            // Already removed
+        }
+    }
+
+    get(key) {
+        let entry;
+        try {
+            entry = JSON.parse(fs.readFileSync(this.filePath(key), 'utf8'));
+        } catch (error) {
+            return undefined;
+        }
+        if (entry.key !== key) {
+            return undefined;
+        }
+        if (Date.now() >= entry.staleUntil) {
+            this.removeFile(this.fileName(key));
+            return undefined;
+        }
+        return entry;
+    }
+
+    set(key, entry) {
+        const name = this.fileName(key);
+        try {
+            fs.writeFileSync(path.join(this.dir, name), JSON.stringify({ key, ...entry }));
+        } catch (error) {
+            logger.error('Failed to persist cache entry', { key, error });
+            return;
+        }
+        // Re-insert to mark the file as most recently written
+        this.files.delete(name);
+        this.files.add(name);
+        this.evict();
+    }
+
+    delete(key) {
+        this.removeFile(this.fileName(key));
+    }
+
+    get size() {
+        return this.files.size;
+    }
+}
+
+/**
+ * Response cache combining the LRU and disk stores
+ * Supports stale-while-revalidate and coalesces concurrent identical fetches
+ */
+class ResponseCache {
+    constructor({ maxEntries = CACHE_MAX_ENTRIES, dir = CACHE_DIR, diskMaxEntries = CACHE_DISK_MAX_ENTRIES } = {}) {
+        this.memory = new LRUCache(maxEntries);
+        this.disk = dir ? new DiskStore(dir, { maxEntries: diskMaxEntries }) : null;
+        this.inFlight = new Map();
+        this.stats = { hits: 0, staleHits: 0, misses: 0 };
+    }
+
+    lookup(key) {
+        let entry = this.memory.get(key);
+        if (!entry && this.disk) {
+            entry = this.disk.get(key);
+            if (entry) {
+                this.memory.set(key, entry);
+            }
+        }
+        return entry;
+    }
+
+    store(key, value, policy) {
+        const now = Date.now();
+        const entry = {
+            value,
+            storedAt: now,
+            expiresAt: now + policy.ttl,
+            staleUntil: now + policy.ttl + (policy.staleTtl || 0)
+        };
+        this.memory.set(key, entry);
+        if (this.disk) {
+            this.disk.set(key, entry);
+        }
+    }
+
+    /**
+     * Runs the fetcher once per key, sharing the pending promise with concurrent callers
+     * Only successful results are stored; errors are never cached
+     */
+    fetch(key, policy, fetcher) {
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key);
+        }
+
+        const pending = Promise.resolve()
+            .then(fetcher)
+            .then((value) => {
+                this.store(key, value, policy);
+                return value;
+            })
+            .finally(() => {
+                this.inFlight.delete(key);
+            });
+
+        this.inFlight.set(key, pending);
+        return pending;
+    }
+
+    /**
+     * Returns a cached value or fetches it through the supplied function
+     * @param {string} key - Cache key identifying the upstream request
+     * @param {Object} policy - Freshness policy ({ ttl, staleTtl } in milliseconds)
+     * @param {Function} fetcher - Async function producing the value on a miss
+     * @returns {Promise<*>} Cached or freshly fetched value
+     */
+    async wrap(key, policy, fetcher) {
+        const entry = this.lookup(key);
+        const now = Date.now();
+
+        if (entry && now < entry.expiresAt) {
+            this.stats.hits++;
+            return entry.value;
+        }
+
+        if (entry && now < entry.staleUntil) {
+            this.stats.staleHits++;
+            // Serve the stale value and refresh it in the background
+            this.fetch(key, policy, fetcher).catch((error) => {
+                logger.warn('Background refresh failed', { key, error });
+            });
+            return entry.value;
+        }
+
+        this.stats.misses++;
+        return this.fetch(key, policy, fetcher);
+    }
+
+    invalidate(key) {
+        this.memory.delete(key);
+        if (this.disk) {
+            this.disk.delete(key);
+        }
+    }
+}
+
+// Shared cache instance used by the movie service
+const responseCache = new ResponseCache();
+
+module.exports = {
+    LRUCache,
+    DiskStore,
+    ResponseCache,
+    responseCache,
+    CACHE_TTLS
+};
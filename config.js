@@ -0,0 +1,200 @@
+/**
+ * Config Module
+ * Reads and validates every environment setting in one place
+ * Problems are collected rather than thrown, so the server can report all of them
+ * at once and refuse to start; other modules read their settings from here
+ */
+
+const path = require('path');
+require('dotenv').config();
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const UPSTREAM_MODES = ['live', 'record', 'replay'];
+const SEARCH_SOURCES = ['auto', 'index', 'upstream'];
+
+// Replay mode serves recorded responses, so the upstream API keys are not needed
+const requiredUnlessReplaying = (env) => env.UPSTREAM_MODE?.trim() !== 'replay';
+
+/**
+ * Setting definitions keyed by config name
+ * type: string, integer, number, boolean, list, path, url or seconds (converted to milliseconds)
+ * required settings have no default and must be set in the environment; required may
+ * also be a function of the environment for settings that are only sometimes needed
+ */
+const SETTINGS = {
+    // Upstream APIs
+    omdbApiKey: { env: 'OMDB_API_KEY', type: 'string', required: requiredUnlessReplaying },
+    streamingApiKey: { env: 'STREAMING_API_KEY', type: 'string', required: requiredUnlessReplaying },
+    streamingApiHost: { env: 'STREAMING_API_HOST', type: 'string', default: 'streaming-availability.p.rapidapi.com' },
+    upstreamMode: { env: 'UPSTREAM_MODE', type: 'string', default: 'live', values: UPSTREAM_MODES },
+    upstreamBaseUrl: { env: 'UPSTREAM_BASE_URL', type: 'url', default: null }, // e.g. the fake upstream server
+    fixturesDir: { env: 'FIXTURES_DIR', type: 'path', default: path.join(__dirname, 'fixtures') },
+
+    // Server
+    port: { env: 'PORT', type: 'integer', default: 3000, min: 0, max: 65535 },
+    corsOrigins: { env: 'CORS_ORIGINS', type: 'list', default: ['*'] },
+    trustProxy: { env: 'TRUST_PROXY', type: 'boolean', default: false },
+    logLevel: { env: 'LOG_LEVEL', type: 'string', default: 'info', values: LOG_LEVELS },
+    shutdownTimeout: { env: 'SHUTDOWN_TIMEOUT', type: 'seconds', default: 10, min: 1 },
+
+    // Response cache
+    cacheMaxEntries: { env: 'CACHE_MAX_ENTRIES', type: 'integer', default: 500, min: 1 },
+    cacheDir: { env: 'CACHE_DIR', type: 'path', default: null },
+    cacheDiskMaxEntries: { env: 'CACHE_DISK_MAX_ENTRIES', type: 'integer', default: 5000, min: 1 },
+    omdbCacheTtl: { env: 'OMDB_CACHE_TTL', type: 'seconds', default: 24 * 60 * 60, min: 0 },
+    omdbCacheStaleTtl: { env: 'OMDB_CACHE_STALE_TTL', type: 'seconds', default: 7 * 24 * 60 * 60, min: 0 },
+    streamingCacheTtl: { env: 'STREAMING_CACHE_TTL', type: 'seconds', default: 6 * 60 * 60, min: 0 },
+    streamingCacheStaleTtl: { env: 'STREAMING_CACHE_STALE_TTL', type: 'seconds', default: 24 * 60 * 60, min: 0 },
+    searchCacheTtl: { env: 'SEARCH_CACHE_TTL', type: 'seconds', default: 60 * 60, min: 0 },
+    searchCacheStaleTtl: { env: 'SEARCH_CACHE_STALE_TTL', type: 'seconds', default: 6 * 60 * 60, min: 0 },
+
+    // Local title index
+    titleIndexFile: { env: 'TITLE_INDEX_FILE', type: 'path', default: path.join(__dirname, 'data', 'titleIndex.json') },
+    titleIndexMaxEntries: { env: 'TITLE_INDEX_MAX_ENTRIES', type: 'integer', default: 50000, min: 1 },
+    searchSource: { env: 'SEARCH_SOURCE', type: 'string', default: 'auto', values: SEARCH_SOURCES },
+
+    // Batch lookups
+    batchMaxIds: { env: 'BATCH_MAX_IDS', type: 'integer', default: 50, min: 1 },
+    batchConcurrency: { env: 'BATCH_CONCURRENCY', type: 'integer', default: 5, min: 1 },
+
+    // Posters
+    maxUploadBytes: { env: 'MAX_UPLOAD_BYTES', type: 'integer', default: 5 * 1024 * 1024, min: 1 },
+    posterCacheDir: { env: 'POSTER_CACHE_DIR', type: 'path', default: path.join(__dirname, 'cache', 'posters') },
+    posterCacheTtl: { env: 'POSTER_CACHE_TTL', type: 'seconds', default: 7 * 24 * 60 * 60, min: 0 },
+
+    // Client API keys
+    apiKeysFile: { env: 'API_KEYS_FILE', type: 'path', default: path.join(__dirname, 'data', 'apiKeys.json') },
+    adminApiKey: { env: 'ADMIN_API_KEY', type: 'string', default: null },
+    publicRead: { env: 'PUBLIC_READ', type: 'boolean', default: true },
+
+    // Watchlists and availability tracking
+    watchlistsFile: { env: 'WATCHLISTS_FILE', type: 'path', default: path.join(__dirname, 'data', 'watchlists.json') },
+    availabilityHistoryDir: { env: 'AVAILABILITY_HISTORY_DIR', type: 'path', default: path.join(__dirname, 'data', 'availability') },
+    availabilityHistoryLimit: { env: 'AVAILABILITY_HISTORY_LIMIT', type: 'integer', default: 100, min: 1 },
+    watchlistCheckInterval: { env: 'WATCHLIST_CHECK_INTERVAL', type: 'seconds', default: 6 * 60 * 60, min: 0 }, // 0 disables
+    webhookTimeout: { env: 'WEBHOOK_TIMEOUT', type: 'seconds', default: 10, min: 1 },
+    webhookRetries: { env: 'WEBHOOK_RETRIES', type: 'integer', default: 2, min: 0, max: 10 },
+    webhookAllowedPrivateHosts: { env: 'WEBHOOK_ALLOWED_PRIVATE_HOSTS', type: 'list', default: [] }, // e.g. a local test receiver
+
+    // Rate limiting and upstream budgets
+    rateLimitCapacity: { env: 'RATE_LIMIT_CAPACITY', type: 'integer', default: 60, min: 1 },
+    rateLimitRefillPerSecond: { env: 'RATE_LIMIT_REFILL_PER_SECOND', type: 'number', default: 1, min: 0.001 },
+    authFailureCapacity: { env: 'AUTH_FAILURE_CAPACITY', type: 'integer', default: 10, min: 1 },
+    authFailureRefillPerSecond: { env: 'AUTH_FAILURE_REFILL_PER_SECOND', type: 'number', default: 1 / 60, min: 0.0001 },
+    streamingApiBudget: { env: 'STREAMING_API_BUDGET', type: 'integer', default: 0, min: 0 },
+    omdbApiBudget: { env: 'OMDB_API_BUDGET', type: 'integer', default: 0, min: 0 },
+    upstreamBudgetPeriod: { env: 'UPSTREAM_BUDGET_PERIOD', type: 'seconds', default: 24 * 60 * 60, min: 1 },
+    upstreamBudgetReserve: { env: 'UPSTREAM_BUDGET_RESERVE', type: 'number', default: 0.1, min: 0, max: 1 },
+
+    // Upstream retries and circuit breakers
+    upstreamRetries: { env: 'UPSTREAM_RETRIES', type: 'integer', default: 2, min: 0, max: 10 },
+    upstreamRetryBaseDelay: { env: 'UPSTREAM_RETRY_BASE_DELAY', type: 'integer', default: 200, min: 1 },
+    circuitFailureThreshold: { env: 'CIRCUIT_FAILURE_THRESHOLD', type: 'integer', default: 5, min: 1 },
+    circuitCooldown: { env: 'CIRCUIT_COOLDOWN', type: 'seconds', default: 30, min: 1 }
+};
+
+/**
+ * Parses one raw environment value according to its definition
+ * @param {string} raw - Value from the environment
+ * @param {Object} setting - Setting definition
+ * @returns {*} Parsed value
+ * @throws {Error} With a description of the problem if the value is invalid
+ */
+const parseSetting = (raw, setting) => {
+    const value = raw.trim();
+
+    // Values copied from SAMPLE.env without being filled in
+    if (/^\{.*\}$/.test(value)) {
+        throw new Error('still contains the placeholder from SAMPLE.env');
+    }
+
+    switch (setting.type) {
+        case 'integer':
+        case 'number':
+        case 'seconds': {
+            const number = Number(value);
+            const integer = setting.type !== 'number';
+            if (value === '' || Number.isNaN(number) || (integer && !Number.isInteger(number))) {
+                throw new Error(`must be ${integer ? 'an integer' : 'a number'}, got "${value}"`);
+            }
+            if (setting.min !== undefined && number < setting.min) {
+                throw new Error(`must be at least ${setting.min}, got ${number}`);
+            }
+            if (setting.max !== undefined && number > setting.max) {
+                throw new Error(`must be at most ${setting.max}, got ${number}`);
+            }
+            return setting.type === 'seconds' ? number * 1000 : number;
+        }
+        case 'boolean':
+            if (value !== 'true' && value !== 'false') {
+                throw new Error(`must be true or false, got "${value}"`);
+            }
+            return value === 'true';
+        case 'list':
+            return value.split(',').map(item => item.trim()).filter(item => item !== '');
+        case 'path':
+            return path.resolve(value);
+        case 'url': {
+            let url;
+            try {
+                url = new URL(value);
+            } catch (error) {
+                throw new Error(`must be a URL, got "${value}"`);
+            }
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                throw new Error(`must be an http or https URL, got "${value}"`);
+            }
+            return url.origin;
+        }
+        default:
+            if (setting.values && !setting.values.includes(value)) {
+                throw new Error(`must be one of: ${setting.values.join(', ')}, got "${value}"`);
+            }
+            return value;
+    }
+};
+
+/**
+ * Builds the config from an environment
+ * Unset or empty settings take their default; invalid ones are reported and also
+ * fall back to their default so that modules can still load
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} The config and a list of problems
+ */
+const loadConfig = (env = process.env) => {
+    const config = {};
+    const errors = [];
+
+    Object.entries(SETTINGS).forEach(([name, setting]) => {
+        const raw = env[setting.env];
+        const fallback = setting.type === 'seconds' && setting.default !== null
+            ? setting.default * 1000
+            : setting.default;
+
+        if (raw === undefined || raw.trim() === '') {
+            const required = typeof setting.required === 'function' ? setting.required(env) : setting.required;
+            if (required) {
+                errors.push(`${setting.env} is required`);
+            }
+            config[name] = fallback;
+            return;
+        }
+
+        try {
+            config[name] = parseSetting(raw, setting);
+        } catch (error) {
+            errors.push(`${setting.env} ${error.message}`);
+            config[name] = fallback;
+        }
+    });
+
+    return { config: Object.freeze(config), errors };
+};
+
+const { config, errors: configErrors } = loadConfig();
+
+module.exports = {
+    config,
+    configErrors,
+    loadConfig
+};
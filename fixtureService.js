@@ -0,0 +1,126 @@
+/**
+ * Fixture Service Module
+ * Records upstream responses to a fixtures directory and replays them,
+ * so the server can run without network access or API keys
+ * Each fixture is a JSON file under <FIXTURES_DIR>/<host>/ holding the request
+ * and the response; API keys are stripped before anything is written
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('./config');
+const { logger } = require('./logService');
+
+// Fixture Configuration
+const UPSTREAM_MODE = config.upstreamMode; // live, record or replay
+const FIXTURES_DIR = config.fixturesDir;
+
+// Query parameters holding API keys, removed from recorded URLs
+const KEY_PARAM_PATTERN = /^api[-_]?key$/i;
+// Response headers worth keeping; the rest vary between calls
+const RECORDED_HEADERS = ['content-type', 'retry-after'];
+
+/**
+ * Removes API keys from an upstream URL
+ * @param {string} url - Absolute upstream URL
+ * @returns {string} URL without key parameters
+ */
+const stripKeys = (url) => {
+    const parsed = new URL(url);
+    [...parsed.searchParams.keys()]
+        .filter(name => KEY_PARAM_PATTERN.test(name))
+        .forEach(name => parsed.searchParams.delete(name));
+    return parsed.toString();
+};
+
+/**
+ * Path of the fixture for a request
+ * Named after the request path for readability, with a hash of the whole
+ * request so that different query strings get different files
+ * @param {string} method - HTTP method
+ * @param {string} url - Upstream URL without keys
+ * @returns {string} Fixture file path
+ */
+const getFixturePath = (method, url) => {
+    const parsed = new URL(url);
+    const slug = `${parsed.pathname}${parsed.search}`
+        .replace(/[^\w.-]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 80) || 'root';
+    const hash = crypto.createHash('sha256').update(`${method} ${url}`).digest('hex').slice(0, 12);
+    return path.join(FIXTURES_DIR, parsed.host.replace(/[^\w.-]/g, '_'), `${slug}-${hash}.json`);
+};
+
+/**
+ * Reads the recorded response for a request
+ * @param {string} method - HTTP method
+ * @param {string} url - Absolute upstream URL, keys may be included
+ * @returns {Object|null} Status code, headers and body as a Buffer, or null if nothing was recorded
+ */
+const loadFixture = (method, url) => {
+    const fixturePath = getFixturePath(method, stripKeys(url));
+    let fixture;
+    try {
+        fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+
+    const { status, headers, body, bodyBase64 } = fixture.response;
+    return {
+        statusCode: status,
+        headers,
+        body: bodyBase64 !== undefined ? Buffer.from(bodyBase64, 'base64') : Buffer.from(body, 'utf8')
+    };
+};
+
+/**
+ * Records the response to a request
+ * Text bodies are stored as strings so fixtures can be read and edited; others, such as posters, as base64
+ * Failures are logged rather than thrown so recording never breaks a live request
+ * @param {string} method - HTTP method
+ * @param {string} url - Absolute upstream URL, keys may be included
+ * @param {Object} response - Status code, headers and body Buffer
+ */
+const saveFixture = (method, url, { statusCode, headers = {}, body }) => {
+    const strippedUrl = stripKeys(url);
+    const contentType = headers['content-type'] || '';
+    const isText = /json|text|xml/.test(contentType);
+
+    const fixture = {
+        request: { method, url: strippedUrl },
+        response: {
+            status: statusCode,
+            headers: RECORDED_HEADERS.reduce((result, name) => {
+                if (headers[name] !== undefined) {
+                    result[name] = headers[name];
+                }
+                return result;
+            }, {}),
+            ...(isText ? { body: body.toString('utf8') } : { bodyBase64: body.toString('base64') })
+        },
+        recordedAt: new Date().toISOString()
+    };
+
+    const fixturePath = getFixturePath(method, strippedUrl);
+    try {
+        fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+        fs.writeFileSync(fixturePath, JSON.stringify(fixture, null, 2));
+        logger.debug('Recorded upstream fixture', { url: strippedUrl, file: fixturePath });
+    } catch (error) {
+        logger.error('Failed to record upstream fixture', { url: strippedUrl, error });
+    }
+};
+
+module.exports = {
+    UPSTREAM_MODE,
+    FIXTURES_DIR,
+    stripKeys,
+    getFixturePath,
+    loadFixture,
+    saveFixture
+};
@@ -0,0 +1,265 @@
+/**
+ * Format Service Module
+ * Content negotiation and serializers for CSV, NDJSON and XML responses
+ * JSON stays the default; the other formats are built from the same data
+ */
+
+const { NotAcceptableError } = require('./movieService');
+
+// Response formats and the media type each is sent as
+const FORMATS = {
+    json: 'application/json',
+    csv: 'text/csv; charset=utf-8',
+    ndjson: 'application/x-ndjson',
+    xml: 'application/xml; charset=utf-8'
+};
+
+// Media types accepted in the Accept header, in order of preference for wildcards
+const MEDIA_TYPE_FORMATS = {
+    'application/json': 'json',
+    'application/x-ndjson': 'ndjson',
+    'application/xml': 'xml',
+    'text/csv': 'csv',
+    'text/xml': 'xml'
+};
+
+// Element names for the items of arrays in XML output; other arrays use <item>
+const XML_ITEM_NAMES = {
+    results: 'movie',
+    genres: 'genre',
+    directors: 'director',
+    writers: 'writer',
+    actors: 'actor',
+    languages: 'language',
+    countries: 'country',
+    offers: 'offer',
+    Ratings: 'Rating'
+};
+
+// Cells starting with these characters are run as formulas by spreadsheet applications
+const CSV_FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * Parses an Accept header into media ranges ordered by preference
+ * @param {string} accept - Accept header value
+ * @returns {string[]} Media ranges with a non-zero quality, most preferred first
+ */
+const parseAccept = (accept) => {
+    return accept
+        .split(',')
+        .map((range, index) => {
+            const [type, ...params] = range.split(';').map(part => part.trim().toLowerCase());
+            const qParam = params.find(param => param.startsWith('q='));
+            const quality = qParam ? Number(qParam.slice(2)) : 1;
+            return { type, quality: Number.isNaN(quality) ? 0 : quality, index };
+        })
+        .filter(range => range.type && range.quality > 0)
+        .sort((a, b) => b.quality - a.quality || a.index - b.index)
+        .map(range => range.type);
+};
+
+/**
+ * Picks the response format for a request
+ * @param {string} [accept] - Accept header value
+ * @param {string} [override] - Format named in the format= query parameter, which wins over Accept
+ * @returns {string} One of the FORMATS keys
+ * @throws {NotAcceptableError} If none of the accepted types can be produced
+ */
+const negotiateFormat = (accept, override) => {
+    if (override) {
+        return override;
+    }
+    if (!accept || accept.trim() === '') {
+        return 'json';
+    }
+
+    for (const type of parseAccept(accept)) {
+        if (type === '*/*') {
+            return 'json';
+        }
+        if (MEDIA_TYPE_FORMATS[type]) {
+            return MEDIA_TYPE_FORMATS[type];
+        }
+        if (type.endsWith('/*')) {
+            const match = Object.keys(MEDIA_TYPE_FORMATS).find(mediaType => mediaType.startsWith(type.slice(0, -1)));
+            if (match) {
+                return MEDIA_TYPE_FORMATS[match];
+            }
+        }
+    }
+
+    throw new NotAcceptableError(`Cannot respond with ${accept}. Available types: ${Object.keys(MEDIA_TYPE_FORMATS).join(', ')}`);
+};
+
+// One streaming offer, e.g. "rent uhd 3.99 USD"
+const describeOffer = (offer) => {
+    const price = offer.price && (offer.price.formatted || `${offer.price.amount} ${offer.price.currency}`);
+    return [offer.type, offer.quality, price].filter(Boolean).join(' ');
+};
+
+/**
+ * Summarizes an object inside a list as a single CSV-friendly string
+ * Streaming options become "Service (offer, offer)" in both schema versions
+ * @param {Object} item - List item
+ * @returns {string} Summary
+ */
+const summarizeItem = (item) => {
+    if (item.service && Array.isArray(item.offers)) {
+        return `${item.service.name} (${item.offers.map(describeOffer).join(', ')})`;
+    }
+    if (item.service) {
+        return `${item.service.name} (${describeOffer(item)})`;
+    }
+    if (item.Source && item.Value) {
+        return `${item.Source}: ${item.Value}`;
+    }
+    return JSON.stringify(item);
+};
+
+/**
+ * Flattens an object into columns named by their dotted path, e.g. ratings.imdb
+ * Lists are joined with "; " so each row stays a single line
+ * @param {Object} value - Object to flatten
+ * @param {string} [prefix] - Path of the object within the row
+ * @param {Object} [columns] - Columns collected so far
+ * @returns {Object} Cell values keyed by column name
+ */
+const flatten = (value, prefix = '', columns = {}) => {
+    Object.entries(value).forEach(([key, item]) => {
+        const column = prefix ? `${prefix}.${key}` : key;
+        if (Array.isArray(item)) {
+            columns[column] = item
+                .map(entry => (entry !== null && typeof entry === 'object' ? summarizeItem(entry) : entry))
+                .join('; ');
+        } else if (item !== null && typeof item === 'object') {
+            flatten(item, column, columns);
+        } else {
+            columns[column] = item;
+        }
+    });
+    return columns;
+};
+
+const escapeCSV = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (typeof value === 'string' && CSV_FORMULA_PATTERN.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes rows as CSV with a header line
+ * Columns are the union of every row's flattened fields, in the order first seen
+ * @param {Object[]} rows - Rows to serialize
+ * @returns {string} CSV text
+ */
+const toCSV = (rows) => {
+    const flatRows = rows.map(row => flatten(row));
+    const columns = [...new Set(flatRows.flatMap(row => Object.keys(row)))];
+    const lines = [
+        columns.map(escapeCSV).join(','),
+        ...flatRows.map(row => columns.map(column => escapeCSV(row[column])).join(','))
+    ];
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Serializes rows as newline-delimited JSON
+ * @param {Object[]} rows - Rows to serialize
+ * @returns {string} One JSON document per line
+ */
+const toNDJSON = (rows) => rows.map(row => `${JSON.stringify(row)}\n`).join('');
+
+const escapeXML = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Turns a JSON key into a valid XML element name
+const toElementName = (key) => {
+    const name = String(key).replace(/[^\w.-]/g, '_');
+    return /^[A-Za-z_]/.test(name) ? name : `_${name}`;
+};
+
+/**
+ * Renders a value as an XML element
+ * Streaming options keyed by country become <country code="us"> elements
+ * @param {string} name - Element name
+ * @param {*} value - Element content
+ * @param {string} indent - Indentation of the element
+ * @returns {string} XML fragment
+ */
+const toElement = (name, value, indent) => {
+    const tag = toElementName(name);
+    if (value === null || value === undefined) {
+        return `${indent}<${tag}/>`;
+    }
+    if (typeof value !== 'object') {
+        return `${indent}<${tag}>${escapeXML(value)}</${tag}>`;
+    }
+
+    const childIndent = `${indent}  `;
+    let children;
+    if (Array.isArray(value)) {
+        children = value.map(item => toElement(XML_ITEM_NAMES[name] || 'item', item, childIndent));
+    } else if (name === 'options' && Object.values(value).every(Array.isArray)) {
+        children = Object.entries(value).map(([country, options]) => [
+            `${childIndent}<country code="${escapeXML(country)}">`,
+            ...options.map(option => toElement('option', option, `${childIndent}  `)),
+            `${childIndent}</country>`
+        ].join('\n'));
+    } else {
+        children = Object.entries(value).map(([key, item]) => toElement(key, item, childIndent));
+    }
+
+    if (children.length === 0) {
+        return `${indent}<${tag}/>`;
+    }
+    return [`${indent}<${tag}>`, ...children, `${indent}</${tag}>`].join('\n');
+};
+
+/**
+ * Serializes a document as XML
+ * @param {string} rootName - Name of the root element
+ * @param {Object} document - Document to serialize
+ * @returns {string} XML text
+ */
+const toXML = (rootName, document) => {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${toElement(rootName, document, '')}\n`;
+};
+
+/**
+ * Serializes a response body in a negotiated format
+ * @param {string} format - One of the FORMATS keys
+ * @param {Object} body - Body as sent in JSON and XML
+ * @param {Object} options - How the body maps onto the other formats
+ * @param {Object[]} options.rows - Rows written to CSV and NDJSON
+ * @param {string} options.root - Root element name for XML
+ * @returns {string} Serialized body
+ */
+const serialize = (format, body, { rows, root }) => {
+    switch (format) {
+        case 'csv':
+            return toCSV(rows);
+        case 'ndjson':
+            return toNDJSON(rows);
+        case 'xml':
+            return toXML(root, body);
+        default:
+            return JSON.stringify(body);
+    }
+};
+
+module.exports = {
+    FORMATS,
+    negotiateFormat,
+    toCSV,
+    toNDJSON,
+    toXML,
+    serialize
+};
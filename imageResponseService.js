@@ -0,0 +1,102 @@
+/**
+ * Image Response Module
+ * Sends images with ETag and Last-Modified validators,
+ * answering conditional requests with 304 and Range requests with 206
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Parses a single-range Range header against a body length
+ * @param {string} header - Range header value, e.g. "bytes=0-1023"
+ * @param {number} length - Total body length
+ * @returns {Object|null|false} { start, end } for a satisfiable range, null to send
+ *   the full body (absent, malformed or multi-range), false if unsatisfiable
+ */
+const parseRange = (header, length) => {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(0, length - Number(match[2]));
+        end = length - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? length - 1 : Math.min(Number(match[2]), length - 1);
+    }
+
+    if (start >= length || start > end) {
+        return false;
+    }
+    return { start, end };
+};
+
+/**
+ * Sends an image with validators, honouring conditional and range requests
+ * @param {http.IncomingMessage} req - The HTTP request
+ * @param {http.ServerResponse} res - The HTTP response
+ * @param {Object} image - Image to send
+ * @param {Buffer} image.data - Image data
+ * @param {string} image.mimeType - Content type of the image
+ * @param {Date} image.lastModified - When the image last changed
+ * @param {string} image.cacheControl - Cache-Control header value
+ */
+const sendImage = (req, res, { data, mimeType, lastModified, cacheControl }) => {
+    const etag = `"${crypto.createHash('sha1').update(data).digest('hex')}"`;
+    const modified = new Date(Math.floor(lastModified.getTime() / 1000) * 1000); // HTTP dates have second precision
+    const headers = {
+        'Content-Type': mimeType,
+        'ETag': etag,
+        'Last-Modified': modified.toUTCString(),
+        'Cache-Control': cacheControl,
+        'Accept-Ranges': 'bytes'
+    };
+
+    // If-None-Match takes precedence over If-Modified-Since
+    const ifNoneMatch = req.headers['if-none-match'];
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+    const notModified = ifNoneMatch
+        ? ifNoneMatch === '*' || ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag)
+        : !Number.isNaN(ifModifiedSince) && modified.getTime() <= ifModifiedSince;
+
+    if (notModified) {
+        delete headers['Content-Type'];
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+
+    // A Range is only honoured while If-Range (if sent) still matches the image
+    const ifRange = req.headers['if-range'];
+    const rangeApplies = !ifRange || ifRange === etag || Date.parse(ifRange) === modified.getTime();
+    const range = rangeApplies ? parseRange(req.headers.range, data.length) : null;
+
+    if (range === false) {
+        res.writeHead(416, { 'Content-Range': `bytes */${data.length}`, 'Accept-Ranges': 'bytes' });
+        res.end();
+        return;
+    }
+
+    if (range) {
+        res.writeHead(206, {
+            ...headers,
+            'Content-Range': `bytes ${range.start}-${range.end}/${data.length}`,
+            'Content-Length': range.end - range.start + 1
+        });
+        res.end(data.subarray(range.start, range.end + 1));
+        return;
+    }
+
+    res.writeHead(200, { ...headers, 'Content-Length': data.length });
+    res.end(data);
+};
+
+module.exports = {
+    parseRange,
+    sendImage
+};
@@ -0,0 +1,105 @@
+/**
+ * Image Service Module
+ * Detects poster image formats from their contents and produces resized variants
+ */
+
+const sharp = require('sharp');
+const { ValidationError } = require('./movieService');
+
+/**
+ * Supported image formats, identified by their signatures ("magic bytes")
+ * Each pattern lists the bytes expected at a given offset
+ */
+const IMAGE_SIGNATURES = [
+    {
+        type: 'jpeg',
+        mimeType: 'image/jpeg',
+        extension: 'jpg',
+        patterns: [{ offset: 0, bytes: [0xFF, 0xD8, 0xFF] }]
+    },
+    {
+        type: 'png',
+        mimeType: 'image/png',
+        extension: 'png',
+        patterns: [{ offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] }]
+    },
+    {
+        type: 'webp',
+        mimeType: 'image/webp',
+        extension: 'webp',
+        // "RIFF" container holding a "WEBP" payload
+        patterns: [
+            { offset: 0, bytes: [0x52, 0x49, 0x46, 0x46] },
+            { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] }
+        ]
+    }
+];
+
+// Widths of the poster variants that can be requested with ?size=
+const POSTER_SIZES = {
+    w240: 240,
+    w480: 480,
+    w720: 720
+};
+
+/**
+ * Detects an image format from the first bytes of a file
+ * @param {Buffer} head - Leading bytes of the file (at least 12 bytes)
+ * @returns {Object|null} Matching signature, or null if the format is not supported
+ */
+const detectImageType = (head) => {
+    if (!head) {
+        return null;
+    }
+    return IMAGE_SIGNATURES.find(signature =>
+        signature.patterns.every(pattern =>
+            pattern.bytes.every((byte, index) => head[pattern.offset + index] === byte)
+        )
+    ) || null;
+};
+
+// Looks up a signature by its type name, e.g. 'png'
+const getImageType = (type) => IMAGE_SIGNATURES.find(signature => signature.type === type) || null;
+
+/**
+ * Validates a requested poster size
+ * @param {string} [size] - Size name such as 'w480'
+ * @returns {string|null} The size name, or null if no size was requested
+ * @throws {ValidationError} If the size is not supported
+ */
+const validatePosterSize = (size) => {
+    if (size === undefined || size === null || size === '') {
+        return null;
+    }
+    if (!POSTER_SIZES[size]) {
+        throw new ValidationError(`size must be one of: ${Object.keys(POSTER_SIZES).join(', ')}`);
+    }
+    return size;
+};
+
+/**
+ * Scales an image down to the width of a poster size, keeping its format
+ * Images that are already narrower are returned unchanged
+ * @param {Buffer} data - Image data
+ * @param {string} size - Size name such as 'w480'
+ * @returns {Promise<Buffer>} Resized image data
+ */
+const resizeImage = async (data, size) => {
+    const width = POSTER_SIZES[size];
+    const image = sharp(data);
+    const metadata = await image.metadata();
+
+    if (!metadata.width || metadata.width <= width) {
+        return data;
+    }
+    return image.resize({ width }).toBuffer();
+};
+
+module.exports = {
+    IMAGE_SIGNATURES,
+    POSTER_SIZES,
+    detectImageType,
+    getImageType,
+    validatePosterSize,
+    resizeImage
+};
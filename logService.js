@@ -0,0 +1,136 @@
+/**
+ * Log Service Module
+ * Structured JSON logging with levels, secret redaction and request IDs
+ * The request ID of the incoming request is attached to every line logged
+ * while handling it, including the upstream calls it triggers
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const { config } = require('./config');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = config.logLevel;
+
+// Field names whose values are never logged
+const SENSITIVE_KEY_PATTERN = /api[-_]?key|authorization|cookie|token|secret|password/i;
+// Secrets that can appear inside strings, such as OMDB's apikey query parameter and client keys
+const SENSITIVE_VALUE_PATTERNS = [
+    [/(apikey=)[^&\s]*/gi, '$1[REDACTED]'],
+    [/msk_[0-9a-f]{8,}/gi, 'msk_[REDACTED]']
+];
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+// Set to send every level to one stream instead of splitting stdout and stderr
+let outputStream = null;
+
+const redactString = (value) => SENSITIVE_VALUE_PATTERNS.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    value
+);
+
+const serializeError = (error) => {
+    const serialized = { name: error.name, message: redactString(error.message) };
+    if (error.code) {
+        serialized.code = error.code;
+    }
+    if (error.status) {
+        serialized.status = error.status;
+    } else {
+        // Only unexpected errors need a stack trace
+        serialized.stack = redactString(error.stack || '');
+    }
+    return serialized;
+};
+
+/**
+ * Copies a value for logging with secrets removed
+ * @param {*} value - Value to log
+ * @param {number} [depth] - Current nesting depth
+ * @returns {*} Redacted copy
+ */
+const redact = (value, depth = 0) => {
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+    if (value instanceof Error) {
+        return serializeError(value);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (depth > 5) {
+        return '[Truncated]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+    return Object.entries(value).reduce((result, [key, item]) => {
+        result[key] = SENSITIVE_KEY_PATTERN.test(key) ? '[REDACTED]' : redact(item, depth + 1);
+        return result;
+    }, {});
+};
+
+const write = (level, message, fields = {}) => {
+    if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) {
+        return;
+    }
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: redactString(message),
+        requestId: requestContext.getStore()?.requestId,
+        ...redact(fields)
+    };
+    const stream = outputStream || (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout);
+    stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+// Logger with one method per level, e.g. logger.info('Poster stored', { imdbId })
+const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
+
+/**
+ * Sends log lines of every level to a single stream
+ * Used by the CLI, whose stdout carries command output
+ * @param {stream.Writable} stream - Stream to write log lines to
+ */
+const setLogOutput = (stream) => {
+    outputStream = stream;
+};
+
+/**
+ * Picks the ID of an incoming request
+ * A well-formed X-Request-Id from the client or a proxy is kept, otherwise a new ID is generated
+ * @param {string} [header] - X-Request-Id header value
+ * @returns {string} Request ID
+ */
+const getRequestId = (header) => {
+    if (header && REQUEST_ID_PATTERN.test(header)) {
+        return header;
+    }
+    return crypto.randomUUID();
+};
+
+/**
+ * Runs a function with a request ID attached to everything it logs
+ * @param {string} requestId - ID of the request being handled
+ * @param {Function} fn - Function handling the request
+ * @returns {*} Result of fn
+ */
+const runWithRequestId = (requestId, fn) => requestContext.run({ requestId }, fn);
+
+module.exports = {
+    logger,
+    redact,
+    setLogOutput,
+    getRequestId,
+    runWithRequestId
+};
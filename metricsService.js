@@ -0,0 +1,235 @@
+/**
+ * Metrics Service Module
+ * Counters and histograms rendered in the Prometheus text exposition format
+ */
+
+const { responseCache } = require('./cacheService');
+const { titleIndex } = require('./titleIndexService');
+
+// Histogram buckets in seconds
+const HTTP_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const UPSTREAM_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+// Stable key for a set of label values
+const labelKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+
+/**
+ * Monotonically increasing count, e.g. requests served
+ */
+class Counter {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.type = 'counter';
+        this.labelNames = labelNames;
+        this.values = new Map();
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = labelKey(this.labelNames, labels);
+        const current = this.values.get(key) || { labels, value: 0 };
+        current.value += value;
+        this.values.set(key, current);
+    }
+
+    collect() {
+        return [...this.values.values()].map(({ labels, value }) =>
+            `${this.name}${formatLabels(labels)} ${value}`
+        );
+    }
+}
+
+/**
+ * Metric whose samples are read from elsewhere when metrics are scraped,
+ * e.g. a cache hit ratio; collectSamples returns [{ labels, value }]
+ */
+class Collector {
+    constructor(name, help, type, collectSamples) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.collectSamples = collectSamples;
+    }
+
+    collect() {
+        return this.collectSamples().map(({ labels = {}, value }) =>
+            `${this.name}${formatLabels(labels)} ${value}`
+        );
+    }
+}
+
+/**
+ * Distribution of observed values in cumulative buckets, e.g. latencies
+ */
+class Histogram {
+    constructor(name, help, labelNames = [], buckets = HTTP_DURATION_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.type = 'histogram';
+        this.labelNames = labelNames;
+        this.buckets = buckets;
+        this.values = new Map();
+    }
+
+    observe(labels, value) {
+        const key = labelKey(this.labelNames, labels);
+        let current = this.values.get(key);
+        if (!current) {
+            current = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.values.set(key, current);
+        }
+
+        this.buckets.forEach((bucket, index) => {
+            if (value <= bucket) {
+                current.counts[index]++;
+            }
+        });
+        current.sum += value;
+        current.count++;
+    }
+
+    /**
+     * Starts a timer that observes the elapsed seconds when called
+     * @param {Object} labels - Labels known when the timer starts
+     * @returns {Function} Stops the timer, optionally adding more labels
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (moreLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...moreLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    collect() {
+        return [...this.values.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...this.buckets.map((bucket, index) =>
+                `${this.name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[index]}`
+            ),
+            `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${this.name}_sum${formatLabels(labels)} ${sum}`,
+            `${this.name}_count${formatLabels(labels)} ${count}`
+        ]);
+    }
+}
+
+/**
+ * Holds the registered metrics and renders them for Prometheus
+ */
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    render() {
+        return this.metrics.map(metric => [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+            ...metric.collect()
+        ].join('\n')).join('\n') + '\n';
+    }
+}
+
+const registry = new Registry();
+
+// HTTP server metrics, labelled by route pattern to keep the number of series bounded
+const httpRequestsTotal = registry.register(new Counter(
+    'http_requests_total',
+    'HTTP requests served',
+    ['method', 'route', 'status']
+));
+const httpRequestDuration = registry.register(new Histogram(
+    'http_request_duration_seconds',
+    'HTTP request latency in seconds',
+    ['method', 'route'],
+    HTTP_DURATION_BUCKETS
+));
+
+// Upstream API metrics, labelled by host
+const upstreamRequestsTotal = registry.register(new Counter(
+    'upstream_requests_total',
+    'Upstream API calls by response status',
+    ['host', 'status']
+));
+const upstreamErrorsTotal = registry.register(new Counter(
+    'upstream_errors_total',
+    'Failed upstream API calls by error code',
+    ['host', 'code']
+));
+const upstreamRequestDuration = registry.register(new Histogram(
+    'upstream_request_duration_seconds',
+    'Upstream API call latency in seconds',
+    ['host'],
+    UPSTREAM_DURATION_BUCKETS
+));
+
+// Watchlist webhook deliveries, labelled by outcome
+const webhookDeliveriesTotal = registry.register(new Counter(
+    'webhook_deliveries_total',
+    'Watchlist webhook deliveries by result',
+    ['result']
+));
+
+// Response cache metrics, read from the cache's own counters
+registry.register(new Collector(
+    'response_cache_lookups_total',
+    'Response cache lookups by result',
+    'counter',
+    () => [
+        { labels: { result: 'hit' }, value: responseCache.stats.hits },
+        { labels: { result: 'stale' }, value: responseCache.stats.staleHits },
+        { labels: { result: 'miss' }, value: responseCache.stats.misses }
+    ]
+));
+registry.register(new Collector(
+    'response_cache_hit_ratio',
+    'Share of response cache lookups served from the cache, including stale hits',
+    'gauge',
+    () => {
+        const { hits, staleHits, misses } = responseCache.stats;
+        const total = hits + staleHits + misses;
+        return [{ value: total === 0 ? 0 : (hits + staleHits) / total }];
+    }
+));
+registry.register(new Collector(
+    'response_cache_entries',
+    'Entries held in the in-memory response cache',
+    'gauge',
+    () => [{ value: responseCache.memory.size }]
+));
+registry.register(new Collector(
+    'title_index_entries',
+    'Titles held in the local title index',
+    'gauge',
+    () => [{ value: titleIndex.size }]
+));
+
+module.exports = {
+    Counter,
+    Collector,
+    Histogram,
+    Registry,
+    registry,
+    httpRequestsTotal,
+    httpRequestDuration,
+    upstreamRequestsTotal,
+    upstreamErrorsTotal,
+    upstreamRequestDuration,
+    webhookDeliveriesTotal
+};
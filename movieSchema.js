@@ -0,0 +1,283 @@
+/**
+ * Movie Schema Module
+ * Versioned representations of movie data returned by the API
+ * Version 1 is the legacy shape: OMDB's fields as-is plus a streaming object.
+ * Version 2 is normalized: camelCase fields with typed values, null for
+ * missing data, and streaming options grouped per service
+ */
+
+const { DEFAULT_COUNTRY, ValidationError } = require('./movieService');
+
+const MOVIE_SCHEMA_VERSIONS = [1, 2];
+const LATEST_MOVIE_SCHEMA_VERSION = 2;
+
+// Top-level fields of a version 2 movie, the names accepted by fields=
+const MOVIE_FIELDS = [
+    'imdbId',
+    'title',
+    'type',
+    'year',
+    'endYear',
+    'rated',
+    'releaseDate',
+    'runtimeMinutes',
+    'genres',
+    'directors',
+    'writers',
+    'actors',
+    'plot',
+    'languages',
+    'countries',
+    'awards',
+    'poster',
+    'ratings',
+    'imdbVotes',
+    'boxOfficeUsd',
+    'production',
+    'website',
+    'totalSeasons',
+    'streaming'
+];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// OMDB uses "N/A" for missing values
+const toText = (value) => {
+    if (typeof value !== 'string' || value.trim() === '' || value === 'N/A') {
+        return null;
+    }
+    return value.trim();
+};
+
+const toList = (value) => {
+    const text = toText(value);
+    return text ? text.split(',').map(item => item.trim()).filter(item => item !== '') : [];
+};
+
+// Parses numbers written with thousands separators or units, e.g. "1,234,567", "$1,234" or "142 min"
+const toNumber = (value) => {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    const text = toText(value);
+    if (!text) {
+        return null;
+    }
+    const match = text.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+    return match ? Number(match[0]) : null;
+};
+
+// "16 Jul 2010" to "2010-07-16"
+const toISODate = (value) => {
+    const match = toText(value)?.match(/^(\d{1,2}) (\w{3}) (\d{4})$/);
+    const month = match ? MONTHS.indexOf(match[2]) + 1 : 0;
+    if (month === 0) {
+        return null;
+    }
+    return `${match[3]}-${String(month).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+};
+
+// Years such as "2010" or "2008–2013" for series; an open-ended series has no end year
+const toYears = (value) => {
+    const years = (toText(value) || '').match(/\d{4}/g) || [];
+    return {
+        year: years[0] ? Number(years[0]) : null,
+        endYear: years[1] ? Number(years[1]) : null
+    };
+};
+
+// Ratings from OMDB's Ratings list, plus the Streaming API's own rating
+const toRatings = (movie) => {
+    const sources = (movie.Ratings || []).reduce((result, rating) => {
+        result[rating.Source] = rating.Value;
+        return result;
+    }, {});
+
+    return {
+        imdb: toNumber(movie.imdbRating),
+        rottenTomatoes: toNumber(sources['Rotten Tomatoes']),
+        metacritic: toNumber(movie.Metascore) ?? toNumber(sources['Metacritic']),
+        streamingAvailability: toNumber(movie.streaming?.rating)
+    };
+};
+
+// A single streaming option of the Streaming API, without the service it belongs to
+const toOffer = (option) => ({
+    type: option.type || null,
+    quality: option.quality || null,
+    price: option.price
+        ? { amount: toNumber(option.price.amount), currency: option.price.currency || null }
+        : null,
+    link: option.link || null,
+    addon: option.addon ? { id: option.addon.id, name: option.addon.name } : null,
+    expiresOn: option.expiresOn ? new Date(option.expiresOn * 1000).toISOString() : null
+});
+
+// Groups one country's streaming options by service
+const toServices = (options = []) => {
+    const services = new Map();
+    options.forEach((option) => {
+        const id = option.service?.id || 'unknown';
+        if (!services.has(id)) {
+            services.set(id, {
+                service: { id, name: option.service?.name || id, homePage: option.service?.homePage || null },
+                offers: []
+            });
+        }
+        services.get(id).offers.push(toOffer(option));
+    });
+    return [...services.values()];
+};
+
+// Streaming options keyed by country; a single country's list is keyed by the requested country
+const toStreaming = (streaming = {}, country) => {
+    const options = Array.isArray(streaming.options)
+        ? { [(country || DEFAULT_COUNTRY).trim().toLowerCase()]: streaming.options }
+        : streaming.options || {};
+    return {
+        poster: streaming.poster || null,
+        options: Object.entries(options).reduce((result, [country, countryOptions]) => {
+            result[country] = toServices(countryOptions);
+            return result;
+        }, {})
+    };
+};
+
+/**
+ * Converts a movie from the legacy shape to the normalized version 2 shape
+ * Search results that could not be enriched with OMDB data are converted too,
+ * with the OMDB fields set to null
+ * @param {Object} movie - Movie in the legacy shape
+ * @param {string} [country] - Country the streaming options were requested for
+ * @returns {Object} Normalized movie
+ */
+const normalizeMovie = (movie, country) => {
+    const normalized = {
+        imdbId: movie.imdbID,
+        title: toText(movie.Title),
+        type: toText(movie.Type),
+        ...toYears(movie.Year),
+        rated: toText(movie.Rated),
+        releaseDate: toISODate(movie.Released),
+        runtimeMinutes: toNumber(movie.Runtime),
+        genres: toList(movie.Genre),
+        directors: toList(movie.Director),
+        writers: toList(movie.Writer),
+        actors: toList(movie.Actors),
+        plot: toText(movie.Plot),
+        languages: toList(movie.Language),
+        countries: toList(movie.Country),
+        awards: toText(movie.Awards),
+        poster: toText(movie.Poster) || movie.streaming?.poster || null,
+        ratings: toRatings(movie),
+        imdbVotes: toNumber(movie.imdbVotes),
+        boxOfficeUsd: toNumber(movie.BoxOffice),
+        production: toText(movie.Production),
+        website: toText(movie.Website),
+        totalSeasons: toNumber(movie.totalSeasons),
+        streaming: toStreaming(movie.streaming, country)
+    };
+
+    if (movie.enrichmentDeferred) {
+        normalized.enrichmentDeferred = true;
+    }
+    return normalized;
+};
+
+/**
+ * Normalizes a title's streaming options in one country from a Streaming API show
+ * A single country's options may come back as a plain list rather than keyed by country
+ * @param {string} imdbId - IMDB ID of the title
+ * @param {Object} streamingData - Show returned by the Streaming API
+ * @param {string} country - Country code
+ * @returns {Object[]} Services offering the title in the country, each with its offers
+ */
+const getCountryStreamingOptions = (imdbId, streamingData, country) => {
+    const { streaming } = normalizeMovie({ imdbID: imdbId, streaming: { options: streamingData.streamingOptions } }, country);
+    return streaming.options[country] || [];
+};
+
+/**
+ * Parses a fields= value into the list of fields to return
+ * Nested fields are selected with dots, e.g. ratings.imdb
+ * @param {string} [value] - Comma-separated field names
+ * @param {number} version - Schema version of the response
+ * @returns {string[]|null} Field paths, or null for every field
+ * @throws {ValidationError} If a field is unknown or the version does not support field selection
+ */
+const parseFields = (value, version) => {
+    if (value === undefined || value.trim() === '') {
+        return null;
+    }
+
+    if (version < 2) {
+        throw new ValidationError('The fields parameter requires API version 2');
+    }
+
+    const fields = [...new Set(value.split(',').map(field => field.trim()).filter(field => field !== ''))];
+    const unknownFields = fields.filter(field => !MOVIE_FIELDS.includes(field.split('.')[0]));
+    if (unknownFields.length > 0) {
+        throw new ValidationError(`Unknown fields: ${unknownFields.join(', ')}. Must be one of: ${MOVIE_FIELDS.join(', ')}`);
+    }
+    return fields;
+};
+
+/**
+ * Copies only the selected fields of a normalized movie
+ * The IMDb ID is always kept so results can be told apart
+ * @param {Object} movie - Normalized movie
+ * @param {string[]} fields - Field paths from parseFields
+ * @returns {Object} Sparse movie
+ */
+const pickFields = (movie, fields) => {
+    const result = { imdbId: movie.imdbId };
+    fields.forEach((field) => {
+        const keys = field.split('.');
+        const value = keys.reduce((source, key) => (
+            source !== null && typeof source === 'object' ? source[key] : undefined
+        ), movie);
+        if (value === undefined) {
+            return;
+        }
+
+        // Rebuild the nesting of the selected value, e.g. { ratings: { imdb } }
+        const lastKey = keys.pop();
+        const target = keys.reduce((parent, key) => {
+            parent[key] = parent[key] || {};
+            return parent[key];
+        }, result);
+        target[lastKey] = value;
+    });
+    if (movie.enrichmentDeferred) {
+        result.enrichmentDeferred = true;
+    }
+    return result;
+};
+
+/**
+ * Renders a movie in the schema version a client asked for
+ * @param {Object} movie - Movie in the legacy shape
+ * @param {Object} view - Requested representation
+ * @param {number} view.version - Schema version
+ * @param {string[]|null} [view.fields] - Fields to return, from parseFields
+ * @param {string} [view.country] - Country the streaming options were requested for
+ * @returns {Object} Movie in the requested shape
+ */
+const presentMovie = (movie, { version, fields = null, country }) => {
+    if (version < 2) {
+        return movie;
+    }
+    const normalized = normalizeMovie(movie, country);
+    return fields ? pickFields(normalized, fields) : normalized;
+};
+
+module.exports = {
+    MOVIE_SCHEMA_VERSIONS,
+    LATEST_MOVIE_SCHEMA_VERSION,
+    MOVIE_FIELDS,
+    normalizeMovie,
+    getCountryStreamingOptions,
+    parseFields,
+    pickFields,
+    presentMovie
+};
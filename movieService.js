@@ -4,23 +4,77 @@
  * Combines data from both sources and manages poster operations
  */
 
+const http = require('http');
 const https = require('https');
-require('dotenv').config();
+const { config } = require('./config');
+const { responseCache, CACHE_TTLS } = require('./cacheService');
+const { titleIndex } = require('./titleIndexService');
+const { upstreamBudget } = require('./rateLimitService');
+const {
+    getCircuitBreaker,
+    withRetries,
+    mapWithConcurrency,
+    parseRetryAfter
+} = require('./upstreamService');
+const { logger } = require('./logService');
+const {
+    UPSTREAM_MODE,
+    stripKeys,
+    loadFixture,
+    saveFixture
+} = require('./fixtureService');
+const {
+    upstreamRequestsTotal,
+    upstreamErrorsTotal,
+    upstreamRequestDuration
+} = require('./metricsService');
 
 // API Configuration
-const STREAMING_API_KEY = process.env.STREAMING_API_KEY;
-const STREAMING_API_HOST = process.env.STREAMING_API_HOST;
-const OMDB_API_KEY = process.env.OMDB_API_KEY;
+const STREAMING_API_KEY = config.streamingApiKey;
+const STREAMING_API_HOST = config.streamingApiHost;
+const OMDB_API_KEY = config.omdbApiKey;
 const REQUEST_TIMEOUT = 10000; // 10 seconds timeout for all requests
+const MAX_POSTER_REDIRECTS = 3;
+// Sends API requests to another server, such as the fake upstream, instead of the real hosts
+const UPSTREAM_TARGET = config.upstreamBaseUrl ? new URL(config.upstreamBaseUrl) : null;
+const DEFAULT_COUNTRY = 'us';
+
+// ISO 3166-1 alpha-2 codes of the countries covered by the Streaming Availability API
+const SUPPORTED_COUNTRIES = [
+    'ae', 'ar', 'at', 'au', 'az', 'be', 'bg', 'br', 'ca', 'ch', 'cl', 'co', 'cy', 'cz',
+    'de', 'dk', 'ec', 'ee', 'es', 'fi', 'fr', 'gb', 'gr', 'hk', 'hr', 'hu', 'id', 'ie',
+    'il', 'in', 'is', 'it', 'jp', 'kr', 'lt', 'md', 'mk', 'mx', 'my', 'nl', 'no', 'nz',
+    'pa', 'pe', 'ph', 'pl', 'pt', 'ro', 'rs', 'ru', 'se', 'sg', 'si', 'th', 'tr', 'ua',
+    'us', 'za'
+];
+
+// Search Configuration
+const SHOW_TYPES = ['movie', 'series', 'all'];
+const SORT_ORDERS = ['relevance', 'year', 'rating'];
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const SEARCH_SOURCES = ['auto', 'index', 'upstream'];
+const DEFAULT_SEARCH_SOURCE = config.searchSource;
+const INDEX_SEARCH_LIMIT = 20; // Index matches looked up per search
+// Index score from which auto searches trust the index: every word starts a word of the title
+const INDEX_CONFIDENT_SCORE = 0.8;
+const DEFAULT_AUTOCOMPLETE_LIMIT = 8;
+const MAX_AUTOCOMPLETE_LIMIT = 20;
+
+// Batch Configuration
+const BATCH_MAX_IDS = config.batchMaxIds;
+const BATCH_CONCURRENCY = config.batchConcurrency; // Lookups in flight per batch
 
 /**
  * Custom Error Classes for specific error handling
+ * Each class carries an HTTP status and a stable, machine-readable error code
  */
 class ValidationError extends Error {
     constructor(message) {
         super(message);
         this.name = 'ValidationError';
         this.status = 400; // Bad Request
+        this.code = 'VALIDATION_ERROR';
     }
 }
 
@@ -29,116 +83,532 @@ class NotFoundError extends Error {
         super(message);
         this.name = 'NotFoundError';
         this.status = 404;
+        this.code = 'NOT_FOUND';
+    }
+}
+
+class UnauthorizedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnauthorizedError';
+        this.status = 401;
+        this.code = 'UNAUTHORIZED';
+    }
+}
+
+class ForbiddenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ForbiddenError';
+        this.status = 403;
+        this.code = 'FORBIDDEN';
+    }
+}
+
+class MethodNotAllowedError extends Error {
+    constructor(message, allowedMethods = []) {
+        super(message);
+        this.name = 'MethodNotAllowedError';
+        this.status = 405;
+        this.code = 'METHOD_NOT_ALLOWED';
+        this.allowedMethods = allowedMethods; // Sent back in the Allow header
+    }
+}
+
+class NotAcceptableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotAcceptableError';
+        this.status = 406;
+        this.code = 'NOT_ACCEPTABLE';
+    }
+}
+
+class PayloadTooLargeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PayloadTooLargeError';
+        this.status = 413;
+        this.code = 'PAYLOAD_TOO_LARGE';
+    }
+}
+
+class TooManyRequestsError extends Error {
+    constructor(message, retryAfter, code = 'RATE_LIMITED') {
+        super(message);
+        this.name = 'TooManyRequestsError';
+        this.status = 429;
+        this.code = code;
+        this.retryAfter = retryAfter; // Seconds until the client may retry
+    }
+}
+
+class BadGatewayError extends Error {
+    constructor(message, code = 'UPSTREAM_ERROR') {
+        super(message);
+        this.name = 'BadGatewayError';
+        this.status = 502; // An upstream API failed or sent an unusable response
+        this.code = code;
+    }
+}
+
+class ServiceUnavailableError extends Error {
+    constructor(message, retryAfter, code = 'UPSTREAM_UNAVAILABLE') {
+        super(message);
+        this.name = 'ServiceUnavailableError';
+        this.status = 503;
+        this.code = code;
+        this.retryAfter = retryAfter;
+    }
+}
+
+class BudgetExceededError extends ServiceUnavailableError {
+    constructor(message, retryAfter) {
+        // Unavailable until the upstream budget resets
+        super(message, retryAfter, 'UPSTREAM_BUDGET_EXCEEDED');
+        this.name = 'BudgetExceededError';
+    }
+}
+
+class GatewayTimeoutError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GatewayTimeoutError';
+        this.status = 504;
+        this.code = 'UPSTREAM_TIMEOUT';
     }
 }
 
 class APIError extends Error {
-    constructor(message, status = 500) {
+    constructor(message, status = 500, code = 'INTERNAL_ERROR') {
         super(message);
         this.name = 'APIError';
         this.status = status;
+        this.code = code;
     }
 }
 
+// Errors raised on purpose carry a status and are passed on to the client unchanged
+const isHttpError = (error) => Number.isInteger(error?.status);
+
+/**
+ * Describes an error the way it is reported to clients
+ * Unexpected errors are reported as internal errors
+ * @param {Error} error - Error to describe
+ * @returns {Object} HTTP status, error code and message
+ */
+const describeError = (error) => ({
+    status: isHttpError(error) ? error.status : 500,
+    code: isHttpError(error) ? error.code : 'INTERNAL_ERROR',
+    message: error.message
+});
+
+/**
+ * Validates and normalizes a country code
+ * @param {string} [country] - ISO 3166-1 alpha-2 country code, defaults to 'us'
+ * @returns {string} Lower-case country code
+ * @throws {ValidationError} If the country is not supported
+ */
+const validateCountry = (country) => {
+    if (country === undefined || country === null || country === '') {
+        return DEFAULT_COUNTRY;
+    }
+
+    const code = String(country).trim().toLowerCase();
+    if (!SUPPORTED_COUNTRIES.includes(code)) {
+        throw new ValidationError(`Unsupported country code: ${country}`);
+    }
+    return code;
+};
+
+/**
+ * Parses a positive integer query parameter
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name used in error messages
+ * @returns {number|undefined} Parsed integer, or undefined if not supplied
+ * @throws {ValidationError} If the value is not a positive integer
+ */
+const parsePositiveInt = (value, name) => {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new ValidationError(`${name} must be a positive integer`);
+    }
+    return number;
+};
+
+// Splits a comma-separated query value into lower-case terms
+const parseList = (value) => {
+    if (!value) {
+        return [];
+    }
+    return String(value)
+        .split(',')
+        .map(item => item.trim().toLowerCase())
+        .filter(item => item !== '');
+};
+
+/**
+ * Validates the search query parameters and converts them into search options
+ * @param {Object} query - Parsed query string
+ * @returns {Object} Search options for searchMovieByTitle
+ * @throws {ValidationError} If any parameter is invalid
+ */
+const parseSearchOptions = (query = {}) => {
+    const showType = (query.showType || 'movie').toLowerCase();
+    if (!SHOW_TYPES.includes(showType)) {
+        throw new ValidationError(`showType must be one of: ${SHOW_TYPES.join(', ')}`);
+    }
+
+    const sort = (query.sort || 'relevance').toLowerCase();
+    if (!SORT_ORDERS.includes(sort)) {
+        throw new ValidationError(`sort must be one of: ${SORT_ORDERS.join(', ')}`);
+    }
+
+    const yearFrom = parsePositiveInt(query.yearFrom, 'yearFrom');
+    const yearTo = parsePositiveInt(query.yearTo, 'yearTo');
+    if (yearFrom && yearTo && yearFrom > yearTo) {
+        throw new ValidationError('yearFrom must not be greater than yearTo');
+    }
+
+    const limit = parsePositiveInt(query.limit, 'limit') || DEFAULT_PAGE_SIZE;
+    if (limit > MAX_PAGE_SIZE) {
+        throw new ValidationError(`limit must not be greater than ${MAX_PAGE_SIZE}`);
+    }
+
+    const source = (query.source || DEFAULT_SEARCH_SOURCE).toLowerCase();
+    if (!SEARCH_SOURCES.includes(source)) {
+        throw new ValidationError(`source must be one of: ${SEARCH_SOURCES.join(', ')}`);
+    }
+
+    return {
+        country: validateCountry(query.country),
+        showType,
+        yearFrom,
+        yearTo,
+        genres: parseList(query.genre),
+        services: parseList(query.service),
+        sort,
+        page: parsePositiveInt(query.page, 'page') || 1,
+        limit,
+        source
+    };
+};
+
+// Upstream errors worth retrying; they also count towards opening the host's circuit
+const TRANSIENT_ERROR_CODES = ['UPSTREAM_SERVER_ERROR', 'UPSTREAM_UNREACHABLE', 'UPSTREAM_TIMEOUT'];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Maps an unsuccessful upstream response to an API error
+ * @param {string} host - Upstream hostname
+ * @param {number} statusCode - Upstream HTTP status
+ * @param {Object|null} body - Parsed response body, if it was JSON
+ * @param {Object} headers - Upstream response headers
+ * @returns {Error} Error to reject with
+ */
+const toUpstreamError = (host, statusCode, body, headers) => {
+    const upstreamMessage = body?.message || body?.Error || 'Unknown error';
+
+    // OMDB reports an exhausted daily quota with a 401
+    if (statusCode === 429 || /limit reached/i.test(upstreamMessage)) {
+        return new TooManyRequestsError(
+            `Upstream API rate limit reached for ${host}`,
+            parseRetryAfter(headers['retry-after']),
+            'UPSTREAM_RATE_LIMITED'
+        );
+    }
+    if (statusCode === 404) {
+        return new NotFoundError(upstreamMessage);
+    }
+    if (statusCode === 401 || statusCode === 403) {
+        return new APIError('API subscription error', 403, 'UPSTREAM_SUBSCRIPTION_ERROR');
+    }
+    if (statusCode >= 500) {
+        return new BadGatewayError(`Upstream API error (${statusCode}) from ${host}`, 'UPSTREAM_SERVER_ERROR');
+    }
+    return new BadGatewayError(`Upstream API rejected the request (${statusCode}): ${upstreamMessage}`);
+};
+
 /**
- * Makes an HTTP request with improved error handling and logging
+ * Converts a complete upstream response into data or an API error
+ * @param {Object} options - HTTP request options
+ * @param {number} statusCode - Upstream HTTP status
+ * @param {Object} headers - Upstream response headers
+ * @param {string} data - Response body
+ * @returns {Object} Parsed response data
+ * @throws {Error} Mapped upstream error if the response is unsuccessful or unreadable
+ */
+const parseUpstreamResponse = (options, statusCode, headers, data) => {
+    const host = options.hostname;
+    let parsedData = null;
+    try {
+        parsedData = JSON.parse(data);
+    } catch (e) {
+        if (statusCode === 200) {
+            logger.error('Failed to parse upstream response', { host, error: e, body: data.slice(0, 500) });
+            throw new BadGatewayError(`Failed to parse response: ${e.message}`, 'UPSTREAM_INVALID_RESPONSE');
+        }
+    }
+
+    // Check if the API returned an error message
+    if (statusCode !== 200) {
+        logger.warn('Upstream error response', { host, status: statusCode, body: parsedData || data.slice(0, 500) });
+        throw toUpstreamError(host, statusCode, parsedData, headers);
+    }
+
+    return parsedData;
+};
+
+// Error for a request that has no recorded response in replay mode
+const fixtureMissingError = (method, url) => new BadGatewayError(
+    `No recorded upstream response for ${method} ${stripKeys(url)}; record it with UPSTREAM_MODE=record`,
+    'UPSTREAM_FIXTURE_MISSING'
+);
+
+/**
+ * Answers an upstream request from the fixtures directory
  * @param {Object} options - HTTP request options
  * @returns {Promise<Object>} Parsed response data
- * @throws {Error} Network or parsing errors
+ * @throws {BadGatewayError} If no response was recorded for the request
  */
-const makeRequest = (options) => {
+const replayRequest = async (options) => {
+    const host = options.hostname;
+    const method = options.method || 'GET';
+    const url = `https://${host}${options.path}`;
+
+    const fixture = loadFixture(method, url);
+    if (!fixture) {
+        throw fixtureMissingError(method, url);
+    }
+
+    upstreamRequestsTotal.inc({ host, status: fixture.statusCode });
+    logger.debug('Replayed upstream response', { host, path: options.path, status: fixture.statusCode });
+    return parseUpstreamResponse(options, fixture.statusCode, fixture.headers, fixture.body.toString('utf8'));
+};
+
+/**
+ * Makes a single HTTP request to an upstream API
+ * In replay mode the response comes from the fixtures directory instead;
+ * in record mode every response is also saved there
+ * @param {Object} options - HTTP request options
+ * @param {string} priority - Budget priority of the call
+ * @returns {Promise<Object>} Parsed response data
+ */
+const sendRequest = (options, priority) => {
+    if (UPSTREAM_MODE === 'replay') {
+        return replayRequest(options);
+    }
+
     return new Promise((resolve, reject) => {
-        console.log(`Making request to: ${options.hostname}${options.path}`);
-        
-        const req = https.request(options, (res) => {
-            let data = '';
+        const budget = upstreamBudget.tryConsume(options.hostname, priority);
+        if (!budget.allowed) {
+            reject(new BudgetExceededError(`Upstream API budget exhausted for ${options.hostname}`, budget.retryAfter));
+            return;
+        }
+
+        const host = options.hostname;
+        logger.debug('Upstream request', { host, path: options.path });
+        const stopTimer = upstreamRequestDuration.startTimer({ host });
+
+        // The host stays in options so metrics, budgets and fixtures use the real API's name
+        const transport = UPSTREAM_TARGET?.protocol === 'http:' ? http : https;
+        const requestOptions = UPSTREAM_TARGET
+            ? { ...options, protocol: UPSTREAM_TARGET.protocol, hostname: UPSTREAM_TARGET.hostname, port: UPSTREAM_TARGET.port }
+            : options;
+
+        const req = transport.request(requestOptions, (res) => {
+            const chunks = [];
             
             res.on('data', (chunk) => {
-                data += chunk;
+                chunks.push(chunk);
             });
             
             res.on('end', () => {
+                const durationMs = Math.round(stopTimer() * 1000);
+                upstreamRequestsTotal.inc({ host, status: res.statusCode });
+                logger.info('Upstream response', { host, path: options.path, status: res.statusCode, durationMs });
+
+                const body = Buffer.concat(chunks);
+                if (UPSTREAM_MODE === 'record') {
+                    saveFixture(options.method || 'GET', `https://${host}${options.path}`, {
+                        statusCode: res.statusCode,
+                        headers: res.headers,
+                        body
+                    });
+                }
+
                 try {
-                    console.log(`Response status code: ${res.statusCode}`);
-                    console.log(`Response headers:`, res.headers);
-                    
-                    const parsedData = JSON.parse(data);
-                    
-                    // Check if the API returned an error message
-                    if (res.statusCode !== 200) {
-                        console.error(`API Error Response:`, parsedData);
-                        reject(new Error(`API Error (${res.statusCode}): ${parsedData.message || 'Unknown error'}`));
-                        return;
-                    }
-                    
-                    console.log('Successfully parsed response data');
-                    resolve(parsedData);
-                } catch (e) {
-                    if (Buffer.isBuffer(data)) {
-                        resolve(data); // For image responses
-                    } else {
-                        console.error('Failed to parse response:', e);
-                        console.error('Raw response:', data);
-                        reject(new Error(`Failed to parse response: ${e.message}`));
-                    }
+                    resolve(parseUpstreamResponse(options, res.statusCode, res.headers, body.toString('utf8')));
+                } catch (error) {
+                    reject(error);
                 }
             });
         });
         
         req.on('error', (error) => {
-            console.error('Request error:', error);
-            reject(new Error(`Network error: ${error.message}`));
+            stopTimer();
+            logger.warn('Upstream request failed', { host, path: options.path, error });
+            reject(new BadGatewayError(`Network error: ${error.message}`, 'UPSTREAM_UNREACHABLE'));
         });
 
-        // Handle timeout with increased duration
         req.setTimeout(REQUEST_TIMEOUT, () => {
-            console.error(`Request timed out after ${REQUEST_TIMEOUT}ms`);
+            logger.warn('Upstream request timed out', { host, path: options.path, timeoutMs: REQUEST_TIMEOUT });
+            reject(new GatewayTimeoutError(`Upstream API timed out: ${options.hostname}`));
             req.destroy();
-            reject(new Error('Request timeout'));
         });
         
         req.end();
     });
 };
 
+/**
+ * Makes an HTTP request with error mapping, retries and a circuit breaker
+ * Each attempt is counted against the upstream host's budget; idempotent
+ * requests are retried with exponential backoff after transient failures
+ * @param {Object} options - HTTP request options
+ * @param {Object} [settings] - Request settings
+ * @param {string} [settings.priority] - 'high' for calls a client is waiting on, 'low' for optional work
+ * @returns {Promise<Object>} Parsed response data
+ * @throws {NotFoundError} If the upstream API does not know the resource
+ * @throws {TooManyRequestsError} If the upstream API is rate limiting us
+ * @throws {BadGatewayError} If the upstream API fails or cannot be reached
+ * @throws {GatewayTimeoutError} If the upstream API does not answer in time
+ * @throws {ServiceUnavailableError} If the host's circuit is open or its budget is used up
+ */
+const makeRequest = (options, { priority = 'high' } = {}) => {
+    const breaker = getCircuitBreaker(options.hostname);
+    const attempt = async () => {
+        let circuit = null;
+        try {
+            // Replayed responses never reach the host, so its circuit does not apply
+            if (UPSTREAM_MODE !== 'replay') {
+                circuit = breaker.check();
+            }
+            if (circuit && !circuit.allowed) {
+                throw new ServiceUnavailableError(`Upstream API temporarily unavailable: ${options.hostname}`, circuit.retryAfter);
+            }
+            const data = await sendRequest(options, priority);
+            breaker.recordSuccess();
+            return data;
+        } catch (error) {
+            upstreamErrorsTotal.inc({ host: options.hostname, code: error.code || 'INTERNAL_ERROR' });
+            if (error instanceof ServiceUnavailableError) {
+                // Refused by the circuit or the budget, so the call was never sent and shows nothing about the host
+                if (circuit?.trial) {
+                    breaker.release();
+                }
+            } else if (TRANSIENT_ERROR_CODES.includes(error.code)) {
+                breaker.recordFailure();
+            } else {
+                // Any other answer, such as a 404, shows the host is up
+                breaker.recordSuccess();
+            }
+            throw error;
+        }
+    };
+
+    return withRetries(attempt, {
+        retries: IDEMPOTENT_METHODS.includes(options.method || 'GET') ? undefined : 0,
+        shouldRetry: error => TRANSIENT_ERROR_CODES.includes(error.code)
+    });
+};
+
 /**
  * Fetches movie data from OMDB API
  * @param {string} imdbId - IMDB ID of the movie
+ * @param {Object} [settings] - Request settings passed to makeRequest
  * @returns {Promise<Object>} Movie data from OMDB
- * @throws {Error} If IMDB ID is invalid or API request fails
+ * @throws {NotFoundError} If OMDB does not know the IMDB ID
+ * @throws {Error} If IMDB ID is missing or the API request fails
  */
-const getOMDBData = async (imdbId) => {
+const getOMDBData = async (imdbId, settings) => {
     if (!imdbId) {
         throw new Error('IMDB ID is required');
     }
 
     try {
-        const options = {
-            hostname: 'www.omdbapi.com',
-            path: `/?i=${imdbId}&apikey=${OMDB_API_KEY}`,
-            method: 'GET'
-        };
-        
-        const response = await makeRequest(options);
-        
-        if (response.Error) {
-            throw new Error(`OMDB API Error: ${response.Error}`);
-        }
-        
-        return response;
+        const data = await responseCache.wrap(`omdb:${imdbId}`, CACHE_TTLS.omdb, async () => {
+            const options = {
+                hostname: 'www.omdbapi.com',
+                path: `/?i=${imdbId}&apikey=${OMDB_API_KEY}`,
+                method: 'GET'
+            };
+            
+            const response = await makeRequest(options, settings);
+            
+            // OMDB answers unknown IDs with a 200 and an error message
+            if (response.Error) {
+                throw new NotFoundError(response.Error);
+            }
+            
+            return response;
+        });
+
+        // Every resolved title becomes searchable in the local index
+        titleIndex.add(data);
+        return data;
     } catch (error) {
+        if (isHttpError(error)) {
+            throw error;
+        }
         throw new Error(`Failed to get OMDB data: ${error.message}`);
     }
 };
 
+/**
+ * Fetches season or episode data for a series from OMDB API
+ * @param {string} imdbId - IMDB ID of the series
+ * @param {number} season - Season number
+ * @param {number} [episode] - Episode number, omit for the whole season
+ * @returns {Promise<Object>} Season or episode data from OMDB
+ * @throws {NotFoundError} If OMDB has no such season or episode
+ * @throws {Error} If the API request fails
+ */
+const getOMDBSeasonData = async (imdbId, season, episode) => {
+    if (!imdbId || !season) {
+        throw new Error('IMDB ID and season are required');
+    }
+
+    const episodeParam = episode ? `&Episode=${episode}` : '';
+
+    try {
+        const cacheKey = `omdb:${imdbId}:season:${season}:episode:${episode || 'all'}`;
+        return await responseCache.wrap(cacheKey, CACHE_TTLS.omdb, async () => {
+            const options = {
+                hostname: 'www.omdbapi.com',
+                path: `/?i=${imdbId}&Season=${season}${episodeParam}&apikey=${OMDB_API_KEY}`,
+                method: 'GET'
+            };
+            
+            const response = await makeRequest(options);
+            
+            if (response.Response === 'False') {
+                throw new NotFoundError(response.Error || 'Series or season not found!');
+            }
+            
+            return response;
+        });
+    } catch (error) {
+        if (isHttpError(error)) {
+            throw error;
+        }
+        throw new Error(`Failed to get OMDB season data: ${error.message}`);
+    }
+};
+
 /**
  * Combines movie data from both OMDB and Streaming APIs
  * @param {string} imdbId - IMDB ID of the movie
+ * @param {string} [country] - Country code for streaming availability
  * @returns {Promise<Object>} Combined movie data
- * @throws {ValidationError} If IMDB ID is invalid
+ * @throws {ValidationError} If IMDB ID or country is invalid
  * @throws {APIError} If API requests fail
  */
-const getMovieDataById = async (imdbId) => {
+const getMovieDataById = async (imdbId, country) => {
     if (!imdbId || imdbId.trim() === '') {
         throw new ValidationError('You must supply an imdbID!');
     }
@@ -147,15 +617,14 @@ const getMovieDataById = async (imdbId) => {
         throw new ValidationError('Invalid IMDb ID format. Must start with "tt"');
     }
 
+    const countryCode = validateCountry(country);
+
     try {
         const [streamingData, omdbData] = await Promise.all([
-            getStreamingData(imdbId),
+            getStreamingData(imdbId, countryCode),
             getOMDBData(imdbId)
         ]);
 
-        if (omdbData.Response === 'False') {
-            throw new ValidationError(omdbData.Error || 'Incorrect IMDb ID.');
-        }
 
         return {
             ...omdbData,
@@ -166,18 +635,19 @@ const getMovieDataById = async (imdbId) => {
             }
         };
     } catch (error) {
-        if (error instanceof ValidationError) {
+        if (isHttpError(error)) {
             throw error;
         }
-        if (error.message.includes('not subscribed')) {
-            throw new APIError('API subscription error', 403);
-        }
         throw new APIError('The remote detail server returned an invalid response');
     }
 };
 
 // Renamed original getMovieDataById to getStreamingData
-const getStreamingData = async (imdbId) => {
+// Passing a null country returns the streaming options of every country
+// For series, a granularity of 'season' or 'episode' includes per-season availability
+// Background work such as watchlist checks passes a 'low' priority so it is shed before client requests,
+// and fresh to skip a cached answer; the fresh answer replaces the cached one
+const getStreamingData = async (imdbId, country = DEFAULT_COUNTRY, granularity = 'show', { priority = 'high', fresh = false } = {}) => {
     if (!imdbId) {
         throw new Error('IMDB ID is required');
     }
@@ -187,109 +657,553 @@ const getStreamingData = async (imdbId) => {
     }
 
     try {
-        const options = {
-            hostname: STREAMING_API_HOST,
-            path: `/shows/${imdbId}?country=us`,
-            method: 'GET',
-            headers: {
-                'X-RapidAPI-Key': STREAMING_API_KEY,
-                'X-RapidAPI-Host': STREAMING_API_HOST,
-                'Content-Type': 'application/json'
-            }
-        };
-        
-        return await makeRequest(options);
+        const cacheKey = `streaming:${imdbId}:${country || 'all'}:${granularity}`;
+        const params = new URLSearchParams();
+        if (country) {
+            params.set('country', country);
+        }
+        if (granularity !== 'show') {
+            params.set('series_granularity', granularity);
+        }
+        const query = params.toString();
+
+        if (fresh) {
+            responseCache.invalidate(cacheKey);
+        }
+        return await responseCache.wrap(cacheKey, CACHE_TTLS.streaming, () => {
+            const options = {
+                hostname: STREAMING_API_HOST,
+                path: query ? `/shows/${imdbId}?${query}` : `/shows/${imdbId}`,
+                method: 'GET',
+                headers: {
+                    'X-RapidAPI-Key': STREAMING_API_KEY,
+                    'X-RapidAPI-Host': STREAMING_API_HOST,
+                    'Content-Type': 'application/json'
+                }
+            };
+            
+            return makeRequest(options, { priority });
+        });
     } catch (error) {
+        if (isHttpError(error)) {
+            throw error;
+        }
         throw new Error(`Failed to get streaming data: ${error.message}`);
     }
 };
 
-// Updated search function to combine results
-const searchMovieByTitle = async (title) => {
+// Release year of a show, using the first air year for series
+const getShowYear = (show) => show.releaseYear || show.firstAirYear;
+
+/**
+ * Checks a streaming search result against the search filters
+ * @param {Object} show - Show returned by the Streaming API
+ * @param {Object} options - Parsed search options
+ * @returns {boolean} True if the show matches every filter
+ */
+const matchesSearchFilters = (show, options) => {
+    const year = getShowYear(show);
+    if (options.yearFrom && (!year || year < options.yearFrom)) {
+        return false;
+    }
+    if (options.yearTo && (!year || year > options.yearTo)) {
+        return false;
+    }
+
+    if (options.genres.length > 0) {
+        const genres = (show.genres || []).flatMap(genre => [
+            String(genre.id).toLowerCase(),
+            String(genre.name).toLowerCase()
+        ]);
+        if (!options.genres.some(genre => genres.includes(genre))) {
+            return false;
+        }
+    }
+
+    if (options.services.length > 0) {
+        const streamingOptions = show.streamingOptions?.[options.country] || [];
+        const services = streamingOptions.flatMap(option => [
+            String(option.service?.id).toLowerCase(),
+            String(option.service?.name).toLowerCase()
+        ]);
+        if (!options.services.some(service => services.includes(service))) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+// Comparators for each sort order; relevance keeps the upstream order
+const SEARCH_SORTERS = {
+    year: (a, b) => (getShowYear(b) || 0) - (getShowYear(a) || 0),
+    rating: (a, b) => (b.rating || 0) - (a.rating || 0)
+};
+
+// Search result built from streaming data alone, used until OMDB data is available
+const toBasicResult = (movie) => ({
+    Title: movie.title,
+    Year: String(getShowYear(movie) || ''),
+    imdbID: movie.imdbId,
+    streaming: {
+        poster: movie.imageSet?.verticalPoster?.w720,
+        rating: movie.rating, // Added rating from streaming API
+        options: movie.streamingOptions
+    }
+});
+
+/**
+ * Combines a streaming search match with its OMDB data
+ * Enrichment is optional, so it is skipped when the OMDB budget runs low
+ * or OMDB's circuit is open
+ * @param {Object} movie - Show returned by the Streaming API
+ * @returns {Promise<Object|null>} Combined result, the basic result marked
+ *   enrichmentDeferred if OMDB is unavailable, or null if the lookup failed
+ */
+const enrichSearchResult = async (movie) => {
+    const basicResult = toBasicResult(movie);
+
+    try {
+        const omdbData = await getOMDBData(movie.imdbId, { priority: 'low' });
+        return {
+            ...omdbData,
+            streaming: basicResult.streaming
+        };
+    } catch (error) {
+        if (error instanceof ServiceUnavailableError) {
+            return { ...basicResult, enrichmentDeferred: true };
+        }
+        logger.warn('Failed to enrich search result', { imdbId: movie.imdbId, error });
+        return null;
+    }
+};
+
+/**
+ * Searches the local title index and fetches the streaming data of the matches
+ * Matches without streaming data are left out
+ * @param {Object[]} indexMatches - Matches from the title index, best first
+ * @param {string} country - Country code for streaming availability
+ * @returns {Promise<Object[]>} Shows in the same shape as Streaming API search results
+ */
+const getIndexedShows = async (indexMatches, country) => {
+    const shows = await mapWithConcurrency(indexMatches, BATCH_CONCURRENCY, async ({ imdbId }) => {
+        try {
+            return await getStreamingData(imdbId, country);
+        } catch (error) {
+            if (!(error instanceof NotFoundError)) {
+                logger.warn('Failed to get streaming data for indexed title', { imdbId, error });
+            }
+            return null;
+        }
+    });
+    return shows.filter(show => show !== null);
+};
+
+/**
+ * Finds the shows matching a title, from the local title index or the Streaming API
+ * The index is used when the search source is index, or when it is auto and the index
+ * has a confident match; auto searches the index again, allowing typos, when the
+ * Streaming API finds nothing
+ * @param {string} title - Title to search for
+ * @param {Object} searchOptions - Parsed search options
+ * @returns {Promise<Object>} The shows found and where they came from: index or upstream
+ * @throws {NotFoundError} If no titles match
+ */
+const findShows = async (title, searchOptions) => {
+    const { country, showType, source } = searchOptions;
+    const indexMatches = source === 'upstream'
+        ? []
+        : titleIndex.search(title, { limit: INDEX_SEARCH_LIMIT, type: showType });
+
+    if (source === 'index' || (source === 'auto' && indexMatches[0]?.score >= INDEX_CONFIDENT_SCORE)) {
+        const shows = await getIndexedShows(indexMatches, country);
+        if (shows.length === 0) {
+            throw new NotFoundError(`No movies found with title: ${title}`);
+        }
+        return { source: 'index', shows };
+    }
+
+    try {
+        return { source: 'upstream', shows: await searchStreamingByTitle(title, country, showType) };
+    } catch (error) {
+        if (!(error instanceof NotFoundError) || indexMatches.length === 0) {
+            throw error;
+        }
+        const shows = await getIndexedShows(indexMatches, country);
+        if (shows.length === 0) {
+            throw error;
+        }
+        logger.debug('Answered search from the title index', { title, count: shows.length });
+        return { source: 'index', shows };
+    }
+};
+
+/**
+ * Finds the shows matching a title, then filters, sorts and paginates them
+ * @param {string} title - Title to search for
+ * @param {Object} [options] - Search query parameters, validated by parseSearchOptions
+ * @returns {Promise<Object>} Pagination details, the source of the matches (index or
+ *   upstream) and the streaming matches on the requested page
+ * @throws {ValidationError} If the title or options are invalid
+ * @throws {NotFoundError} If no titles match
+ * @throws {APIError} If API requests fail
+ */
+const findSearchMatches = async (title, options = {}) => {
     if (!title || title.trim() === '') {
         throw new ValidationError('You must supply a title!');
     }
 
+    const searchOptions = parseSearchOptions(options);
+
     try {
-        // Search in Streaming API
-        const streamingResults = await searchStreamingByTitle(title);
-        
-        // Get OMDB data for each result
-        const combinedResults = await Promise.all(
-            streamingResults.map(async (movie) => {
-                try {
-                    const omdbData = await getOMDBData(movie.imdbId);
-                    return {
-                        ...omdbData,
-                        streaming: {
-                            poster: movie.imageSet?.verticalPoster?.w720,
-                            rating: movie.rating, // Added rating from streaming API
-                            options: movie.streamingOptions
-                        }
-                    };
-                } catch (error) {
-                    console.error(`Failed to get OMDB data for ${movie.imdbId}:`, error);
-                    return null;
-                }
-            })
-        );
+        const { source, shows } = await findShows(title, searchOptions);
 
-        const validResults = combinedResults.filter(result => result !== null);
-        
-        if (validResults.length === 0) {
+        const matches = shows.filter(show => matchesSearchFilters(show, searchOptions));
+        if (searchOptions.sort !== 'relevance') {
+            matches.sort(SEARCH_SORTERS[searchOptions.sort]);
+        }
+
+        if (matches.length === 0) {
             throw new NotFoundError(`No movies found with title: ${title}`);
         }
-        
-        return validResults;
+
+        const { page, limit } = searchOptions;
+        return {
+            page,
+            limit,
+            total: matches.length,
+            totalPages: Math.ceil(matches.length / limit),
+            source,
+            matches: matches.slice((page - 1) * limit, page * limit)
+        };
     } catch (error) {
-        if (error instanceof ValidationError || error instanceof NotFoundError) {
+        if (isHttpError(error)) {
             throw error;
         }
         throw new APIError('The remote detail server returned an invalid response');
     }
 };
 
+/**
+ * Searches for titles, then filters, sorts and paginates the matches
+ * Only the returned page is enriched with OMDB data
+ * @param {string} title - Title to search for
+ * @param {Object} [options] - Search query parameters, validated by parseSearchOptions
+ * @returns {Promise<Object>} Page of combined results with pagination details
+ * @throws {ValidationError} If the title or options are invalid
+ * @throws {NotFoundError} If no titles match
+ * @throws {APIError} If API requests fail
+ */
+const searchMovieByTitle = async (title, options = {}) => {
+    const { matches, ...pagination } = await findSearchMatches(title, options);
+
+    // Get OMDB data for each result on the requested page
+    const combinedResults = await Promise.all(matches.map(enrichSearchResult));
+    const validResults = combinedResults.filter(result => result !== null);
+    
+    if (matches.length > 0 && validResults.length === 0) {
+        throw new NotFoundError(`No movies found with title: ${title}`);
+    }
+    
+    return {
+        ...pagination,
+        results: validResults
+    };
+};
+
+/**
+ * Searches for titles like searchMovieByTitle, but reports progress as it goes:
+ * the streaming matches as soon as they are known, then each title once its
+ * OMDB data arrives, so one slow lookup does not hold up the others
+ * @param {string} title - Title to search for
+ * @param {Object} [options] - Search query parameters, validated by parseSearchOptions
+ * @param {Object} handlers - Progress callbacks
+ * @param {Function} handlers.onMatches - Called once with the page of basic results
+ * @param {Function} handlers.onResult - Called with each enriched result
+ * @param {AbortSignal} [handlers.signal] - Stops reporting results once aborted
+ * @returns {Promise<Object>} Summary listing the titles whose enrichment was deferred or failed
+ * @throws {ValidationError} If the title or options are invalid
+ * @throws {NotFoundError} If no titles match
+ * @throws {APIError} If API requests fail
+ */
+const streamSearchByTitle = async (title, options, { onMatches, onResult, signal }) => {
+    const { matches, ...pagination } = await findSearchMatches(title, options);
+    onMatches({ ...pagination, results: matches.map(toBasicResult) });
+
+    const deferred = [];
+    const failed = [];
+    await Promise.all(matches.map(async (movie) => {
+        const result = await enrichSearchResult(movie);
+        if (!result) {
+            failed.push(movie.imdbId);
+        } else if (result.enrichmentDeferred) {
+            deferred.push(movie.imdbId);
+        } else if (!signal?.aborted) {
+            onResult(result);
+        }
+    }));
+
+    return {
+        ...pagination,
+        enriched: matches.length - deferred.length - failed.length,
+        deferred,
+        failed
+    };
+};
+
+/**
+ * Suggests titles for a partly typed query from the local title index
+ * Never calls the upstream APIs, so it is cheap enough to run on every keystroke
+ * @param {string} query - Text typed so far; may be incomplete or misspelled
+ * @param {Object} [options] - Autocomplete options
+ * @param {number} [options.limit] - Maximum number of suggestions (default 8)
+ * @param {string} [options.type] - movie, series or all (default)
+ * @returns {Object} The query and the suggestions, best first
+ * @throws {ValidationError} If the query or options are invalid
+ */
+const autocompleteTitles = (query, { limit = DEFAULT_AUTOCOMPLETE_LIMIT, type = 'all' } = {}) => {
+    if (!query || query.trim() === '') {
+        throw new ValidationError('You must supply a query!');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUTOCOMPLETE_LIMIT) {
+        throw new ValidationError(`limit must be an integer from 1 to ${MAX_AUTOCOMPLETE_LIMIT}`);
+    }
+    if (!SHOW_TYPES.includes(type)) {
+        throw new ValidationError(`type must be one of: ${SHOW_TYPES.join(', ')}`);
+    }
+
+    return {
+        query,
+        suggestions: titleIndex.search(query, { limit, type })
+    };
+};
+
 // Renamed original searchMovieByTitle to searchStreamingByTitle
-const searchStreamingByTitle = async (title) => {
+// A showType of 'all' searches both movies and series
+const searchStreamingByTitle = async (title, country = DEFAULT_COUNTRY, showType = 'movie') => {
     if (!title) {
         throw new Error('Movie title is required');
     }
 
     try {
-        console.log(`Searching for movie title: ${title}`);
-        const options = {
-            hostname: STREAMING_API_HOST,
-            path: `/shows/search/title?title=${encodeURIComponent(title)}&country=us&show_type=movie&output_language=en`,
-            method: 'GET',
-            headers: {
-                'X-RapidAPI-Key': STREAMING_API_KEY,
-                'X-RapidAPI-Host': STREAMING_API_HOST,
-                'Content-Type': 'application/json'
+        const cacheKey = `search:${country}:${showType}:${title.trim().toLowerCase()}`;
+        const showTypeParam = showType === 'all' ? '' : `&show_type=${showType}`;
+        const response = await responseCache.wrap(cacheKey, CACHE_TTLS.search, async () => {
+            const options = {
+                hostname: STREAMING_API_HOST,
+                path: `/shows/search/title?title=${encodeURIComponent(title)}&country=${country}${showTypeParam}&output_language=en`,
+                method: 'GET',
+                headers: {
+                    'X-RapidAPI-Key': STREAMING_API_KEY,
+                    'X-RapidAPI-Host': STREAMING_API_HOST,
+                    'Content-Type': 'application/json'
+                }
+            };
+            
+            const results = await makeRequest(options);
+            
+            // Empty results are not cached so a later search can find new titles
+            if (!results || !results.length) {
+                throw new NotFoundError(`No movies found with title: ${title}`);
             }
-        };
-        
-        console.log('Request options:', {
-            url: `https://${options.hostname}${options.path}`,
-            method: options.method,
-            headers: options.headers
+            
+            return results;
         });
         
-        const response = await makeRequest(options);
-        
-        if (!response || !response.length) {
-            console.log('No movies found in response');
-            throw new Error(`No movies found with title: ${title}`);
-        }
-        
-        console.log(`Found ${response.length} movies`);
+        logger.debug('Title search results', { title, count: response.length });
         return response;
     } catch (error) {
-        console.error('Search error:', error);
+        if (isHttpError(error)) {
+            throw error;
+        }
         throw new Error(`Failed to search movies: ${error.message}`);
     }
 };
 
-const getMoviePoster = async (imdbId) => {
+/**
+ * Looks up many movies at once with bounded concurrency
+ * A failed lookup is reported on its own item instead of failing the batch
+ * @param {string[]} imdbIds - IMDB IDs to look up; duplicates are looked up once
+ * @param {string} [country] - Country code for streaming availability
+ * @param {Object} [options] - Batch options
+ * @param {Function} [options.onResult] - Called with each item as soon as it completes
+ * @param {AbortSignal} [options.signal] - Stops starting new lookups once aborted
+ * @returns {Promise<Object>} Items keyed by IMDB ID, each with a status and either data or an error
+ * @throws {ValidationError} If the list or country is invalid
+ */
+const getMovieBatch = async (imdbIds, country, { onResult, signal } = {}) => {
+    if (!Array.isArray(imdbIds) || imdbIds.length === 0) {
+        throw new ValidationError('You must supply a list of imdbIDs!');
+    }
+
+    if (imdbIds.some(imdbId => typeof imdbId !== 'string')) {
+        throw new ValidationError('Every imdbID must be a string');
+    }
+
+    const uniqueIds = [...new Set(imdbIds.map(imdbId => imdbId.trim()))];
+    if (uniqueIds.length > BATCH_MAX_IDS) {
+        throw new ValidationError(`A batch can contain at most ${BATCH_MAX_IDS} imdbIDs`);
+    }
+
+    const countryCode = validateCountry(country);
+
+    const items = await mapWithConcurrency(uniqueIds, BATCH_CONCURRENCY, async (imdbId) => {
+        let item;
+        try {
+            item = { imdbId, status: 200, data: await getMovieDataById(imdbId, countryCode) };
+        } catch (error) {
+            const { status, code, message } = describeError(error);
+            item = { imdbId, status, error: { code, message } };
+        }
+        if (onResult) {
+            onResult(item);
+        }
+        return item;
+    }, { signal });
+
+    const completed = items.filter(Boolean);
+    return {
+        country: countryCode,
+        count: completed.length,
+        errors: completed.filter(item => item.error).length,
+        results: completed.reduce((result, { imdbId, ...item }) => {
+            result[imdbId] = item;
+            return result;
+        }, {})
+    };
+};
+
+/**
+ * Compares the streaming options of one title across several countries
+ * Uses a single upstream request covering every country
+ * @param {string} imdbId - IMDB ID of the movie
+ * @param {string[]} countries - Country codes to compare
+ * @returns {Promise<Object>} Streaming options keyed by country code
+ * @throws {ValidationError} If IMDB ID or a country is invalid
+ * @throws {APIError} If API requests fail
+ */
+const getAvailabilityByCountry = async (imdbId, countries) => {
+    if (!imdbId || imdbId.trim() === '') {
+        throw new ValidationError('You must supply an imdbID!');
+    }
+
+    if (!imdbId.startsWith('tt')) {
+        throw new ValidationError('Invalid IMDb ID format. Must start with "tt"');
+    }
+
+    if (!Array.isArray(countries) || countries.length === 0) {
+        throw new ValidationError('You must supply at least one country!');
+    }
+
+    const countryCodes = [...new Set(countries.map(validateCountry))];
+
+    try {
+        const streamingData = await getStreamingData(imdbId, null);
+        const allOptions = streamingData.streamingOptions || {};
+
+        return {
+            imdbId,
+            title: streamingData.title,
+            availability: countryCodes.reduce((result, code) => {
+                result[code] = allOptions[code] || [];
+                return result;
+            }, {})
+        };
+    } catch (error) {
+        if (isHttpError(error)) {
+            throw error;
+        }
+        throw new APIError('The remote detail server returned an invalid response');
+    }
+};
+
+/**
+ * Downloads an image over HTTP or HTTPS, following redirects
+ * @param {string} imageUrl - Image URL
+ * @param {number} [redirectsLeft] - Redirects still allowed
+ * @returns {Promise<Object>} Image data and response headers
+ * @throws {BadGatewayError} If the download fails or returns no data
+ * @throws {GatewayTimeoutError} If the image host does not answer in time
+ */
+const downloadImage = (imageUrl, redirectsLeft = MAX_POSTER_REDIRECTS) => {
+    return new Promise((resolve, reject) => {
+        const transport = imageUrl.startsWith('http:') ? http : https;
+        const imageRequest = transport.get(imageUrl, {
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+                'Accept': 'image/webp,image/apng,image/*,*/*;q=0.8',
+                'Accept-Encoding': 'gzip, deflate, br',
+                'Accept-Language': 'en-US,en;q=0.9',
+                'Referer': imageUrl.includes('rapidapi') ? 
+                    'https://streaming-availability.p.rapidapi.com/' : 
+                    'http://www.omdbapi.com/'
+            }
+        }, (response) => {
+            // Handle redirects
+            if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location) {
+                response.resume();
+                if (redirectsLeft === 0) {
+                    reject(new BadGatewayError('Too many redirects while fetching poster'));
+                    return;
+                }
+                const location = new URL(response.headers.location, imageUrl).toString();
+                logger.debug('Following poster redirect', { url: location });
+                resolve(downloadImage(location, redirectsLeft - 1));
+                return;
+            }
+
+            if (response.statusCode !== 200) {
+                response.resume();
+                logger.warn('Poster fetch failed', { url: imageUrl, status: response.statusCode });
+                reject(new BadGatewayError(`Failed to fetch poster: HTTP ${response.statusCode}`));
+                return;
+            }
+
+            const chunks = [];
+            response.on('data', (chunk) => chunks.push(chunk));
+            response.on('end', () => {
+                const posterData = Buffer.concat(chunks);
+                if (posterData.length === 0) {
+                    reject(new BadGatewayError('Received empty poster data', 'UPSTREAM_INVALID_RESPONSE'));
+                    return;
+                }
+                resolve({ data: posterData, headers: response.headers });
+            });
+            response.on('error', (error) => reject(new BadGatewayError(`Poster download failed: ${error.message}`, 'UPSTREAM_UNREACHABLE')));
+        }).on('error', (error) => reject(new BadGatewayError(`Poster request failed: ${error.message}`, 'UPSTREAM_UNREACHABLE')));
+
+        imageRequest.setTimeout(REQUEST_TIMEOUT, () => {
+            imageRequest.destroy();
+            reject(new GatewayTimeoutError('Poster request timeout'));
+        });
+    });
+};
+
+/**
+ * Fetches poster image data, from the fixtures directory in replay mode
+ * @param {string} posterUrl - Upstream poster URL
+ * @returns {Promise<Buffer>} Image data
+ * @throws {BadGatewayError} If the poster cannot be fetched, or was not recorded in replay mode
+ * @throws {GatewayTimeoutError} If the image host does not answer in time
+ */
+const fetchPoster = async (posterUrl) => {
+    if (UPSTREAM_MODE === 'replay') {
+        const fixture = loadFixture('GET', posterUrl);
+        if (!fixture) {
+            throw fixtureMissingError('GET', posterUrl);
+        }
+        return fixture.body;
+    }
+
+    const { data, headers } = await downloadImage(posterUrl);
+    if (UPSTREAM_MODE === 'record') {
+        saveFixture('GET', posterUrl, { statusCode: 200, headers, body: data });
+    }
+    return data;
+};
+
+// A size such as 'w480' prefers the upstream poster of that width
+const getMoviePoster = async (imdbId, size = null) => {
     if (!imdbId || imdbId.trim() === '') {
         throw new ValidationError('You must supply an imdbID!');
     }
@@ -302,80 +1216,22 @@ const getMoviePoster = async (imdbId) => {
         ]);
         
         // Check all possible poster sources in order of preference
-        const posterUrl = streamingData.imageSet?.verticalPoster?.w720 || 
+        const posterUrl = (size && streamingData.imageSet?.verticalPoster?.[size]) ||
+                         streamingData.imageSet?.verticalPoster?.w720 || 
                          streamingData.imageSet?.verticalPoster?.w480 || 
                          streamingData.imageSet?.verticalPoster?.w360 || 
                          streamingData.imageSet?.horizontalPoster?.w720 ||
                          omdbData.Poster; // Fallback to OMDB poster
         
         if (!posterUrl) {
-            throw new Error(`No poster available for movie with IMDB ID: ${imdbId}`);
+            throw new NotFoundError(`No poster available for movie with IMDB ID: ${imdbId}`);
         }
         
-        console.log('Attempting to fetch poster from:', posterUrl);
+        logger.debug('Fetching upstream poster', { imdbId, url: posterUrl });
         
-        return new Promise((resolve, reject) => {
-            const posterRequest = https.get(posterUrl, {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                    'Accept': 'image/webp,image/apng,image/*,*/*;q=0.8',
-                    'Accept-Encoding': 'gzip, deflate, br',
-                    'Accept-Language': 'en-US,en;q=0.9',
-                    'Referer': posterUrl.includes('rapidapi') ? 
-                        'https://streaming-availability.p.rapidapi.com/' : 
-                        'http://www.omdbapi.com/'
-                }
-            }, (response) => {
-                // Handle redirects
-                if (response.statusCode === 301 || response.statusCode === 302) {
-                    console.log('Following redirect to:', response.headers.location);
-                    https.get(response.headers.location, (redirectResponse) => {
-                        if (redirectResponse.statusCode !== 200) {
-                            reject(new Error(`Failed to fetch poster after redirect: HTTP ${redirectResponse.statusCode}`));
-                            return;
-                        }
-                        
-                        const chunks = [];
-                        redirectResponse.on('data', (chunk) => chunks.push(chunk));
-                        redirectResponse.on('end', () => {
-                            const posterData = Buffer.concat(chunks);
-                            if (posterData.length === 0) {
-                                reject(new Error('Received empty poster data'));
-                                return;
-                            }
-                            resolve(posterData);
-                        });
-                    }).on('error', error => reject(new Error(`Redirect request failed: ${error.message}`)));
-                    return;
-                }
-
-                if (response.statusCode !== 200) {
-                    console.error('Poster fetch failed with status:', response.statusCode);
-                    console.error('Response headers:', response.headers);
-                    reject(new Error(`Failed to fetch poster: HTTP ${response.statusCode}`));
-                    return;
-                }
-
-                const chunks = [];
-                response.on('data', (chunk) => chunks.push(chunk));
-                response.on('end', () => {
-                    const posterData = Buffer.concat(chunks);
-                    if (posterData.length === 0) {
-                        reject(new Error('Received empty poster data'));
-                        return;
-                    }
-                    resolve(posterData);
-                });
-                response.on('error', (error) => reject(new Error(`Poster download failed: ${error.message}`)));
-            }).on('error', (error) => reject(new Error(`Poster request failed: ${error.message}`)));
-
-            posterRequest.setTimeout(10000, () => {
-                posterRequest.destroy();
-                reject(new Error('Poster request timeout'));
-            });
-        });
+        return await fetchPoster(posterUrl);
     } catch (error) {
-        if (error instanceof ValidationError) {
+        if (isHttpError(error)) {
             throw error;
         }
         throw new APIError('The image could not be found or could not be read');
@@ -384,10 +1240,37 @@ const getMoviePoster = async (imdbId) => {
 
 module.exports = {
     searchMovieByTitle,
+    streamSearchByTitle,
+    autocompleteTitles,
     getMovieDataById,
     getMoviePoster,
     getOMDBData,
+    getOMDBSeasonData,
+    getStreamingData,
+    getAvailabilityByCountry,
+    getMovieBatch,
+    validateCountry,
+    parseSearchOptions,
+    DEFAULT_COUNTRY,
+    SUPPORTED_COUNTRIES,
+    SHOW_TYPES,
+    SORT_ORDERS,
+    SEARCH_SOURCES,
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
     ValidationError,
     NotFoundError,
-    APIError
+    UnauthorizedError,
+    ForbiddenError,
+    MethodNotAllowedError,
+    NotAcceptableError,
+    PayloadTooLargeError,
+    TooManyRequestsError,
+    BadGatewayError,
+    ServiceUnavailableError,
+    BudgetExceededError,
+    GatewayTimeoutError,
+    APIError,
+    isHttpError,
+    describeError
 }; 
\ No newline at end of file
@@ -0,0 +1,488 @@
+/**
+ * Poster Service Module
+ * Manages locally uploaded posters and their version history
+ * The current poster is kept at posters/<id>.<jpg|png|webp>; every upload is also
+ * stored under posters/.history/<id>/ together with a history.json manifest
+ * Resized variants are generated on first request and cached under posters/.variants/<id>/
+ * Posters fetched from the upstream APIs are cached separately in POSTER_CACHE_DIR
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('./config');
+const { ValidationError, NotFoundError, getMoviePoster, getOMDBData } = require('./movieService');
+const { logger } = require('./logService');
+const {
+    IMAGE_SIGNATURES,
+    detectImageType,
+    getImageType,
+    resizeImage
+} = require('./imageService');
+
+// Storage Configuration
+const POSTERS_DIR = path.join(__dirname, 'posters');
+const HISTORY_DIR = path.join(POSTERS_DIR, '.history');
+const VARIANTS_DIR = path.join(POSTERS_DIR, '.variants');
+const POSTER_EXTENSIONS = IMAGE_SIGNATURES.map(signature => `.${signature.extension}`);
+const POSTER_CACHE_DIR = config.posterCacheDir;
+const POSTER_CACHE_TTL = config.posterCacheTtl;
+
+// Ensure posters directory exists for local storage
+if (!fs.existsSync(POSTERS_DIR)) {
+    fs.mkdirSync(POSTERS_DIR);
+}
+
+/**
+ * Validates an IMDb ID before it is used in a file path
+ * @param {string} imdbId - IMDB ID of the movie
+ * @throws {ValidationError} If the ID is missing or malformed
+ */
+const validatePosterId = (imdbId) => {
+    if (!imdbId || imdbId.trim() === '') {
+        throw new ValidationError('You must supply an imdbID!');
+    }
+
+    if (!/^tt\d+$/.test(imdbId)) {
+        throw new ValidationError('Invalid IMDb ID format. Must start with "tt"');
+    }
+};
+
+/**
+ * Checks that a movie exists before a poster is stored for it
+ * Shared by the upload endpoints and the CLI so neither keeps posters for unknown IDs
+ * @param {string} imdbId - IMDB ID of the movie
+ * @returns {Promise<void>}
+ * @throws {ValidationError} If the ID is missing or malformed
+ * @throws {NotFoundError} If OMDB does not know the movie
+ */
+const verifyPosterTitle = async (imdbId) => {
+    validatePosterId(imdbId);
+    await getOMDBData(imdbId);
+};
+
+const getPosterPath = (imdbId, extension) => path.join(POSTERS_DIR, `${imdbId}.${extension}`);
+const getHistoryDir = (imdbId) => path.join(HISTORY_DIR, imdbId);
+const getManifestPath = (imdbId) => path.join(getHistoryDir(imdbId), 'history.json');
+const getVersionPath = (imdbId, version, extension) =>
+    path.join(getHistoryDir(imdbId), `v${version}.${extension}`);
+const getVariantPath = (imdbId, version, size, extension) =>
+    path.join(VARIANTS_DIR, imdbId, `v${version}-${size}.${extension}`);
+
+// Versions recorded before PNG/WebP support have no format and are JPEGs
+const getEntryType = (entry) => getImageType(entry.format || 'jpeg');
+
+// Path of the current poster in whichever format it was uploaded, or null
+const findPosterPath = (imdbId) => {
+    return IMAGE_SIGNATURES
+        .map(signature => getPosterPath(imdbId, signature.extension))
+        .find(posterPath => fs.existsSync(posterPath)) || null;
+};
+
+// Removes the current poster in every format
+const removePosterFiles = (imdbId) => {
+    IMAGE_SIGNATURES.forEach((signature) => {
+        const posterPath = getPosterPath(imdbId, signature.extension);
+        if (fs.existsSync(posterPath)) {
+            fs.unlinkSync(posterPath);
+        }
+    });
+};
+
+const checksum = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Renames a file, copying instead when the source is on another device
+const moveFile = (source, destination) => {
+    try {
+        fs.renameSync(source, destination);
+    } catch (error) {
+        if (error.code !== 'EXDEV') {
+            throw error;
+        }
+        fs.copyFileSync(source, destination);
+        fs.unlinkSync(source);
+    }
+};
+
+const writeManifest = (imdbId, manifest) => {
+    fs.mkdirSync(getHistoryDir(imdbId), { recursive: true });
+    fs.writeFileSync(getManifestPath(imdbId), JSON.stringify(manifest, null, 2));
+};
+
+/**
+ * Reads the version manifest of a poster
+ * Posters uploaded before version tracking are adopted as version 1
+ * @param {string} imdbId - IMDB ID of the movie
+ * @returns {Object} Manifest with currentVersion and versions list
+ */
+const readManifest = (imdbId) => {
+    const manifestPath = getManifestPath(imdbId);
+    if (fs.existsSync(manifestPath)) {
+        return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    }
+
+    const manifest = { imdbId, currentVersion: null, versions: [] };
+    const posterPath = findPosterPath(imdbId);
+
+    if (posterPath) {
+        const data = fs.readFileSync(posterPath);
+        const stats = fs.statSync(posterPath);
+        const imageType = detectImageType(data) || getImageType('jpeg');
+        fs.mkdirSync(getHistoryDir(imdbId), { recursive: true });
+        fs.writeFileSync(getVersionPath(imdbId, 1, imageType.extension), data);
+        manifest.currentVersion = 1;
+        manifest.versions.push({
+            version: 1,
+            uploader: null,
+            uploadedAt: stats.mtime.toISOString(),
+            size: data.length,
+            checksum: checksum(data),
+            format: imageType.type
+        });
+        writeManifest(imdbId, manifest);
+    }
+
+    return manifest;
+};
+
+/**
+ * Makes a stored version the current poster, replacing any other format
+ * @param {string} imdbId - IMDB ID of the movie
+ * @param {Object} entry - Manifest entry of the version
+ */
+const setCurrentPoster = (imdbId, entry) => {
+    const { extension } = getEntryType(entry);
+    removePosterFiles(imdbId);
+    fs.copyFileSync(getVersionPath(imdbId, entry.version, extension), getPosterPath(imdbId, extension));
+};
+
+/**
+ * Reads the current local poster of a movie, optionally as a resized variant
+ * Variants are generated on first request and cached per version
+ * @param {string} imdbId - IMDB ID of the movie
+ * @param {string} [size] - Variant size such as 'w480'
+ * @returns {Promise<Object|null>} Poster data, MIME type and modification time, or null if no local poster exists
+ * @throws {ValidationError} If the ID is invalid
+ */
+const getLocalPoster = async (imdbId, size = null) => {
+    validatePosterId(imdbId);
+
+    const posterPath = findPosterPath(imdbId);
+    if (!posterPath) {
+        return null;
+    }
+
+    const manifest = readManifest(imdbId);
+    const entry = manifest.versions.find(item => item.version === manifest.currentVersion);
+    const imageType = entry ? getEntryType(entry) : detectImageType(fs.readFileSync(posterPath));
+
+    if (!size || !entry) {
+        return {
+            data: fs.readFileSync(posterPath),
+            mimeType: imageType.mimeType,
+            lastModified: fs.statSync(posterPath).mtime
+        };
+    }
+
+    const variantPath = getVariantPath(imdbId, entry.version, size, imageType.extension);
+    if (!fs.existsSync(variantPath)) {
+        const variant = await resizeImage(fs.readFileSync(posterPath), size);
+        fs.mkdirSync(path.dirname(variantPath), { recursive: true });
+        fs.writeFileSync(variantPath, variant);
+    }
+
+    return {
+        data: fs.readFileSync(variantPath),
+        mimeType: imageType.mimeType,
+        lastModified: fs.statSync(variantPath).mtime
+    };
+};
+
+// Base path of a fetched poster in the cache; the extension depends on its format
+const getFetchedPosterBase = (imdbId, size) => path.join(POSTER_CACHE_DIR, `${imdbId}-${size || 'full'}`);
+
+/**
+ * Reads a poster previously fetched from the upstream APIs
+ * Entries older than POSTER_CACHE_TTL are removed and treated as missing
+ * @param {string} imdbId - IMDB ID of the movie
+ * @param {string} [size] - Variant size such as 'w480'
+ * @returns {Object|null} Poster data, MIME type and fetch time, or null if not cached
+ * @throws {ValidationError} If the ID is invalid
+ */
+const getFetchedPoster = (imdbId, size = null) => {
+    validatePosterId(imdbId);
+
+    const base = getFetchedPosterBase(imdbId, size);
+    for (const signature of IMAGE_SIGNATURES) {
+        const cachePath = `${base}.${signature.extension}`;
+        if (fs.existsSync(cachePath)) {
+            const { mtime } = fs.statSync(cachePath);
+            if (Date.now() - mtime.getTime() > POSTER_CACHE_TTL) {
+                fs.unlinkSync(cachePath);
+                return null;
+            }
+            return {
+                data: fs.readFileSync(cachePath),
+                mimeType: signature.mimeType,
+                lastModified: mtime
+            };
+        }
+    }
+    return null;
+};
+
+/**
+ * Stores a poster fetched from the upstream APIs in the poster cache
+ * Data in an unrecognised format is not cached
+ * @param {string} imdbId - IMDB ID of the movie
+ * @param {string|null} size - Variant size such as 'w480', or null for the full poster
+ * @param {Buffer} data - Poster image data
+ * @returns {Object|null} Cached poster data, MIME type and fetch time
+ * @throws {ValidationError} If the ID is invalid
+ */
+const storeFetchedPoster = (imdbId, size, data) => {
+    validatePosterId(imdbId);
+
+    const imageType = detectImageType(data);
+    if (!imageType) {
+        return null;
+    }
+
+    const cachePath = `${getFetchedPosterBase(imdbId, size)}.${imageType.extension}`;
+    try {
+        fs.mkdirSync(POSTER_CACHE_DIR, { recursive: true });
+        fs.writeFileSync(cachePath, data);
+    } catch (error) {
+        logger.error('Failed to cache fetched poster', { imdbId, error });
+    }
+
+    return { data, mimeType: imageType.mimeType, lastModified: new Date() };
+};
+
+/**
+ * Gets the poster served for a title: the uploaded poster if there is one,
+ * otherwise the cached or freshly fetched upstream poster
+ * @param {string} imdbId - IMDB ID of the movie
+ * @param {string} [size] - Variant size such as 'w480'
+ * @returns {Promise<Object>} Poster data, MIME type, modification time and
+ *   source ('uploaded', 'cached' or 'upstream')
+ * @throws {ValidationError} If the ID is invalid
+ * @throws {NotFoundError} If no poster is available
+ * @throws {APIError} If the upstream poster cannot be fetched
+ */
+const getPoster = async (imdbId, size = null) => {
+    const poster = await getLocalPoster(imdbId, size);
+    if (poster) {
+        return { ...poster, source: 'uploaded' };
+    }
+
+    const fetchedPoster = getFetchedPoster(imdbId, size);
+    if (fetchedPoster) {
+        return { ...fetchedPoster, source: 'cached' };
+    }
+
+    let posterData = await getMoviePoster(imdbId, size);
+    if (size) {
+        // The upstream may not offer the requested width
+        posterData = await resizeImage(posterData, size);
+    }
+
+    // API-fetched posters are cached apart from uploads so they are not re-downloaded
+    const fetched = storeFetchedPoster(imdbId, size, posterData) || {
+        data: posterData,
+        mimeType: detectImageType(posterData)?.mimeType || 'application/octet-stream',
+        lastModified: new Date()
+    };
+    return { ...fetched, source: 'upstream' };
+};
+
+/**
+ * Records a new poster version in the manifest and makes it the current poster
+ * @param {string} imdbId - IMDB ID of the movie
+ * @param {Function} writeVersion - Writes the version file to the given path
+ * @param {Object} details - Size, checksum, uploader and image type of the version
+ * @returns {Object} Metadata of the stored version
+ */
+const addVersion = (imdbId, writeVersion, { size, checksum: fileChecksum, uploader, imageType }) => {
+    const manifest = readManifest(imdbId);
+    const version = manifest.versions.reduce((max, entry) => Math.max(max, entry.version), 0) + 1;
+    const entry = {
+        version,
+        uploader,
+        uploadedAt: new Date().toISOString(),
+        size,
+        checksum: fileChecksum,
+        format: imageType.type
+    };
+
+    fs.mkdirSync(getHistoryDir(imdbId), { recursive: true });
+    writeVersion(getVersionPath(imdbId, version, imageType.extension));
+    setCurrentPoster(imdbId, entry);
+
+    manifest.currentVersion = version;
+    manifest.versions.push(entry);
+    writeManifest(imdbId, manifest);
+
+    return entry;
+};
+
+/**
+ * Stores a new poster version and makes it the current poster
+ * @param {string} imdbId - IMDB ID of the movie
+ * @param {Buffer} data - Poster image data
+ * @param {Object} [metadata] - Upload details
+ * @param {string} [metadata.uploader] - Who uploaded the poster
+ * @returns {Object} Metadata of the stored version
+ * @throws {ValidationError} If the ID or data is invalid
+ */
+const savePoster = (imdbId, data, { uploader = null } = {}) => {
+    validatePosterId(imdbId);
+
+    if (!data || data.length === 0) {
+        throw new ValidationError('No image data found');
+    }
+
+    const imageType = detectImageType(data);
+    if (!imageType) {
+        throw new ValidationError('Only JPEG, PNG and WebP images are supported');
+    }
+
+    return addVersion(imdbId, versionPath => fs.writeFileSync(versionPath, data), {
+        size: data.length,
+        checksum: checksum(data),
+        uploader,
+        imageType
+    });
+};
+
+/**
+ * Stores a streamed upload as a new poster version and makes it the current poster
+ * The temporary upload file is moved into the history directory
+ * @param {string} imdbId - IMDB ID of the movie
+ * @param {Object} upload - Result of uploadService.receiveUpload
+ * @param {Object} [metadata] - Upload details
+ * @param {string} [metadata.uploader] - Who uploaded the poster
+ * @returns {Object} Metadata of the stored version
+ * @throws {ValidationError} If the ID is invalid or the upload is not a supported image
+ */
+const savePosterFile = (imdbId, upload, { uploader = null } = {}) => {
+    validatePosterId(imdbId);
+
+    if (!upload.imageType) {
+        throw new ValidationError('Only JPEG, PNG and WebP images are supported');
+    }
+
+    return addVersion(imdbId, versionPath => moveFile(upload.filePath, versionPath), {
+        size: upload.size,
+        checksum: upload.checksum,
+        uploader,
+        imageType: upload.imageType
+    });
+};
+
+/**
+ * Removes the current local poster so the API falls back to the upstream poster
+ * The version history is kept so the poster can be restored later
+ * @param {string} imdbId - IMDB ID of the movie
+ * @throws {ValidationError} If the ID is invalid
+ * @throws {NotFoundError} If no local poster exists
+ */
+const deletePoster = (imdbId) => {
+    validatePosterId(imdbId);
+
+    if (!findPosterPath(imdbId)) {
+        throw new NotFoundError(`No uploaded poster found for IMDb ID: ${imdbId}`);
+    }
+
+    const manifest = readManifest(imdbId);
+    removePosterFiles(imdbId);
+    manifest.currentVersion = null;
+    writeManifest(imdbId, manifest);
+};
+
+/**
+ * Gets the version history of a poster
+ * @param {string} imdbId - IMDB ID of the movie
+ * @returns {Object} Manifest with currentVersion and versions list
+ * @throws {ValidationError} If the ID is invalid
+ * @throws {NotFoundError} If the poster has never been uploaded
+ */
+const getPosterHistory = (imdbId) => {
+    validatePosterId(imdbId);
+
+    const manifest = readManifest(imdbId);
+    if (manifest.versions.length === 0) {
+        throw new NotFoundError(`No poster history found for IMDb ID: ${imdbId}`);
+    }
+    return manifest;
+};
+
+/**
+ * Restores an earlier poster version as the current poster
+ * @param {string} imdbId - IMDB ID of the movie
+ * @param {string|number} version - Version number to restore
+ * @returns {Object} Metadata of the restored version
+ * @throws {ValidationError} If the ID or version is invalid
+ * @throws {NotFoundError} If the version does not exist
+ */
+const rollbackPoster = (imdbId, version) => {
+    validatePosterId(imdbId);
+
+    const versionNumber = Number(version);
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+        throw new ValidationError('Version must be a positive integer');
+    }
+
+    const manifest = readManifest(imdbId);
+    const entry = manifest.versions.find(item => item.version === versionNumber);
+    if (!entry || !fs.existsSync(getVersionPath(imdbId, versionNumber, getEntryType(entry).extension))) {
+        throw new NotFoundError(`Poster version ${versionNumber} not found for IMDb ID: ${imdbId}`);
+    }
+
+    setCurrentPoster(imdbId, entry);
+    manifest.currentVersion = versionNumber;
+    writeManifest(imdbId, manifest);
+
+    return entry;
+};
+
+/**
+ * Lists every movie with a current local poster
+ * @returns {Object[]} Metadata of each current poster
+ */
+const listPosters = () => {
+    return fs.readdirSync(POSTERS_DIR)
+        .map(file => path.parse(file))
+        .filter(file => POSTER_EXTENSIONS.includes(file.ext) && /^tt\d+$/.test(file.name))
+        .map(({ name: imdbId }) => {
+            const manifest = readManifest(imdbId);
+            const current = manifest.versions.find(item => item.version === manifest.currentVersion);
+            return {
+                imdbId,
+                path: `/posters/${imdbId}`,
+                currentVersion: manifest.currentVersion,
+                versionCount: manifest.versions.length,
+                uploader: current ? current.uploader : null,
+                uploadedAt: current ? current.uploadedAt : null,
+                size: current ? current.size : null,
+                checksum: current ? current.checksum : null,
+                mimeType: current ? getEntryType(current).mimeType : null
+            };
+        });
+};
+
+module.exports = {
+    POSTERS_DIR,
+    validatePosterId,
+    verifyPosterTitle,
+    getLocalPoster,
+    getFetchedPoster,
+    storeFetchedPoster,
+    getPoster,
+    savePoster,
+    savePosterFile,
+    deletePoster,
+    getPosterHistory,
+    rollbackPoster,
+    listPosters
+};
@@ -0,0 +1,194 @@
+/**
+ * Rate Limit Service Module
+ * Token-bucket rate limiting per client, and budgeting of upstream API calls
+ * so one client cannot exhaust the shared RapidAPI and OMDB quotas
+ */
+
+const { config } = require('./config');
+const { LRUCache } = require('./cacheService');
+
+// Client Rate Limit Configuration
+const RATE_LIMIT_CAPACITY = config.rateLimitCapacity; // Burst size
+const RATE_LIMIT_REFILL_PER_SECOND = config.rateLimitRefillPerSecond;
+const RATE_LIMIT_MAX_CLIENTS = 10000; // Buckets tracked at once; idle clients are evicted first
+
+// Failed Authentication Limit Configuration (per IP address, checked before the API key is looked up)
+const AUTH_FAILURE_CAPACITY = config.authFailureCapacity;
+const AUTH_FAILURE_REFILL_PER_SECOND = config.authFailureRefillPerSecond;
+
+// Upstream Budget Configuration (a limit of 0 means unlimited)
+const UPSTREAM_BUDGET_PERIOD = config.upstreamBudgetPeriod;
+const UPSTREAM_BUDGET_RESERVE = config.upstreamBudgetReserve;
+const UPSTREAM_BUDGETS = {
+    [config.streamingApiHost]: config.streamingApiBudget,
+    'www.omdbapi.com': config.omdbApiBudget
+};
+
+/**
+ * Token bucket that refills continuously up to its capacity
+ */
+class TokenBucket {
+    constructor(capacity, refillPerSecond) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        const elapsedSeconds = (now - this.updatedAt) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.refillPerSecond);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Takes one token if available
+     * @returns {Object} Whether the request is allowed, the remaining tokens,
+     *   seconds until the bucket is full and seconds until a token is available
+     */
+    take() {
+        this.refill();
+
+        const allowed = this.tokens >= 1;
+        if (allowed) {
+            this.tokens -= 1;
+        }
+        return this.describe(allowed);
+    }
+
+    /**
+     * Reports whether a token is available without taking it
+     * @returns {Object} Same shape as take
+     */
+    peek() {
+        this.refill();
+        return this.describe(this.tokens >= 1);
+    }
+
+    describe(allowed) {
+        return {
+            allowed,
+            limit: this.capacity,
+            remaining: Math.floor(this.tokens),
+            resetSeconds: Math.ceil((this.capacity - this.tokens) / this.refillPerSecond),
+            retryAfter: allowed ? 0 : Math.ceil((1 - this.tokens) / this.refillPerSecond)
+        };
+    }
+}
+
+/**
+ * Keeps one token bucket per client
+ */
+class RateLimiter {
+    constructor({
+        capacity = RATE_LIMIT_CAPACITY,
+        refillPerSecond = RATE_LIMIT_REFILL_PER_SECOND,
+        maxClients = RATE_LIMIT_MAX_CLIENTS
+    } = {}) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.buckets = new LRUCache(maxClients);
+    }
+
+    /**
+     * Consumes a token for a client
+     * @param {string} clientId - API key ID or IP address of the client
+     * @returns {Object} Result of TokenBucket.take
+     */
+    consume(clientId) {
+        return this.getBucket(clientId).take();
+    }
+
+    /**
+     * Reports a client's remaining tokens without consuming one
+     * @param {string} clientId - API key ID or IP address of the client
+     * @returns {Object} Result of TokenBucket.peek
+     */
+    peek(clientId) {
+        return this.getBucket(clientId).peek();
+    }
+
+    getBucket(clientId) {
+        let bucket = this.buckets.get(clientId);
+        if (!bucket) {
+            bucket = new TokenBucket(this.capacity, this.refillPerSecond);
+            this.buckets.set(clientId, bucket);
+        }
+        return bucket;
+    }
+}
+
+/**
+ * Counts upstream calls per host within a fixed period
+ * Low-priority calls are refused once only the reserved share of the budget is left,
+ * so that requests clients are waiting on can still be served
+ */
+class UpstreamBudget {
+    constructor({
+        budgets = UPSTREAM_BUDGETS,
+        period = UPSTREAM_BUDGET_PERIOD,
+        reserve = UPSTREAM_BUDGET_RESERVE
+    } = {}) {
+        this.budgets = budgets;
+        this.period = period;
+        this.reserve = reserve;
+        this.usage = new Map();
+    }
+
+    getUsage(host) {
+        const now = Date.now();
+        let usage = this.usage.get(host);
+        if (!usage || now >= usage.periodStart + this.period) {
+            usage = { periodStart: now, count: 0 };
+            this.usage.set(host, usage);
+        }
+        return usage;
+    }
+
+    /**
+     * Records an upstream call if the host's budget allows it
+     * @param {string} host - Upstream hostname
+     * @param {string} [priority] - 'high' for calls a client is waiting on, 'low' for optional work
+     * @returns {Object} Whether the call may proceed and seconds until the budget resets
+     */
+    tryConsume(host, priority = 'high') {
+        const limit = this.budgets[host];
+        if (!limit) {
+            return { allowed: true, retryAfter: 0 };
+        }
+
+        const usage = this.getUsage(host);
+        const available = priority === 'low'
+            ? Math.floor(limit * (1 - this.reserve))
+            : limit;
+
+        if (usage.count >= available) {
+            return {
+                allowed: false,
+                retryAfter: Math.ceil((usage.periodStart + this.period - Date.now()) / 1000)
+            };
+        }
+
+        usage.count++;
+        return { allowed: true, retryAfter: 0 };
+    }
+}
+
+// Shared instances used by the server and movie service
+const rateLimiter = new RateLimiter();
+// Failed authentications per IP address; an empty bucket blocks the IP before its key is checked
+const authFailureLimiter = new RateLimiter({
+    capacity: AUTH_FAILURE_CAPACITY,
+    refillPerSecond: AUTH_FAILURE_REFILL_PER_SECOND
+});
+const upstreamBudget = new UpstreamBudget();
+
+module.exports = {
+    TokenBucket,
+    RateLimiter,
+    UpstreamBudget,
+    rateLimiter,
+    authFailureLimiter,
+    upstreamBudget
+};
@@ -0,0 +1,346 @@
+/**
+ * Router Module
+ * Declarative routing with :param path patterns and per-route methods
+ * Validates path parameters, query strings and headers against each route's schema,
+ * and generates an OpenAPI 3 document from the route definitions
+ */
+
+const {
+    ValidationError,
+    NotFoundError,
+    MethodNotAllowedError
+} = require('./movieService');
+
+// Schema keywords copied into the OpenAPI document
+const OPENAPI_SCHEMA_KEYS = ['type', 'enum', 'pattern', 'minimum', 'maximum', 'default', 'format'];
+
+/**
+ * Compiles a path pattern such as /movies/data/:imdbId into a regular expression
+ * Parameters match a single path segment, which may be empty so that the
+ * route's own validation can report a missing value
+ * @param {string} pattern - Path pattern
+ * @returns {Object} Regular expression and parameter names
+ */
+const compilePath = (pattern) => {
+    const names = [];
+    const source = pattern
+        .split('/')
+        .map((segment) => {
+            if (segment.startsWith(':')) {
+                names.push(segment.slice(1));
+                return '([^/]*)';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+
+    return { regex: new RegExp(`^${source}$`), names };
+};
+
+// Resolves a schema message that may depend on the rejected value
+const schemaMessage = (message, value, fallback) => {
+    if (typeof message === 'function') {
+        return message(value);
+    }
+    return message || fallback;
+};
+
+/**
+ * Validates and converts a single parameter value
+ * @param {string} name - Parameter name
+ * @param {string|undefined} raw - Raw value from the path or query string
+ * @param {Object} schema - Parameter schema
+ * @returns {*} Converted value, the schema default, or undefined if not supplied
+ * @throws {ValidationError} If the value does not satisfy the schema
+ */
+const validateValue = (name, raw, schema) => {
+    const value = Array.isArray(raw) ? raw[0] : raw;
+
+    // Parameters the handler's service validates itself are only documented here
+    if (schema.documentOnly) {
+        return value;
+    }
+
+    if (value === undefined || value === '') {
+        if (schema.required) {
+            throw new ValidationError(schemaMessage(schema.requiredMessage, value, `${name} is required`));
+        }
+        return schema.default;
+    }
+
+    const invalid = (fallback) => new ValidationError(schemaMessage(schema.message, value, fallback));
+
+    if (schema.type === 'integer' || schema.type === 'number') {
+        const number = Number(value);
+        if (Number.isNaN(number) || (schema.type === 'integer' && !Number.isInteger(number))) {
+            throw invalid(`${name} must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`);
+        }
+        if (schema.minimum !== undefined && number < schema.minimum) {
+            throw invalid(`${name} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && number > schema.maximum) {
+            throw invalid(`${name} must not be greater than ${schema.maximum}`);
+        }
+        return number;
+    }
+
+    if (schema.type === 'boolean') {
+        if (value !== 'true' && value !== 'false') {
+            throw invalid(`${name} must be true or false`);
+        }
+        return value === 'true';
+    }
+
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        throw invalid(`${name} has an invalid format`);
+    }
+
+    if (schema.enum) {
+        // Enums are matched case-insensitively and normalized to the listed value
+        const match = schema.enum.find(option => option.toLowerCase() === value.toLowerCase());
+        if (!match) {
+            throw invalid(`${name} must be one of: ${schema.enum.join(', ')}`);
+        }
+        return match;
+    }
+
+    return value;
+};
+
+/**
+ * Validates every parameter declared in a schema map
+ * Undeclared values are passed through unchanged
+ * @param {Object} values - Raw values keyed by name
+ * @param {Object} schemas - Parameter schemas keyed by name
+ * @returns {Object} Validated values
+ */
+const validateValues = (values, schemas = {}) => {
+    const result = { ...values };
+    Object.entries(schemas).forEach(([name, schema]) => {
+        const value = validateValue(name, values[name], schema);
+        if (value === undefined) {
+            delete result[name];
+        } else {
+            result[name] = value;
+        }
+    });
+    return result;
+};
+
+// Converts a parameter schema into an OpenAPI schema object
+const toOpenAPISchema = (schema) => {
+    return OPENAPI_SCHEMA_KEYS.reduce((result, key) => {
+        if (schema[key] !== undefined) {
+            result[key] = schema[key];
+        }
+        return result;
+    }, { type: schema.type || 'string' });
+};
+
+/**
+ * Matches requests to declared routes
+ *
+ * A route definition has the shape:
+ * {
+ *     method: 'GET',
+ *     path: '/movies/data/:imdbId',
+ *     summary: 'Short description',
+ *     tags: ['Movies'],
+ *     scope: 'read', // 'public' for endpoints that never need a key
+ *     params: { imdbId: { type: 'string', required: true } },
+ *     query: { country: { type: 'string', enum: [...] } },
+ *     headers: { 'X-API-Version': { type: 'string', enum: [...] } },
+ *     // documentOnly parameters appear in the OpenAPI document but are passed through unchecked
+ *     requestBody: { ...OpenAPI request body },
+ *     responses: { 200: { ...OpenAPI response } },
+ *     handler: async (req, res, { params, query }) => {}
+ * }
+ */
+class Router {
+    constructor() {
+        this.routes = [];
+    }
+
+    /**
+     * Adds a route definition
+     * @param {Object} definition - Route definition
+     * @returns {Router} The router, for chaining
+     */
+    add(definition) {
+        this.routes.push({ ...definition, ...compilePath(definition.path) });
+        return this;
+    }
+
+    /**
+     * Finds the route for a request
+     * HEAD requests are served by GET routes
+     * @param {string} method - HTTP method
+     * @param {string} pathname - Request path
+     * @returns {Object} Matched route and its raw path parameters
+     * @throws {NotFoundError} If no route matches the path
+     * @throws {MethodNotAllowedError} If routes match the path but not the method
+     */
+    match(method, pathname) {
+        const lookupMethod = method === 'HEAD' ? 'GET' : method;
+        const allowedMethods = [];
+
+        for (const route of this.routes) {
+            const match = route.regex.exec(pathname);
+            if (!match) {
+                continue;
+            }
+
+            if (route.method === lookupMethod) {
+                const params = {};
+                route.names.forEach((name, index) => {
+                    try {
+                        params[name] = decodeURIComponent(match[index + 1]);
+                    } catch (error) {
+                        throw new ValidationError(`Malformed path parameter: ${name}`);
+                    }
+                });
+                return { route, params };
+            }
+
+            if (!allowedMethods.includes(route.method)) {
+                allowedMethods.push(route.method);
+            }
+        }
+
+        if (allowedMethods.length > 0) {
+            if (allowedMethods.includes('GET')) {
+                allowedMethods.push('HEAD');
+            }
+            throw new MethodNotAllowedError(`Method ${method} not allowed`, [...allowedMethods, 'OPTIONS']);
+        }
+
+        throw new NotFoundError('Endpoint not found');
+    }
+
+    /**
+     * Validates a matched route's path parameters, query string and headers
+     * Only declared headers are returned, keyed by their declared names
+     * @param {Object} route - Matched route
+     * @param {Object} params - Raw path parameters
+     * @param {Object} query - Raw query string values
+     * @param {Object} [headers] - Request headers, with lowercase names
+     * @returns {Object} Validated params, query and headers
+     * @throws {ValidationError} If any value is invalid
+     */
+    validate(route, params, query, headers = {}) {
+        const declaredHeaders = Object.keys(route.headers || {}).reduce((result, name) => {
+            result[name] = headers[name.toLowerCase()];
+            return result;
+        }, {});
+
+        return {
+            params: validateValues(params, route.params),
+            query: validateValues(query, route.query),
+            headers: validateValues(declaredHeaders, route.headers)
+        };
+    }
+
+    /**
+     * Builds an OpenAPI 3 document describing every route
+     * @param {Object} info - OpenAPI info object (title, version, description)
+     * @returns {Object} OpenAPI document
+     */
+    toOpenAPI(info) {
+        const paths = {};
+
+        this.routes.forEach((route) => {
+            const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+            const parameters = [
+                ...Object.entries(route.params || {}).map(([name, schema]) => ({
+                    name,
+                    in: 'path',
+                    required: true,
+                    description: schema.description,
+                    schema: toOpenAPISchema(schema)
+                })),
+                ...Object.entries(route.query || {}).map(([name, schema]) => ({
+                    name,
+                    in: 'query',
+                    required: Boolean(schema.required),
+                    description: schema.description,
+                    schema: toOpenAPISchema(schema)
+                })),
+                ...Object.entries(route.headers || {}).map(([name, schema]) => ({
+                    name,
+                    in: 'header',
+                    required: Boolean(schema.required),
+                    description: schema.description,
+                    schema: toOpenAPISchema(schema)
+                }))
+            ];
+
+            const operation = {
+                operationId: route.operationId,
+                summary: route.summary,
+                tags: route.tags,
+                parameters,
+                responses: {
+                    ...route.responses,
+                    400: { $ref: '#/components/responses/Error' },
+                    429: { $ref: '#/components/responses/Error' },
+                    500: { $ref: '#/components/responses/Error' },
+                    502: { $ref: '#/components/responses/Error' },
+                    503: { $ref: '#/components/responses/Error' },
+                    504: { $ref: '#/components/responses/Error' }
+                }
+            };
+
+            if (route.requestBody) {
+                operation.requestBody = route.requestBody;
+            }
+
+            // Read routes work without a key unless PUBLIC_READ is disabled
+            if (route.scope === 'public') {
+                operation.security = [];
+            } else if (route.scope && route.scope !== 'read') {
+                operation.security = [{ ApiKeyAuth: [] }];
+                operation.description = `Requires an API key with the \`${route.scope}\` scope.`;
+                operation.responses[401] = { $ref: '#/components/responses/Error' };
+                operation.responses[403] = { $ref: '#/components/responses/Error' };
+            } else {
+                operation.security = [{}, { ApiKeyAuth: [] }];
+            }
+
+            paths[openApiPath] = paths[openApiPath] || {};
+            paths[openApiPath][route.method.toLowerCase()] = operation;
+        });
+
+        return {
+            openapi: '3.0.3',
+            info,
+            paths,
+            components: {
+                securitySchemes: {
+                    ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+                },
+                schemas: {
+                    Error: {
+                        type: 'object',
+                        properties: {
+                            error: { type: 'boolean', example: true },
+                            code: { type: 'string', example: 'NOT_FOUND' },
+                            message: { type: 'string' }
+                        }
+                    }
+                },
+                responses: {
+                    Error: {
+                        description: 'Error response',
+                        content: {
+                            'application/json': { schema: { $ref: '#/components/schemas/Error' } }
+                        }
+                    }
+                }
+            }
+        };
+    }
+}
+
+module.exports = {
+    Router
+};
@@ -0,0 +1,189 @@
+/**
+ * Series Service Module
+ * Merges OMDB series, season and episode data with
+ * per-season streaming availability from the Streaming Availability API
+ */
+
+const {
+    getOMDBData,
+    getOMDBSeasonData,
+    getStreamingData,
+    validateCountry,
+    ValidationError,
+    NotFoundError,
+    APIError,
+    isHttpError
+} = require('./movieService');
+
+/**
+ * Validates an IMDb ID supplied for a series
+ * @param {string} imdbId - IMDB ID of the series
+ * @throws {ValidationError} If the ID is missing or malformed
+ */
+const validateSeriesId = (imdbId) => {
+    if (!imdbId || imdbId.trim() === '') {
+        throw new ValidationError('You must supply an imdbID!');
+    }
+
+    if (!imdbId.startsWith('tt')) {
+        throw new ValidationError('Invalid IMDb ID format. Must start with "tt"');
+    }
+};
+
+/**
+ * Parses a season or episode number
+ * @param {string|number} value - Raw number from the request path
+ * @param {string} name - Name used in error messages
+ * @returns {number} The parsed number
+ * @throws {ValidationError} If the value is not a positive integer
+ */
+const parseNumber = (value, name) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new ValidationError(`${name} must be a positive integer`);
+    }
+    return number;
+};
+
+/**
+ * Converts upstream failures into the API error classes
+ * @param {Error} error - Error raised while fetching series data
+ * @returns {Error} Error to throw to the caller
+ */
+const toAPIError = (error) => {
+    if (isHttpError(error)) {
+        return error;
+    }
+    return new APIError('The remote detail server returned an invalid response');
+};
+
+// Streaming options of a season or episode for one country
+const getOptions = (item, country) => item?.streamingOptions?.[country] || [];
+
+/**
+ * Gets series details with the streaming availability of each season
+ * @param {string} imdbId - IMDB ID of the series
+ * @param {string} [country] - Country code for streaming availability
+ * @returns {Promise<Object>} Combined series data
+ * @throws {ValidationError} If the ID or country is invalid
+ * @throws {NotFoundError} If the ID does not belong to a series
+ * @throws {APIError} If API requests fail
+ */
+const getSeriesById = async (imdbId, country) => {
+    validateSeriesId(imdbId);
+    const countryCode = validateCountry(country);
+
+    try {
+        const [streamingData, omdbData] = await Promise.all([
+            getStreamingData(imdbId, countryCode, 'season'),
+            getOMDBData(imdbId)
+        ]);
+
+        if (omdbData.Type !== 'series') {
+            throw new NotFoundError(`No series found with IMDb ID: ${imdbId}`);
+        }
+
+        return {
+            ...omdbData,
+            streaming: {
+                poster: streamingData.imageSet?.verticalPoster?.w720,
+                rating: streamingData.rating,
+                options: streamingData.streamingOptions,
+                seasons: (streamingData.seasons || []).map((season, index) => ({
+                    season: index + 1,
+                    title: season.title,
+                    firstAirYear: season.firstAirYear,
+                    lastAirYear: season.lastAirYear,
+                    options: getOptions(season, countryCode)
+                }))
+            }
+        };
+    } catch (error) {
+        throw toAPIError(error);
+    }
+};
+
+/**
+ * Gets a season's episode list with per-episode streaming availability
+ * @param {string} imdbId - IMDB ID of the series
+ * @param {string|number} seasonNumber - Season number
+ * @param {string} [country] - Country code for streaming availability
+ * @returns {Promise<Object>} Combined season data
+ * @throws {ValidationError} If the ID, season or country is invalid
+ * @throws {NotFoundError} If the season does not exist
+ * @throws {APIError} If API requests fail
+ */
+const getSeasonById = async (imdbId, seasonNumber, country) => {
+    validateSeriesId(imdbId);
+    const season = parseNumber(seasonNumber, 'Season');
+    const countryCode = validateCountry(country);
+
+    try {
+        const [streamingData, omdbSeason] = await Promise.all([
+            getStreamingData(imdbId, countryCode, 'episode'),
+            getOMDBSeasonData(imdbId, season)
+        ]);
+
+        // Seasons are listed in order, so the season number maps to its position
+        const streamingSeason = streamingData.seasons?.[season - 1];
+
+        return {
+            ...omdbSeason,
+            Episodes: (omdbSeason.Episodes || []).map((episode) => ({
+                ...episode,
+                streaming: {
+                    options: getOptions(streamingSeason?.episodes?.[Number(episode.Episode) - 1], countryCode)
+                }
+            })),
+            streaming: {
+                title: streamingSeason?.title,
+                options: getOptions(streamingSeason, countryCode)
+            }
+        };
+    } catch (error) {
+        throw toAPIError(error);
+    }
+};
+
+/**
+ * Gets a single episode with its streaming availability
+ * @param {string} imdbId - IMDB ID of the series
+ * @param {string|number} seasonNumber - Season number
+ * @param {string|number} episodeNumber - Episode number within the season
+ * @param {string} [country] - Country code for streaming availability
+ * @returns {Promise<Object>} Combined episode data
+ * @throws {ValidationError} If the ID, season, episode or country is invalid
+ * @throws {NotFoundError} If the episode does not exist
+ * @throws {APIError} If API requests fail
+ */
+const getEpisodeById = async (imdbId, seasonNumber, episodeNumber, country) => {
+    validateSeriesId(imdbId);
+    const season = parseNumber(seasonNumber, 'Season');
+    const episode = parseNumber(episodeNumber, 'Episode');
+    const countryCode = validateCountry(country);
+
+    try {
+        const [streamingData, omdbEpisode] = await Promise.all([
+            getStreamingData(imdbId, countryCode, 'episode'),
+            getOMDBSeasonData(imdbId, season, episode)
+        ]);
+
+        const streamingEpisode = streamingData.seasons?.[season - 1]?.episodes?.[episode - 1];
+
+        return {
+            ...omdbEpisode,
+            streaming: {
+                title: streamingEpisode?.title,
+                options: getOptions(streamingEpisode, countryCode)
+            }
+        };
+    } catch (error) {
+        throw toAPIError(error);
+    }
+};
+
+module.exports = {
+    getSeriesById,
+    getSeasonById,
+    getEpisodeById
+};
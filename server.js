@@ -7,118 +7,1279 @@
 const http = require('http');
 const url = require('url');
 const fs = require('fs');
-const path = require('path');
-require('dotenv').config();
 
 // Import services and error classes
 const { 
     searchMovieByTitle, 
+    streamSearchByTitle,
+    autocompleteTitles,
     getMovieDataById,
-    getMoviePoster,
-    getOMDBData,
+    getAvailabilityByCountry,
+    getMovieBatch,
+    SUPPORTED_COUNTRIES,
+    SHOW_TYPES,
+    SORT_ORDERS,
+    SEARCH_SOURCES,
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
     ValidationError,
-    NotFoundError,
-    APIError
+    PayloadTooLargeError,
+    TooManyRequestsError,
+    UnauthorizedError,
+    isHttpError,
+    describeError
 } = require('./movieService');
+const {
+    getSeriesById,
+    getSeasonById,
+    getEpisodeById
+} = require('./seriesService');
+const {
+    POSTERS_DIR,
+    validatePosterId,
+    verifyPosterTitle,
+    getPoster,
+    savePosterFile,
+    deletePoster,
+    getPosterHistory,
+    rollbackPoster,
+    listPosters
+} = require('./posterService');
+const { receiveUpload, MAX_UPLOAD_BYTES } = require('./uploadService');
+const { POSTER_SIZES } = require('./imageService');
+const { sendImage } = require('./imageResponseService');
+const {
+    SCOPES,
+    createKey,
+    listKeys,
+    revokeKey,
+    authenticate,
+    requireScope
+} = require('./authService');
+const { rateLimiter, authFailureLimiter } = require('./rateLimitService');
+const { titleIndex } = require('./titleIndexService');
+const { QUALITIES, getWhereToWatch } = require('./whereToWatchService');
+const { getSimilarTitles } = require('./similarService');
+const {
+    createWatchlist,
+    listWatchlists,
+    getWatchlist,
+    updateWatchlist,
+    deleteWatchlist,
+    addWatchlistTitle,
+    removeWatchlistTitle,
+    checkWatchlist,
+    getAvailabilityHistory,
+    startWatchlistScheduler,
+    stopWatchlistScheduler
+} = require('./watchlistService');
+const {
+    MOVIE_SCHEMA_VERSIONS,
+    LATEST_MOVIE_SCHEMA_VERSION,
+    parseFields,
+    presentMovie
+} = require('./movieSchema');
+const { FORMATS, negotiateFormat, serialize } = require('./formatService');
+const { getCircuitBreaker, probeHost } = require('./upstreamService');
+const { config, configErrors } = require('./config');
+const { UPSTREAM_MODE, FIXTURES_DIR } = require('./fixtureService');
+const { Router } = require('./router');
+const { version } = require('./package.json');
+const { logger, getRequestId, runWithRequestId } = require('./logService');
+const { registry, httpRequestsTotal, httpRequestDuration } = require('./metricsService');
 
 // Server Configuration
-const PORT = process.env.PORT || 3000;
-const POSTERS_DIR = path.join(__dirname, 'posters');
+const PORT = config.port;
+const UPLOADED_POSTER_CACHE_CONTROL = 'no-cache'; // Uploads can change, so clients revalidate
+const FETCHED_POSTER_CACHE_CONTROL = 'public, max-age=86400';
+const MAX_JSON_BODY_BYTES = 64 * 1024;
+// Comma-separated list of allowed CORS origins, or * for any origin
+const CORS_ORIGINS = config.corsOrigins;
+const TRUST_PROXY = config.trustProxy; // Use X-Forwarded-For for client IPs
+const SHUTDOWN_TIMEOUT = config.shutdownTimeout; // Longest wait for in-flight requests on shutdown
+const UPSTREAM_HOSTS = [config.streamingApiHost, 'www.omdbapi.com'];
+// Server receiving upstream API requests in place of the real hosts, if any
+const UPSTREAM_TARGET = config.upstreamBaseUrl ? new URL(config.upstreamBaseUrl) : null;
+// Probe endpoints are not rate limited, so frequent health checks cannot exhaust a bucket
+const UNMETERED_PATHS = ['/healthz', '/readyz'];
 
-// Ensure posters directory exists for local storage
-if (!fs.existsSync(POSTERS_DIR)) {
-    fs.mkdirSync(POSTERS_DIR);
-}
+// Set once a shutdown signal arrives; readiness then fails so no new traffic is sent
+let shuttingDown = false;
 
 /**
- * Handles multipart form-data file uploads
- * Specifically designed for poster image uploads
+ * Works out the client's IP address, from X-Forwarded-For when behind a trusted proxy
  * @param {http.IncomingMessage} req - The HTTP request
- * @returns {Promise<Buffer>} The uploaded file data
- * @throws {Error} If file upload fails or invalid format
+ * @returns {string} IP address
  */
-const handleFileUpload = (req) => {
-    return new Promise((resolve, reject) => {
-        let data = [];
-        let fileData = null;
-        
-        // Check content type
-        const contentType = req.headers['content-type'] || '';
-        if (!contentType.includes('multipart/form-data')) {
-            reject(new Error('Invalid content type. Must be multipart/form-data'));
-            return;
-        }
-        
-        const boundary = contentType.split('boundary=')[1];
-        if (!boundary) {
-            reject(new Error('No boundary found in content type'));
-            return;
+const getClientIp = (req) => {
+    const forwardedFor = req.headers['x-forwarded-for'];
+    if (TRUST_PROXY && forwardedFor) {
+        return forwardedFor.split(',')[0].trim();
+    }
+    return req.socket.remoteAddress;
+};
+
+/**
+ * Identifies the client for rate limiting: its API key, or its IP address
+ * @param {http.IncomingMessage} req - The HTTP request
+ * @returns {string} Client identifier
+ */
+const getClientId = (req) => {
+    if (req.apiKey) {
+        return `key:${req.apiKey.id}`;
+    }
+    return `ip:${getClientIp(req)}`;
+};
+
+/**
+ * Applies the client's rate limit and sets the X-RateLimit-* headers
+ * @param {http.IncomingMessage} req - The HTTP request
+ * @param {http.ServerResponse} res - The HTTP response
+ * @throws {TooManyRequestsError} If the client has no requests left
+ */
+const applyRateLimit = (req, res) => {
+    const limit = rateLimiter.consume(getClientId(req));
+    res.setHeader('X-RateLimit-Limit', limit.limit);
+    res.setHeader('X-RateLimit-Remaining', limit.remaining);
+    res.setHeader('X-RateLimit-Reset', limit.resetSeconds);
+
+    if (!limit.allowed) {
+        throw new TooManyRequestsError('Too many requests, please slow down', limit.retryAfter);
+    }
+};
+
+/**
+ * Identifies the client by its API key, counting invalid keys against its IP address
+ * An IP that sent too many invalid keys is refused before its key is looked up,
+ * so keys cannot be guessed faster than the failure limit allows
+ * @param {http.IncomingMessage} req - The HTTP request
+ * @returns {Object|null} Metadata of the client's key, or null if no key was sent
+ * @throws {TooManyRequestsError} If the IP has no failed attempts left
+ * @throws {UnauthorizedError} If the key is unknown or revoked
+ */
+const authenticateRequest = (req) => {
+    const ip = getClientIp(req);
+    const failures = authFailureLimiter.peek(ip);
+    if (!failures.allowed) {
+        throw new TooManyRequestsError('Too many invalid API keys, please try again later', failures.retryAfter);
+    }
+
+    try {
+        return authenticate(req);
+    } catch (error) {
+        if (error instanceof UnauthorizedError) {
+            authFailureLimiter.consume(ip);
         }
+        throw error;
+    }
+};
 
-        req.on('data', chunk => {
-            data.push(chunk);
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} req - The HTTP request
+ * @returns {Promise<Object>} Parsed body, or an empty object if there is none
+ * @throws {ValidationError} If the body is not valid JSON
+ * @throws {PayloadTooLargeError} If the body is too large
+ */
+const readJsonBody = (req) => {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_JSON_BODY_BYTES) {
+                req.removeAllListeners('data');
+                req.resume();
+                reject(new PayloadTooLargeError(`Request body exceeds ${MAX_JSON_BODY_BYTES} bytes`));
+                return;
+            }
+            chunks.push(chunk);
         });
-        
+
         req.on('error', (error) => {
-            reject(new Error(`Upload error: ${error.message}`));
+            reject(new Error(`Request error: ${error.message}`));
         });
-        
+
         req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            if (body.trim() === '') {
+                resolve({});
+                return;
+            }
             try {
-                // Combine chunks into a single buffer
-                const buffer = Buffer.concat(data);
-                const bodyString = buffer.toString();
-                
-                // Parse multipart form data
-                const parts = bodyString.split(`--${boundary}`);
-                const imagePart = parts.find(part => 
-                    part.includes('Content-Type: image/') || 
-                    part.includes('Content-Type: application/octet-stream')
-                );
-                
-                if (!imagePart) {
-                    reject(new Error('No image file found in request'));
-                    return;
-                }
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(new ValidationError('Request body must be valid JSON'));
+            }
+        });
+    });
+};
+
+/**
+ * Receives a poster upload and stores it as a new poster version
+ * Shared by the add (POST) and replace (PUT) endpoints
+ * @param {http.IncomingMessage} req - The HTTP request
+ * @param {string} imdbId - IMDB ID of the movie
+ * @returns {Promise<Object>} Metadata of the stored version
+ * @throws {ValidationError} If the upload or movie ID is invalid
+ */
+const receivePoster = async (req, imdbId) => {
+    validatePosterId(imdbId);
+
+    // Accept raw image bodies and multipart/form-data; the real format is checked below
+    const contentType = req.headers['content-type'] || '';
+    if (!/^(image\/|application\/octet-stream|multipart\/form-data)/.test(contentType)) {
+        throw new ValidationError('Only JPEG, PNG and WebP images are supported');
+    }
+
+    let upload = null;
+    try {
+        await verifyPosterTitle(imdbId);
+        upload = await receiveUpload(req, { fieldName: 'poster' });
+
+        // The stored format comes from the file's magic bytes, not the declared content type
+        return savePosterFile(imdbId, upload, {
+            uploader: req.apiKey ? req.apiKey.name : null
+        });
+    } catch (error) {
+        if (isHttpError(error)) {
+            throw error;
+        }
+        throw new ValidationError(error.message);
+    } finally {
+        if (upload) {
+            fs.unlink(upload.filePath, () => {}); // Remove the temporary file if it was not stored
+        }
+    }
+};
+
+/**
+ * Checks that a directory exists and can be written to
+ * @param {string} dir - Directory path
+ * @returns {Object} Check result
+ */
+const checkWritable = (dir) => {
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.accessSync(dir, fs.constants.W_OK);
+        return { ok: true };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    }
+};
+
+/**
+ * Checks that an upstream API can be reached, at UPSTREAM_BASE_URL when it is set
+ * @param {string} host - Upstream API hostname
+ * @returns {Promise<Object>} Probe result
+ */
+const probeUpstream = (host) => {
+    if (!UPSTREAM_TARGET) {
+        return probeHost(host);
+    }
+    const secure = UPSTREAM_TARGET.protocol === 'https:';
+    return probeHost(UPSTREAM_TARGET.hostname, {
+        port: Number(UPSTREAM_TARGET.port) || (secure ? 443 : 80),
+        secure
+    });
+};
+
+/**
+ * Runs the readiness checks: valid config, writable posters directory and reachable upstream APIs
+ * In replay mode the fixtures directory is checked instead of the upstream APIs
+ * @returns {Promise<Object>} Overall readiness and the result of each check
+ */
+const checkReadiness = async () => {
+    const checks = {
+        config: configErrors.length === 0 ? { ok: true } : { ok: false, error: configErrors.join('; ') },
+        postersDir: checkWritable(POSTERS_DIR)
+    };
+
+    if (UPSTREAM_MODE === 'replay') {
+        checks.fixturesDir = fs.existsSync(FIXTURES_DIR)
+            ? { ok: true }
+            : { ok: false, error: `Fixtures directory not found: ${FIXTURES_DIR}` };
+    } else {
+        const probes = await Promise.all(UPSTREAM_HOSTS.map(probeUpstream));
+        UPSTREAM_HOSTS.forEach((host, index) => {
+            checks[`upstream:${host}`] = { ...probes[index], circuit: getCircuitBreaker(host).state };
+        });
+    }
+
+    const ready = !shuttingDown && Object.values(checks).every(check => check.ok);
+    return { ready, checks };
+};
 
-                // Find the start and end of the actual image data
-                const imageDataStart = buffer.indexOf('\r\n\r\n', buffer.indexOf('Content-Type: image/')) + 4;
-                const imageDataEnd = buffer.indexOf(`\r\n--${boundary}`, imageDataStart);
-                
-                if (imageDataStart === -1 || imageDataEnd === -1) {
-                    reject(new Error('Could not locate image data in request'));
-                    return;
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - The HTTP response
+ * @param {Object} data - Response body
+ * @param {Object} [options] - Response options
+ * @param {number} [options.status] - HTTP status code
+ * @param {string} [options.cacheControl] - Cache-Control header value
+ */
+const sendJson = (res, data, { status = 200, cacheControl } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (cacheControl) {
+        headers['Cache-Control'] = cacheControl;
+    }
+    res.writeHead(status, headers);
+    res.end(JSON.stringify(data));
+};
+
+/**
+ * Sends a response in a negotiated format
+ * @param {http.ServerResponse} res - The HTTP response
+ * @param {string} format - Format from negotiateFormat
+ * @param {Object} data - Response body as sent in JSON
+ * @param {Object} options - Response options
+ * @param {Object[]} options.rows - Rows written to CSV and NDJSON
+ * @param {string} options.root - Root element name for XML
+ * @param {string} [options.cacheControl] - Cache-Control header value
+ */
+const sendFormatted = (res, format, data, { rows, root, cacheControl }) => {
+    const headers = { 'Content-Type': FORMATS[format] };
+    if (cacheControl) {
+        headers['Cache-Control'] = cacheControl;
+    }
+    res.writeHead(200, headers);
+    res.end(serialize(format, data, { rows, root }));
+};
+
+/**
+ * Adds a header name to the Vary header, keeping any already listed
+ * @param {http.ServerResponse} res - The HTTP response
+ * @param {string} header - Request header the response depends on
+ */
+const appendVary = (res, header) => {
+    const current = res.getHeader('Vary');
+    res.setHeader('Vary', current ? `${current}, ${header}` : header);
+};
+
+/**
+ * Picks the movie representation a request asked for
+ * Sets X-API-Version on the response so clients can tell which shape they got
+ * @param {http.ServerResponse} res - The HTTP response
+ * @param {Object} validated - Validated query and headers of the request
+ * @param {string} [country] - Country the streaming options were requested for
+ * @returns {Function} Converts a movie in the legacy shape to the requested one
+ * @throws {ValidationError} If the fields parameter is invalid
+ */
+const getMovieView = (res, { query, headers }, country = query.country) => {
+    const version = Number(headers['X-API-Version']);
+    const fields = parseFields(query.fields, version);
+    res.setHeader('X-API-Version', version);
+    appendVary(res, 'X-API-Version');
+    return movie => presentMovie(movie, { version, fields, country });
+};
+
+/**
+ * Starts a Server-Sent Events response
+ * Headers are sent with the first event, so errors raised before it still
+ * get a normal JSON error response
+ * @param {http.ServerResponse} res - The HTTP response
+ * @returns {Function} Sends an event, called with (event, data)
+ */
+const openEventStream = (res) => {
+    let nextId = 0;
+    return (event, data) => {
+        if (!res.headersSent) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'X-Accel-Buffering': 'no' // Stop reverse proxies from buffering events
+            });
+        }
+        res.write(`id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+};
+
+// Parameter schemas shared by several routes
+const IMDB_ID_PARAM = {
+    type: 'string',
+    required: true,
+    requiredMessage: 'You must supply an imdbID!',
+    pattern: '^tt',
+    message: 'Invalid IMDb ID format. Must start with "tt"',
+    description: 'IMDb ID, e.g. tt0111161'
+};
+const POSTER_ID_PARAM = { ...IMDB_ID_PARAM, pattern: '^tt\\d+$' };
+const COUNTRY_QUERY = {
+    type: 'string',
+    enum: SUPPORTED_COUNTRIES,
+    message: (value) => `Unsupported country code: ${value}`,
+    description: 'Country code for streaming availability (defaults to us)'
+};
+const POSITIVE_INT_PARAM = { type: 'integer', required: true, minimum: 1 };
+const FIELDS_QUERY = {
+    type: 'string',
+    description: 'Comma-separated fields to return, e.g. title,year,ratings.imdb (API version 2 only)'
+};
+const FORMAT_QUERY = {
+    type: 'string',
+    enum: Object.keys(FORMATS),
+    description: 'Response format, overrides the Accept header'
+};
+const MOVIE_VERSION_HEADERS = {
+    'X-API-Version': {
+        type: 'string',
+        enum: MOVIE_SCHEMA_VERSIONS.map(String),
+        default: String(LATEST_MOVIE_SCHEMA_VERSION),
+        description: 'Movie schema version: 2 (default) is normalized, 1 is the legacy OMDB shape'
+    }
+};
+const SEARCH_TITLE_PARAM = { type: 'string', required: true, requiredMessage: 'You must supply a title!' };
+// Search options are validated once, by parseSearchOptions in the movie service,
+// so the router only documents them
+const SEARCH_QUERY = {
+    country: { ...COUNTRY_QUERY, documentOnly: true },
+    showType: { type: 'string', enum: SHOW_TYPES, default: 'movie', documentOnly: true },
+    yearFrom: { type: 'integer', minimum: 1, documentOnly: true },
+    yearTo: { type: 'integer', minimum: 1, documentOnly: true },
+    genre: { type: 'string', description: 'Comma-separated genre IDs' },
+    service: { type: 'string', description: 'Comma-separated streaming service IDs' },
+    sort: { type: 'string', enum: SORT_ORDERS, default: 'relevance', documentOnly: true },
+    source: {
+        type: 'string',
+        enum: SEARCH_SOURCES,
+        description: 'Search the local title index, the Streaming API, or the index first when it has a confident match (auto, the default)',
+        documentOnly: true
+    },
+    page: { type: 'integer', minimum: 1, default: 1, documentOnly: true },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE, documentOnly: true },
+    fields: FIELDS_QUERY
+};
+const FORMATTED_SEARCH_QUERY = { ...SEARCH_QUERY, format: FORMAT_QUERY };
+
+// OpenAPI descriptions of common responses
+const jsonResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: { type: 'object' } } }
+});
+const formattedResponse = (description) => ({
+    description,
+    content: {
+        'application/json': { schema: { type: 'object' } },
+        'text/csv': { schema: { type: 'string' } },
+        'application/x-ndjson': { schema: { type: 'string' } },
+        'application/xml': { schema: { type: 'object' } }
+    }
+});
+const IMAGE_RESPONSE = {
+    description: 'Poster image',
+    content: {
+        'image/jpeg': { schema: { type: 'string', format: 'binary' } },
+        'image/png': { schema: { type: 'string', format: 'binary' } },
+        'image/webp': { schema: { type: 'string', format: 'binary' } }
+    }
+};
+const WATCHLIST_ID_PARAM = { type: 'string', required: true, description: 'ID of the watchlist' };
+const WATCHLIST_PROPERTIES = {
+    name: { type: 'string' },
+    titles: { type: 'array', items: { type: 'string' }, description: 'IMDb IDs to watch' },
+    countries: { type: 'array', items: { type: 'string', enum: SUPPORTED_COUNTRIES }, description: 'Countries to watch (default us)' },
+    services: { type: 'array', items: { type: 'string' }, description: 'Only notify about these services (default all)' },
+    webhookUrl: { type: 'string', format: 'uri', nullable: true, description: 'URL notified of availability changes' }
+};
+const POSTER_UPLOAD_BODY = {
+    required: true,
+    content: {
+        'image/*': { schema: { type: 'string', format: 'binary' } },
+        'multipart/form-data': {
+            schema: {
+                type: 'object',
+                properties: { poster: { type: 'string', format: 'binary' } }
+            }
+        }
+    }
+};
+
+/**
+ * Route definitions
+ * Each route declares its method, path, required scope and parameter schemas;
+ * the router validates requests against them and builds /openapi.json from them
+ */
+const router = new Router()
+    // Movie Search Endpoint
+    .add({
+        method: 'GET',
+        path: '/movies/search/:title',
+        operationId: 'searchMovies',
+        summary: 'Search for movies and series by title',
+        tags: ['Movies'],
+        scope: 'read',
+        params: { title: SEARCH_TITLE_PARAM },
+        query: FORMATTED_SEARCH_QUERY,
+        headers: MOVIE_VERSION_HEADERS,
+        responses: {
+            200: formattedResponse('A page of search results; CSV and NDJSON hold one row per result'),
+            406: { $ref: '#/components/responses/Error' }
+        },
+        handler: async (req, res, validated) => {
+            const { params, query } = validated;
+            appendVary(res, 'Accept');
+            const format = negotiateFormat(req.headers.accept, query.format);
+            const view = getMovieView(res, validated);
+            const data = await searchMovieByTitle(params.title, query);
+            const results = data.results.map(view);
+            sendFormatted(res, format, { ...data, results }, {
+                rows: results,
+                root: 'search',
+                cacheControl: 'no-cache'
+            });
+        }
+    })
+    // Title Autocomplete Endpoint
+    .add({
+        method: 'GET',
+        path: '/movies/autocomplete',
+        operationId: 'autocompleteTitles',
+        summary: 'Suggest titles for a partly typed query from the local title index',
+        tags: ['Movies'],
+        scope: 'read',
+        query: {
+            q: { type: 'string', required: true, requiredMessage: 'You must supply a query!', description: 'Text typed so far; typos are tolerated' },
+            limit: { type: 'integer', minimum: 1, maximum: 20, default: 8 },
+            type: { type: 'string', enum: ['movie', 'series', 'all'], default: 'all' }
+        },
+        responses: { 200: jsonResponse('Suggested titles, best first, with the fields they matched on') },
+        handler: async (req, res, { query }) => {
+            const { q, ...options } = query;
+            sendJson(res, autocompleteTitles(q, options), { cacheControl: 'no-cache' });
+        }
+    })
+    // Progressive Movie Search Endpoint
+    .add({
+        method: 'GET',
+        path: '/movies/search/:title/stream',
+        operationId: 'streamMovieSearch',
+        summary: 'Search by title, streaming results as Server-Sent Events as they are enriched',
+        tags: ['Movies'],
+        scope: 'read',
+        params: { title: SEARCH_TITLE_PARAM },
+        query: SEARCH_QUERY,
+        headers: MOVIE_VERSION_HEADERS,
+        responses: {
+            200: {
+                description: 'A `matches` event with the streaming matches, an `enriched` event per title ' +
+                    'once its OMDB data arrives, then a `summary` event listing deferred and failed titles',
+                content: { 'text/event-stream': { schema: { type: 'string' } } }
+            }
+        },
+        handler: async (req, res, validated) => {
+            const { params, query } = validated;
+            const view = getMovieView(res, validated);
+            const sendEvent = openEventStream(res);
+            const controller = new AbortController();
+            res.on('close', () => controller.abort());
+
+            const summary = await streamSearchByTitle(params.title, query, {
+                onMatches: matches => sendEvent('matches', { ...matches, results: matches.results.map(view) }),
+                onResult: result => sendEvent('enriched', view(result)),
+                signal: controller.signal
+            });
+            sendEvent('summary', summary);
+            res.end();
+        }
+    })
+    // Movie Data Endpoint
+    .add({
+        method: 'GET',
+        path: '/movies/data/:imdbId',
+        operationId: 'getMovieData',
+        summary: 'Get OMDB details and streaming availability of a movie',
+        tags: ['Movies'],
+        scope: 'read',
+        params: { imdbId: IMDB_ID_PARAM },
+        query: { country: COUNTRY_QUERY, fields: FIELDS_QUERY, format: FORMAT_QUERY },
+        headers: MOVIE_VERSION_HEADERS,
+        responses: {
+            200: formattedResponse('Combined movie data'),
+            404: { $ref: '#/components/responses/Error' },
+            406: { $ref: '#/components/responses/Error' }
+        },
+        handler: async (req, res, validated) => {
+            const { params, query } = validated;
+            appendVary(res, 'Accept');
+            const format = negotiateFormat(req.headers.accept, query.format);
+            const view = getMovieView(res, validated);
+            const movie = view(await getMovieDataById(params.imdbId, query.country));
+            sendFormatted(res, format, movie, { rows: [movie], root: 'movie', cacheControl: 'no-cache' });
+        }
+    })
+    // Multi-Country Availability Endpoint
+    .add({
+        method: 'GET',
+        path: '/movies/availability/:imdbId',
+        operationId: 'getAvailabilityByCountry',
+        summary: 'Compare streaming availability across countries',
+        tags: ['Movies'],
+        scope: 'read',
+        params: { imdbId: IMDB_ID_PARAM },
+        query: {
+            countries: {
+                type: 'string',
+                required: true,
+                requiredMessage: 'You must supply at least one country!',
+                description: 'Comma-separated country codes, e.g. us,gb,de'
+            }
+        },
+        responses: { 200: jsonResponse('Streaming options keyed by country') },
+        handler: async (req, res, { params, query }) => {
+            const countries = query.countries
+                .split(',')
+                .filter(country => country.trim() !== '');
+            const data = await getAvailabilityByCountry(params.imdbId, countries);
+            sendJson(res, data, { cacheControl: 'no-cache' });
+        }
+    })
+    // Where To Watch Endpoint
+    .add({
+        method: 'GET',
+        path: '/movies/where-to-watch/:imdbId',
+        operationId: 'getWhereToWatch',
+        summary: 'Rank the ways to watch a title by your subscriptions, price and quality preferences',
+        tags: ['Movies'],
+        scope: 'read',
+        params: { imdbId: IMDB_ID_PARAM },
+        query: {
+            country: COUNTRY_QUERY,
+            services: { type: 'string', description: 'Comma-separated IDs or names of the services and add-ons you subscribe to' },
+            maxPrice: { type: 'number', minimum: 0, description: 'Highest price to pay for a rental or purchase' },
+            minQuality: { type: 'string', enum: QUALITIES, description: 'Lowest acceptable video quality' },
+            preferSubscription: {
+                type: 'boolean',
+                default: true,
+                description: 'Rank new subscriptions before rentals and purchases'
+            }
+        },
+        responses: {
+            200: jsonResponse('Best option, ranked options with reasons, options grouped by type and excluded options'),
+            404: { $ref: '#/components/responses/Error' }
+        },
+        handler: async (req, res, { params, query }) => {
+            sendJson(res, await getWhereToWatch(params.imdbId, query), { cacheControl: 'no-cache' });
+        }
+    })
+    // Similar Titles Endpoint
+    .add({
+        method: 'GET',
+        path: '/movies/similar/:imdbId',
+        operationId: 'getSimilarTitles',
+        summary: 'Recommend titles like this one, with the reasons each one matched',
+        tags: ['Movies'],
+        scope: 'read',
+        params: { imdbId: IMDB_ID_PARAM },
+        query: {
+            country: { ...COUNTRY_QUERY, description: 'Only recommend titles streamable in this country' },
+            services: { type: 'string', description: 'Only recommend titles on these comma-separated service IDs or names (country defaults to us)' },
+            limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 }
+        },
+        responses: {
+            200: jsonResponse('Recommendations, best first, with scores and reasons'),
+            404: { $ref: '#/components/responses/Error' }
+        },
+        handler: async (req, res, { params, query }) => {
+            sendJson(res, await getSimilarTitles(params.imdbId, query), { cacheControl: 'no-cache' });
+        }
+    })
+    // Availability History Endpoint
+    .add({
+        method: 'GET',
+        path: '/movies/availability/:imdbId/history',
+        operationId: 'getAvailabilityHistory',
+        summary: 'Get the recorded streaming availability changes of a watched title',
+        tags: ['Movies'],
+        scope: 'read',
+        params: { imdbId: POSTER_ID_PARAM },
+        responses: {
+            200: jsonResponse('Current snapshot and change entries, newest first'),
+            404: { $ref: '#/components/responses/Error' }
+        },
+        handler: async (req, res, { params }) => {
+            sendJson(res, getAvailabilityHistory(params.imdbId), { cacheControl: 'no-cache' });
+        }
+    })
+    // Batch Movie Data Endpoint
+    .add({
+        method: 'POST',
+        path: '/movies/batch',
+        operationId: 'getMovieBatch',
+        summary: 'Get movie data for many IMDb IDs in one call',
+        tags: ['Movies'],
+        scope: 'read',
+        query: { fields: FIELDS_QUERY },
+        headers: MOVIE_VERSION_HEADERS,
+        requestBody: {
+            required: true,
+            content: {
+                'application/json': {
+                    schema: {
+                        type: 'object',
+                        required: ['ids'],
+                        properties: {
+                            ids: { type: 'array', items: { type: 'string' }, maxItems: config.batchMaxIds },
+                            country: { type: 'string', enum: SUPPORTED_COUNTRIES }
+                        }
+                    }
                 }
+            }
+        },
+        responses: {
+            200: {
+                description: 'Results keyed by IMDb ID, each with its own status; sent as one NDJSON line per ' +
+                    'result as it completes, followed by a summary line, when the client accepts application/x-ndjson',
+                content: {
+                    'application/json': { schema: { type: 'object' } },
+                    'application/x-ndjson': { schema: { type: 'string' } }
+                }
+            }
+        },
+        handler: async (req, res, validated) => {
+            const body = await readJsonBody(req);
+            const view = getMovieView(res, validated, body.country);
+            appendVary(res, 'Accept');
 
-                // Extract the actual image data as a Buffer
-                fileData = buffer.slice(imageDataStart, imageDataEnd);
-                
-                if (!fileData || fileData.length === 0) {
-                    reject(new Error('No image data found'));
-                    return;
+            // Failed items have no data to convert
+            const presentItem = item => (item.data ? { ...item, data: view(item.data) } : item);
+
+            if (!/application\/x-ndjson/.test(req.headers.accept || '')) {
+                const data = await getMovieBatch(body.ids, body.country);
+                Object.keys(data.results).forEach((imdbId) => {
+                    data.results[imdbId] = presentItem(data.results[imdbId]);
+                });
+                sendJson(res, data, { cacheControl: 'no-cache' });
+                return;
+            }
+
+            // Headers are sent with the first result, so an invalid batch still gets a normal error response
+            const writeLine = (line) => {
+                if (!res.headersSent) {
+                    res.writeHead(200, {
+                        'Content-Type': 'application/x-ndjson',
+                        'Cache-Control': 'no-cache'
+                    });
                 }
+                res.write(`${JSON.stringify(line)}\n`);
+            };
 
-                resolve(fileData);
-            } catch (error) {
-                reject(new Error(`Failed to parse upload: ${error.message}`));
+            // Stop starting lookups once the client goes away
+            const controller = new AbortController();
+            res.on('close', () => controller.abort());
+
+            const { country, count, errors } = await getMovieBatch(body.ids, body.country, {
+                onResult: item => writeLine(presentItem(item)),
+                signal: controller.signal
+            });
+            writeLine({ done: true, country, count, errors });
+            res.end();
+        }
+    })
+    // Series, Season and Episode Endpoints
+    .add({
+        method: 'GET',
+        path: '/series/:imdbId',
+        operationId: 'getSeries',
+        summary: 'Get a series with the streaming availability of each season',
+        tags: ['Series'],
+        scope: 'read',
+        params: { imdbId: IMDB_ID_PARAM },
+        query: { country: COUNTRY_QUERY },
+        responses: { 200: jsonResponse('Series data'), 404: { $ref: '#/components/responses/Error' } },
+        handler: async (req, res, { params, query }) => {
+            const data = await getSeriesById(params.imdbId, query.country);
+            sendJson(res, data, { cacheControl: 'no-cache' });
+        }
+    })
+    .add({
+        method: 'GET',
+        path: '/series/:imdbId/seasons/:season',
+        operationId: 'getSeason',
+        summary: 'Get the episodes of a season with their streaming availability',
+        tags: ['Series'],
+        scope: 'read',
+        params: {
+            imdbId: IMDB_ID_PARAM,
+            season: { ...POSITIVE_INT_PARAM, message: 'Season must be a positive integer' }
+        },
+        query: { country: COUNTRY_QUERY },
+        responses: { 200: jsonResponse('Season data'), 404: { $ref: '#/components/responses/Error' } },
+        handler: async (req, res, { params, query }) => {
+            const data = await getSeasonById(params.imdbId, params.season, query.country);
+            sendJson(res, data, { cacheControl: 'no-cache' });
+        }
+    })
+    .add({
+        method: 'GET',
+        path: '/series/:imdbId/seasons/:season/episodes/:episode',
+        operationId: 'getEpisode',
+        summary: 'Get a single episode with its streaming availability',
+        tags: ['Series'],
+        scope: 'read',
+        params: {
+            imdbId: IMDB_ID_PARAM,
+            season: { ...POSITIVE_INT_PARAM, message: 'Season must be a positive integer' },
+            episode: { ...POSITIVE_INT_PARAM, message: 'Episode must be a positive integer' }
+        },
+        query: { country: COUNTRY_QUERY },
+        responses: { 200: jsonResponse('Episode data'), 404: { $ref: '#/components/responses/Error' } },
+        handler: async (req, res, { params, query }) => {
+            const data = await getEpisodeById(params.imdbId, params.season, params.episode, query.country);
+            sendJson(res, data, { cacheControl: 'no-cache' });
+        }
+    })
+    // Poster List Endpoint
+    .add({
+        method: 'GET',
+        path: '/posters',
+        operationId: 'listPosters',
+        summary: 'List uploaded posters',
+        tags: ['Posters'],
+        scope: 'read',
+        responses: { 200: jsonResponse('Uploaded posters with their current version') },
+        handler: async (req, res) => {
+            const posters = listPosters();
+            sendJson(res, { count: posters.length, posters }, { cacheControl: 'no-cache' });
+        }
+    })
+    // Poster Upload Endpoint
+    .add({
+        method: 'POST',
+        path: '/posters/add/:imdbId',
+        operationId: 'addPoster',
+        summary: 'Upload a poster',
+        tags: ['Posters'],
+        scope: 'posters:write',
+        params: { imdbId: POSTER_ID_PARAM },
+        requestBody: POSTER_UPLOAD_BODY,
+        responses: { 200: jsonResponse('Stored poster version'), 413: { $ref: '#/components/responses/Error' } },
+        handler: async (req, res, { params }) => {
+            const version = await receivePoster(req, params.imdbId);
+            sendJson(res, {
+                success: true,
+                message: 'Poster uploaded successfully',
+                path: `/posters/${params.imdbId}`,
+                version
+            });
+        }
+    })
+    // Poster History Endpoint
+    .add({
+        method: 'GET',
+        path: '/posters/:imdbId/history',
+        operationId: 'getPosterHistory',
+        summary: 'List the versions of an uploaded poster',
+        tags: ['Posters'],
+        scope: 'read',
+        params: { imdbId: POSTER_ID_PARAM },
+        responses: { 200: jsonResponse('Poster version history'), 404: { $ref: '#/components/responses/Error' } },
+        handler: async (req, res, { params }) => {
+            sendJson(res, getPosterHistory(params.imdbId), { cacheControl: 'no-cache' });
+        }
+    })
+    // Poster Rollback Endpoint
+    .add({
+        method: 'POST',
+        path: '/posters/:imdbId/rollback/:version',
+        operationId: 'rollbackPoster',
+        summary: 'Restore an earlier poster version',
+        tags: ['Posters'],
+        scope: 'posters:write',
+        params: {
+            imdbId: POSTER_ID_PARAM,
+            version: { ...POSITIVE_INT_PARAM, message: 'Version must be a positive integer' }
+        },
+        responses: { 200: jsonResponse('Restored poster version'), 404: { $ref: '#/components/responses/Error' } },
+        handler: async (req, res, { params }) => {
+            const restored = rollbackPoster(params.imdbId, params.version);
+            sendJson(res, {
+                success: true,
+                message: `Poster rolled back to version ${restored.version}`,
+                path: `/posters/${params.imdbId}`,
+                version: restored
+            });
+        }
+    })
+    // Poster Replace Endpoint
+    .add({
+        method: 'PUT',
+        path: '/posters/:imdbId',
+        operationId: 'replacePoster',
+        summary: 'Replace a poster with a new version',
+        tags: ['Posters'],
+        scope: 'posters:write',
+        params: { imdbId: POSTER_ID_PARAM },
+        requestBody: POSTER_UPLOAD_BODY,
+        responses: { 200: jsonResponse('Stored poster version'), 413: { $ref: '#/components/responses/Error' } },
+        handler: async (req, res, { params }) => {
+            const version = await receivePoster(req, params.imdbId);
+            sendJson(res, {
+                success: true,
+                message: 'Poster replaced successfully',
+                path: `/posters/${params.imdbId}`,
+                version
+            });
+        }
+    })
+    // Poster Delete Endpoint
+    .add({
+        method: 'DELETE',
+        path: '/posters/:imdbId',
+        operationId: 'deletePoster',
+        summary: 'Delete an uploaded poster',
+        tags: ['Posters'],
+        scope: 'posters:write',
+        params: { imdbId: POSTER_ID_PARAM },
+        responses: { 200: jsonResponse('Poster deleted'), 404: { $ref: '#/components/responses/Error' } },
+        handler: async (req, res, { params }) => {
+            deletePoster(params.imdbId);
+            sendJson(res, {
+                success: true,
+                message: 'Poster deleted, the upstream poster will be served instead'
+            });
+        }
+    })
+    // Poster Retrieval Endpoint
+    .add({
+        method: 'GET',
+        path: '/posters/:imdbId',
+        operationId: 'getPoster',
+        summary: 'Get a poster image',
+        tags: ['Posters'],
+        scope: 'read',
+        params: { imdbId: IMDB_ID_PARAM },
+        query: {
+            size: {
+                type: 'string',
+                enum: Object.keys(POSTER_SIZES),
+                message: `size must be one of: ${Object.keys(POSTER_SIZES).join(', ')}`
             }
+        },
+        responses: {
+            200: IMAGE_RESPONSE,
+            206: { ...IMAGE_RESPONSE, description: 'Partial poster image' },
+            304: { description: 'Not modified' },
+            404: { $ref: '#/components/responses/Error' },
+            416: { description: 'Range not satisfiable' }
+        },
+        handler: async (req, res, { params, query }) => {
+            const { imdbId } = params;
+            const size = query.size || null;
+
+            const { source, ...poster } = await getPoster(imdbId, size);
+            logger.debug('Serving poster', { imdbId, size, source });
+            sendImage(req, res, {
+                ...poster,
+                cacheControl: source === 'uploaded' ? UPLOADED_POSTER_CACHE_CONTROL : FETCHED_POSTER_CACHE_CONTROL
+            });
+        }
+    })
+    // Watchlist Endpoints
+    .add({
+        method: 'GET',
+        path: '/watchlists',
+        operationId: 'listWatchlists',
+        summary: 'List your watchlists',
+        tags: ['Watchlists'],
+        scope: 'watchlists',
+        responses: { 200: jsonResponse('Watchlists without their webhook secrets') },
+        handler: async (req, res) => {
+            sendJson(res, { watchlists: listWatchlists(req.apiKey) }, { cacheControl: 'no-store' });
+        }
+    })
+    .add({
+        method: 'POST',
+        path: '/watchlists',
+        operationId: 'createWatchlist',
+        summary: 'Create a watchlist',
+        tags: ['Watchlists'],
+        scope: 'watchlists',
+        requestBody: {
+            required: true,
+            content: {
+                'application/json': {
+                    schema: { type: 'object', required: ['name'], properties: WATCHLIST_PROPERTIES }
+                }
+            }
+        },
+        responses: { 201: jsonResponse('Created watchlist, including the webhook secret shown only once') },
+        handler: async (req, res) => {
+            const body = await readJsonBody(req);
+            sendJson(res, createWatchlist(req.apiKey, body), { status: 201, cacheControl: 'no-store' });
+        }
+    })
+    .add({
+        method: 'GET',
+        path: '/watchlists/:id',
+        operationId: 'getWatchlist',
+        summary: 'Get a watchlist',
+        tags: ['Watchlists'],
+        scope: 'watchlists',
+        params: { id: WATCHLIST_ID_PARAM },
+        responses: { 200: jsonResponse('Watchlist'), 404: { $ref: '#/components/responses/Error' } },
+        handler: async (req, res, { params }) => {
+            sendJson(res, getWatchlist(params.id, req.apiKey), { cacheControl: 'no-store' });
+        }
+    })
+    .add({
+        method: 'PATCH',
+        path: '/watchlists/:id',
+        operationId: 'updateWatchlist',
+        summary: 'Change the name, titles, countries, services or webhook of a watchlist',
+        tags: ['Watchlists'],
+        scope: 'watchlists',
+        params: { id: WATCHLIST_ID_PARAM },
+        requestBody: {
+            required: true,
+            content: { 'application/json': { schema: { type: 'object', properties: WATCHLIST_PROPERTIES } } }
+        },
+        responses: {
+            200: jsonResponse('Updated watchlist; includes a new webhook secret when a webhook was added'),
+            404: { $ref: '#/components/responses/Error' }
+        },
+        handler: async (req, res, { params }) => {
+            const body = await readJsonBody(req);
+            sendJson(res, updateWatchlist(params.id, req.apiKey, body), { cacheControl: 'no-store' });
+        }
+    })
+    .add({
+        method: 'DELETE',
+        path: '/watchlists/:id',
+        operationId: 'deleteWatchlist',
+        summary: 'Delete a watchlist',
+        tags: ['Watchlists'],
+        scope: 'watchlists',
+        params: { id: WATCHLIST_ID_PARAM },
+        responses: { 200: jsonResponse('Deleted watchlist'), 404: { $ref: '#/components/responses/Error' } },
+        handler: async (req, res, { params }) => {
+            sendJson(res, {
+                success: true,
+                message: 'Watchlist deleted',
+                watchlist: deleteWatchlist(params.id, req.apiKey)
+            });
+        }
+    })
+    .add({
+        method: 'PUT',
+        path: '/watchlists/:id/titles/:imdbId',
+        operationId: 'addWatchlistTitle',
+        summary: 'Add a title to a watchlist',
+        tags: ['Watchlists'],
+        scope: 'watchlists',
+        params: { id: WATCHLIST_ID_PARAM, imdbId: POSTER_ID_PARAM },
+        responses: { 200: jsonResponse('Updated watchlist'), 404: { $ref: '#/components/responses/Error' } },
+        handler: async (req, res, { params }) => {
+            sendJson(res, addWatchlistTitle(params.id, req.apiKey, params.imdbId), { cacheControl: 'no-store' });
+        }
+    })
+    .add({
+        method: 'DELETE',
+        path: '/watchlists/:id/titles/:imdbId',
+        operationId: 'removeWatchlistTitle',
+        summary: 'Remove a title from a watchlist',
+        tags: ['Watchlists'],
+        scope: 'watchlists',
+        params: { id: WATCHLIST_ID_PARAM, imdbId: POSTER_ID_PARAM },
+        responses: { 200: jsonResponse('Updated watchlist'), 404: { $ref: '#/components/responses/Error' } },
+        handler: async (req, res, { params }) => {
+            sendJson(res, removeWatchlistTitle(params.id, req.apiKey, params.imdbId), { cacheControl: 'no-store' });
+        }
+    })
+    .add({
+        method: 'POST',
+        path: '/watchlists/:id/check',
+        operationId: 'checkWatchlist',
+        summary: 'Re-check the availability of every title on a watchlist now and send any notifications',
+        tags: ['Watchlists'],
+        scope: 'watchlists',
+        params: { id: WATCHLIST_ID_PARAM },
+        responses: {
+            200: jsonResponse('Changes found and webhook deliveries made, per title'),
+            404: { $ref: '#/components/responses/Error' }
+        },
+        handler: async (req, res, { params }) => {
+            sendJson(res, await checkWatchlist(params.id, req.apiKey), { cacheControl: 'no-store' });
+        }
+    })
+    // Admin API Key Endpoints
+    .add({
+        method: 'GET',
+        path: '/admin/keys',
+        operationId: 'listApiKeys',
+        summary: 'List API keys',
+        tags: ['Admin'],
+        scope: 'admin',
+        responses: { 200: jsonResponse('API keys without their secrets') },
+        handler: async (req, res) => {
+            sendJson(res, { keys: listKeys() }, { cacheControl: 'no-store' });
+        }
+    })
+    .add({
+        method: 'POST',
+        path: '/admin/keys',
+        operationId: 'createApiKey',
+        summary: 'Create an API key',
+        tags: ['Admin'],
+        scope: 'admin',
+        requestBody: {
+            required: true,
+            content: {
+                'application/json': {
+                    schema: {
+                        type: 'object',
+                        required: ['name', 'scopes'],
+                        properties: {
+                            name: { type: 'string' },
+                            scopes: { type: 'array', items: { type: 'string', enum: SCOPES } }
+                        }
+                    }
+                }
+            }
+        },
+        responses: { 201: jsonResponse('Created key, including the plain key shown only once') },
+        handler: async (req, res) => {
+            const body = await readJsonBody(req);
+            sendJson(res, createKey(body), { status: 201, cacheControl: 'no-store' });
+        }
+    })
+    .add({
+        method: 'DELETE',
+        path: '/admin/keys/:id',
+        operationId: 'revokeApiKey',
+        summary: 'Revoke an API key',
+        tags: ['Admin'],
+        scope: 'admin',
+        params: { id: { type: 'string', required: true, description: 'ID of the key' } },
+        responses: { 200: jsonResponse('Revoked key'), 404: { $ref: '#/components/responses/Error' } },
+        handler: async (req, res, { params }) => {
+            sendJson(res, {
+                success: true,
+                message: 'API key revoked',
+                key: revokeKey(params.id)
+            });
+        }
+    })
+    // Liveness and Readiness Endpoints
+    .add({
+        method: 'GET',
+        path: '/healthz',
+        operationId: 'getHealth',
+        summary: 'Liveness check; succeeds while the process is serving requests',
+        tags: ['Meta'],
+        scope: 'public',
+        responses: { 200: jsonResponse('The server is alive') },
+        handler: async (req, res) => {
+            sendJson(res, { status: 'ok', uptime: Math.round(process.uptime()) }, { cacheControl: 'no-store' });
+        }
+    })
+    .add({
+        method: 'GET',
+        path: '/readyz',
+        operationId: 'getReadiness',
+        summary: 'Readiness check of the config, posters directory and upstream APIs',
+        tags: ['Meta'],
+        scope: 'public',
+        responses: {
+            200: jsonResponse('The server is ready for traffic'),
+            503: jsonResponse('A check failed or the server is shutting down')
+        },
+        handler: async (req, res) => {
+            const { ready, checks } = await checkReadiness();
+            sendJson(res, {
+                status: ready ? 'ready' : (shuttingDown ? 'shutting down' : 'not ready'),
+                checks
+            }, { status: ready ? 200 : 503, cacheControl: 'no-store' });
+        }
+    })
+    // Prometheus Metrics Endpoint
+    .add({
+        method: 'GET',
+        path: '/metrics',
+        operationId: 'getMetrics',
+        summary: 'Get request, upstream and cache metrics in Prometheus text format',
+        tags: ['Meta'],
+        scope: 'read',
+        responses: {
+            200: { description: 'Prometheus metrics', content: { 'text/plain': { schema: { type: 'string' } } } }
+        },
+        handler: async (req, res) => {
+            res.writeHead(200, {
+                'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+                'Cache-Control': 'no-store'
+            });
+            res.end(registry.render());
+        }
+    })
+    // API Description Endpoint
+    .add({
+        method: 'GET',
+        path: '/openapi.json',
+        operationId: 'getOpenAPI',
+        summary: 'Get this OpenAPI document',
+        tags: ['Meta'],
+        scope: 'read',
+        responses: { 200: jsonResponse('OpenAPI 3 document') },
+        handler: async (req, res) => {
+            sendJson(res, router.toOpenAPI({
+                title: 'Movie Streaming API',
+                version,
+                description: 'Movie search, streaming availability and poster management'
+            }), { cacheControl: 'no-cache' });
+        }
+    });
+
+/**
+ * Records metrics and an access log line once a response has been sent
+ * @param {http.IncomingMessage} req - The HTTP request
+ * @param {http.ServerResponse} res - The HTTP response
+ * @param {string} pathname - Request path, logged without the query string
+ */
+const trackRequest = (req, res, pathname) => {
+    const stopTimer = httpRequestDuration.startTimer();
+    res.on('finish', () => {
+        // Unmatched paths share one label so scanners cannot create unbounded series
+        const route = req.routePath || 'unmatched';
+        const seconds = stopTimer({ method: req.method, route });
+        httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+        logger.info('Request completed', {
+            method: req.method,
+            path: pathname,
+            route,
+            status: res.statusCode,
+            durationMs: Math.round(seconds * 1000),
+            client: req.apiKey ? req.apiKey.name : undefined
         });
     });
 };
 
 /**
  * Main server implementation
- * Handles all endpoints and their respective operations
+ * Authenticates and rate limits each request, then dispatches it to its route
  * Includes error handling and response formatting
  */
-const server = http.createServer(async (req, res) => {
+const handleRequest = async (req, res, requestId) => {
     const parsedUrl = url.parse(req.url, true);
     const pathname = parsedUrl.pathname;
 
+    res.setHeader('X-Request-Id', requestId);
+    trackRequest(req, res, pathname);
+    if (shuttingDown) {
+        // Keep-alive connections are closed after this response so the server can drain
+        res.setHeader('Connection', 'close');
+    }
+
     // Security Headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+    const origin = req.headers.origin;
+    if (CORS_ORIGINS.includes('*')) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (origin && CORS_ORIGINS.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+    }
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, X-API-Key, X-API-Version, X-Request-Id, If-None-Match, If-Modified-Since, Range');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag, Last-Modified, Content-Range, Retry-After, Allow, X-Request-Id, X-API-Version, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset');
     res.setHeader('X-Content-Type-Options', 'nosniff');
     res.setHeader('X-Frame-Options', 'DENY');
     res.setHeader('Content-Security-Policy', "default-src 'none'; img-src 'self'");
@@ -131,103 +1292,113 @@ const server = http.createServer(async (req, res) => {
     }
 
     try {
-        // Movie Search Endpoint
-        if (pathname.startsWith('/movies/search/')) {
-            const title = decodeURIComponent(pathname.split('/movies/search/')[1]);
-            const data = await searchMovieByTitle(title);
-            res.writeHead(200, { 
-                'Content-Type': 'application/json',
-                'Cache-Control': 'no-cache'
-            });
-            res.end(JSON.stringify(data));
-        }
-        
-        // Movie Data Endpoint
-        else if (pathname.startsWith('/movies/data/')) {
-            const imdbId = pathname.split('/movies/data/')[1];
-            const data = await getMovieDataById(imdbId);
-            res.writeHead(200, { 
-                'Content-Type': 'application/json',
-                'Cache-Control': 'no-cache'
-            });
-            res.end(JSON.stringify(data));
-        }
-        
-        // Poster Upload Endpoint
-        else if (pathname.startsWith('/posters/add/') && req.method === 'POST') {
-            const imdbId = pathname.split('/posters/add/')[1];
-            
-            // Verify content type is image/jpeg
-            const contentType = req.headers['content-type'] || '';
-            if (!contentType.includes('image/jpeg') && !contentType.includes('multipart/form-data')) {
-                throw new ValidationError('Only JPG images are supported');
-            }
-
-            try {
-                await getOMDBData(imdbId); // Verify movie exists
-                const imageData = await handleFileUpload(req);
-                const posterPath = path.join(POSTERS_DIR, `${imdbId}.jpg`);
-                
-                fs.writeFileSync(posterPath, imageData);
-                
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ 
-                    success: true,
-                    message: 'Poster uploaded successfully',
-                    path: `/posters/${imdbId}`
-                }));
-            } catch (error) {
-                throw new ValidationError(error.message);
-            }
-        }
-        
-        // Poster Retrieval Endpoint
-        else if (pathname.startsWith('/posters/') && !pathname.includes('add')) {
-            const imdbId = pathname.split('/posters/')[1];
-            console.log(`Getting poster for movie: ${imdbId}`);
-            
-            const posterPath = path.join(POSTERS_DIR, `${imdbId}.jpg`);
-            
-            // Check if poster exists locally (for manually uploaded posters)
-            if (fs.existsSync(posterPath)) {
-                console.log('Serving locally stored poster');
-                const poster = fs.readFileSync(posterPath);
-                res.writeHead(200, { 'Content-Type': 'image/jpeg' });
-                res.end(poster);
-            } else {
-                console.log('Fetching poster from API');
-                const posterData = await getMoviePoster(imdbId);
-                
-                // Removed the local storage of API-fetched posters
-                // Only serving the fetched poster directly
-                
-                res.writeHead(200, { 'Content-Type': 'image/jpeg' });
-                res.end(posterData);
-            }
-        }
-        
-        // 404 Handler
-        else {
-            res.writeHead(404, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Endpoint not found' }));
+        // Identify the client before rate limiting so keys get their own bucket
+        req.apiKey = authenticateRequest(req);
+        if (!UNMETERED_PATHS.includes(pathname)) {
+            applyRateLimit(req, res);
         }
+
+        const { route, params } = router.match(req.method, pathname);
+        req.routePath = route.path;
+        requireScope(req.apiKey, route.scope);
+
+        const validated = router.validate(route, params, parsedUrl.query, req.headers);
+        await route.handler(req, res, validated);
     } catch (error) {
         // Error Handler
-        console.error('Error:', error);
-        
-        const statusCode = error.status || 500;
+        const { status: statusCode, code, message } = describeError(error);
+        if (statusCode >= 500) {
+            logger.error('Request failed', { error });
+        } else {
+            logger.info('Request rejected', { error });
+        }
+
         const errorResponse = {
             error: true,
-            message: error.message
+            code,
+            message
         };
 
-        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        // A streamed response that fails part-way can only be cut short
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (error.retryAfter) {
+            headers['Retry-After'] = error.retryAfter;
+        }
+        if (error.allowedMethods) {
+            headers['Allow'] = error.allowedMethods.join(', ');
+        }
+
+        res.writeHead(statusCode, headers);
         res.end(JSON.stringify(errorResponse));
     }
+};
+
+const server = http.createServer((req, res) => {
+    const requestId = getRequestId(req.headers['x-request-id']);
+    runWithRequestId(requestId, () => handleRequest(req, res, requestId));
 });
 
+/**
+ * Writes pending title index changes, then exits
+ * Every shutdown path ends here so a forced exit does not lose indexed titles
+ * @param {number} code - Exit code
+ */
+const exitProcess = (code) => {
+    titleIndex.save();
+    process.exit(code);
+};
+
+/**
+ * Stops accepting connections and exits once in-flight requests have finished
+ * Exits with an error if they have not finished within SHUTDOWN_TIMEOUT
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+const shutdown = (signal) => {
+    if (shuttingDown) {
+        logger.warn('Shutdown already in progress, forcing exit', { signal });
+        exitProcess(1);
+    }
+    shuttingDown = true;
+    logger.info('Shutting down, draining in-flight requests', { signal, timeoutMs: SHUTDOWN_TIMEOUT });
+    stopWatchlistScheduler();
+
+    server.close((error) => {
+        if (error) {
+            logger.error('Error while closing the server', { error });
+            exitProcess(1);
+        }
+        logger.info('Server stopped');
+        exitProcess(0);
+    });
+
+    setTimeout(() => {
+        logger.error('In-flight requests did not finish in time, closing connections');
+        server.closeAllConnections();
+        exitProcess(1);
+    }, SHUTDOWN_TIMEOUT).unref();
+};
+
+// Refuse to start with an invalid config rather than failing on the first request
+if (configErrors.length > 0) {
+    logger.error(`Invalid configuration: ${configErrors.join('; ')}`, { errors: configErrors });
+    process.exit(1);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // Start server
 server.listen(PORT, () => {
-    console.log(`Server running at http://localhost:${PORT}/`);
-    console.log(`Posters directory: ${POSTERS_DIR}`);
-}); 
\ No newline at end of file
+    logger.info(`Server running at http://localhost:${PORT}/`, {
+        postersDir: POSTERS_DIR,
+        maxUploadBytes: MAX_UPLOAD_BYTES,
+        upstreamMode: UPSTREAM_MODE,
+        upstreamBaseUrl: config.upstreamBaseUrl || undefined
+    });
+    startWatchlistScheduler();
+}); 
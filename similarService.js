@@ -0,0 +1,250 @@
+/**
+ * Similar Titles Service Module
+ * Recommends titles like a given one from the titles known to the local title index
+ * Candidates are scored on shared genres, directors and actors, release era and
+ * IMDb rating, and each recommendation lists the reasons it matched
+ */
+
+const { config } = require('./config');
+const {
+    getOMDBData,
+    getStreamingData,
+    validateCountry,
+    ValidationError,
+    NotFoundError,
+    APIError,
+    isHttpError
+} = require('./movieService');
+const { getCountryStreamingOptions } = require('./movieSchema');
+const { titleIndex, toNames } = require('./titleIndexService');
+const { mapWithConcurrency } = require('./upstreamService');
+const { logger } = require('./logService');
+
+// Share of the score given to each kind of similarity; they add up to 1
+const WEIGHTS = { genres: 0.4, directors: 0.25, actors: 0.2, era: 0.1, rating: 0.05 };
+const MAX_SHARED_ACTORS = 3; // Shared actors beyond this add nothing
+const ERA_SPAN = 20; // Years apart at which release years stop counting
+const RATING_SPAN = 3; // IMDb rating points apart at which ratings stop counting
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+// Most candidates whose streaming availability is looked up when filtering by country or service
+const MAX_AVAILABILITY_CHECKS = 30;
+const AVAILABILITY_CONCURRENCY = config.batchConcurrency;
+
+// Names in both lists, compared case-insensitively, as spelled in the second
+const sharedNames = (names, otherNames) => {
+    const lowerNames = names.map(name => name.toLowerCase());
+    return otherNames.filter(name => lowerNames.includes(name.toLowerCase()));
+};
+
+const joinNames = (names) => (names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0]);
+
+/**
+ * Validates the similar-title options
+ * @param {Object} [options] - Raw options
+ * @param {string} [options.country] - Only recommend titles streamable in this country
+ * @param {string|string[]} [options.services] - Only recommend titles on these service IDs or names,
+ *   comma-separated or a list; the country defaults to us
+ * @param {number} [options.limit] - Maximum number of recommendations (default 10)
+ * @returns {Object} Validated options
+ * @throws {ValidationError} If any option is invalid
+ */
+const parseSimilarOptions = ({ country, services = [], limit = DEFAULT_LIMIT } = {}) => {
+    const serviceList = Array.isArray(services) ? services : String(services).split(',');
+    const parsedServices = [...new Set(serviceList.map(service => String(service).trim().toLowerCase()).filter(Boolean))];
+
+    if (!Number.isInteger(Number(limit)) || Number(limit) < 1 || Number(limit) > MAX_LIMIT) {
+        throw new ValidationError(`limit must be an integer from 1 to ${MAX_LIMIT}`);
+    }
+
+    const filtered = Boolean(country) || parsedServices.length > 0;
+    return {
+        country: filtered ? validateCountry(country) : null,
+        services: parsedServices,
+        limit: Number(limit)
+    };
+};
+
+/**
+ * Scores how similar a candidate is to the title recommendations are made for
+ * Candidates sharing no genre, director or actor are not considered similar
+ * @param {Object} source - Indexed form of the title
+ * @param {Object} candidate - Indexed candidate title
+ * @returns {Object|null} Score between 0 and 1, its breakdown by kind and the reasons, or null if not similar
+ */
+const scoreCandidate = (source, candidate) => {
+    const genres = sharedNames(source.genres, candidate.genres);
+    const directors = sharedNames(source.directors, candidate.directors);
+    const actors = sharedNames(source.actors, candidate.actors);
+    if (genres.length === 0 && directors.length === 0 && actors.length === 0) {
+        return null;
+    }
+
+    const allGenres = new Set([...source.genres, ...candidate.genres].map(genre => genre.toLowerCase()));
+    const yearsApart = source.year && candidate.year ? Math.abs(source.year - candidate.year) : null;
+    const ratingsApart = source.rating && candidate.rating ? Math.abs(source.rating - candidate.rating) : null;
+
+    const breakdown = {
+        genres: WEIGHTS.genres * (genres.length / allGenres.size),
+        directors: directors.length > 0 ? WEIGHTS.directors : 0,
+        actors: WEIGHTS.actors * (Math.min(actors.length, MAX_SHARED_ACTORS) / MAX_SHARED_ACTORS),
+        era: yearsApart === null ? 0 : WEIGHTS.era * Math.max(0, 1 - yearsApart / ERA_SPAN),
+        rating: ratingsApart === null ? 0 : WEIGHTS.rating * Math.max(0, 1 - ratingsApart / RATING_SPAN)
+    };
+
+    const reasons = [];
+    if (genres.length > 0) {
+        reasons.push(`Shares the ${joinNames(genres)} genre${genres.length > 1 ? 's' : ''}`);
+    }
+    if (directors.length > 0) {
+        reasons.push(`Also directed by ${joinNames(directors)}`);
+    }
+    if (actors.length > 0) {
+        reasons.push(`Also stars ${joinNames(actors)}`);
+    }
+    if (yearsApart === 0) {
+        reasons.push(`Released the same year (${candidate.year})`);
+    } else if (yearsApart !== null && yearsApart <= ERA_SPAN / 2) {
+        reasons.push(`Released ${yearsApart} year${yearsApart > 1 ? 's' : ''} apart (${candidate.year})`);
+    }
+    if (ratingsApart !== null && ratingsApart <= 0.5) {
+        reasons.push(`Similar IMDb rating (${candidate.rating} vs ${source.rating})`);
+    }
+
+    const round = value => Math.round(value * 1000) / 1000;
+    const score = Object.values(breakdown).reduce((total, value) => total + value, 0);
+    return {
+        score: round(score),
+        breakdown: Object.fromEntries(Object.entries(breakdown).map(([kind, value]) => [kind, round(value)])),
+        reasons
+    };
+};
+
+/**
+ * Looks up the services a candidate can be streamed on in a country
+ * One request can make up to MAX_AVAILABILITY_CHECKS of these lookups, so they
+ * run at low priority and give way to direct lookups when the upstream budget runs low
+ * @param {string} imdbId - IMDB ID of the candidate
+ * @param {string} country - Country code
+ * @returns {Promise<Object[]|null>} Services offering it, or null if its availability could not be looked up
+ */
+const getAvailableServices = async (imdbId, country) => {
+    try {
+        const streamingData = await getStreamingData(imdbId, country, 'show', { priority: 'low' });
+        return getCountryStreamingOptions(imdbId, streamingData, country).map(({ service }) => service);
+    } catch (error) {
+        if (!(error instanceof NotFoundError)) {
+            logger.warn('Failed to get streaming availability of similar title', { imdbId, error });
+        }
+        return null;
+    }
+};
+
+// Matches a service against the requested ones by ID or name
+const isRequestedService = (services, service) => (
+    services.includes(String(service.id).toLowerCase()) || services.includes(String(service.name).toLowerCase())
+);
+
+/**
+ * Keeps the best-scored candidates streamable in the requested country and services
+ * Candidates are checked a few at a time, best first, until enough are found
+ * @param {Object[]} ranked - Recommendations, best first
+ * @param {Object} options - Validated options
+ * @returns {Promise<Object[]>} Up to limit recommendations with the services offering them
+ */
+const filterByAvailability = async (ranked, { country, services, limit }) => {
+    const candidates = ranked.slice(0, MAX_AVAILABILITY_CHECKS);
+    const available = [];
+
+    for (let start = 0; start < candidates.length && available.length < limit; start += AVAILABILITY_CONCURRENCY) {
+        const chunk = candidates.slice(start, start + AVAILABILITY_CONCURRENCY);
+        const chunkServices = await mapWithConcurrency(chunk, AVAILABILITY_CONCURRENCY, ({ imdbId }) => getAvailableServices(imdbId, country));
+        chunk.forEach((recommendation, index) => {
+            const availableOn = (chunkServices[index] || []).filter(service => services.length === 0 || isRequestedService(services, service));
+            if (availableOn.length > 0) {
+                available.push({ ...recommendation, availableOn });
+            }
+        });
+    }
+
+    return available.slice(0, limit);
+};
+
+/**
+ * Recommends titles similar to a given one
+ * @param {string} imdbId - IMDB ID of the title
+ * @param {Object} [options] - Raw options, see parseSimilarOptions
+ * @returns {Promise<Object>} The title, the filters applied and the recommendations, best first,
+ *   each with its score, score breakdown and the reasons it matched
+ * @throws {ValidationError} If the ID or an option is invalid
+ * @throws {NotFoundError} If the title does not exist
+ * @throws {APIError} If API requests fail
+ */
+const getSimilarTitles = async (imdbId, options = {}) => {
+    if (!imdbId || !imdbId.startsWith('tt')) {
+        throw new ValidationError('Invalid IMDb ID format. Must start with "tt"');
+    }
+    const parsed = parseSimilarOptions(options);
+
+    let omdbData;
+    try {
+        omdbData = await getOMDBData(imdbId);
+    } catch (error) {
+        if (isHttpError(error)) {
+            throw error;
+        }
+        throw new APIError('The remote detail server returned an invalid response');
+    }
+
+    // Episodes are not indexed, so the source is built from the OMDB data itself
+    const source = titleIndex.get(imdbId) || {
+        genres: toNames(omdbData.Genre),
+        directors: toNames(omdbData.Director),
+        actors: toNames(omdbData.Actors),
+        year: parseInt(omdbData.Year, 10) || null,
+        rating: parseFloat(omdbData.imdbRating) || null
+    };
+
+    const ranked = [];
+    titleIndex.list().forEach((candidate) => {
+        if (candidate.imdbId === imdbId) {
+            return;
+        }
+        const match = scoreCandidate(source, candidate);
+        if (match) {
+            ranked.push({ candidate, ...match });
+        }
+    });
+
+    const recommendations = ranked
+        .sort((a, b) => b.score - a.score || b.candidate.votes - a.candidate.votes || a.candidate.title.localeCompare(b.candidate.title))
+        .map(({ candidate, score, breakdown, reasons }) => ({
+            imdbId: candidate.imdbId,
+            title: candidate.title,
+            year: candidate.year,
+            type: candidate.type,
+            genres: candidate.genres,
+            directors: candidate.directors,
+            actors: candidate.actors,
+            rating: candidate.rating,
+            score,
+            breakdown,
+            reasons
+        }));
+
+    return {
+        imdbId,
+        title: omdbData.Title || null,
+        country: parsed.country,
+        services: parsed.services,
+        results: parsed.country
+            ? await filterByAvailability(recommendations, parsed)
+            : recommendations.slice(0, parsed.limit)
+    };
+};
+
+module.exports = {
+    parseSimilarOptions,
+    scoreCandidate,
+    getSimilarTitles
+};
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+const keysFile = path.join(tmpDir, 'apiKeys.json');
+
+// The config is read when the modules load, so the environment is set first
+Object.assign(process.env, { LOG_LEVEL: 'error', API_KEYS_FILE: keysFile, ADMIN_API_KEY: '' });
+const { createKey, listKeys, revokeKey, authenticate } = require('../authService');
+
+const request = key => ({ headers: { 'x-api-key': key } });
+
+test.after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('authenticates created keys and rejects them once revoked', () => {
+    const created = createKey({ name: 'mobile-app', scopes: ['read', 'read', 'posters:write'] });
+
+    assert.match(created.key, /^msk_[0-9a-f]{48}$/);
+    assert.deepEqual(created.scopes, ['read', 'posters:write']);
+    assert.equal(authenticate(request(created.key)).id, created.id);
+    assert.equal(authenticate({ headers: {} }), null);
+
+    revokeKey(created.id);
+    assert.throws(() => authenticate(request(created.key)), error => error.status === 401);
+    assert.ok(listKeys().find(key => key.id === created.id).revokedAt);
+    assert.equal(JSON.parse(fs.readFileSync(keysFile, 'utf8')).find(key => key.id === created.id).keyHash.length, 64);
+});
+
+test('authenticating does not parse the keys file again while it is unchanged', (t) => {
+    const created = createKey({ name: 'web', scopes: ['read'] });
+    const readFileSync = t.mock.method(fs, 'readFileSync');
+
+    for (let i = 0; i < 5; i++) {
+        assert.equal(authenticate(request(created.key)).name, 'web');
+    }
+    assert.throws(() => authenticate(request('msk_unknown')), error => error.status === 401);
+    assert.equal(readFileSync.mock.callCount(), 0);
+});
+
+test('a key created or revoked is seen by the next request', () => {
+    const first = createKey({ name: 'first', scopes: ['read'] });
+    assert.equal(authenticate(request(first.key)).name, 'first');
+
+    const second = createKey({ name: 'second', scopes: ['watchlists'] });
+    assert.equal(authenticate(request(second.key)).name, 'second');
+
+    revokeKey(first.id);
+    assert.throws(() => authenticate(request(first.key)), error => error.status === 401);
+    assert.equal(authenticate(request(second.key)).name, 'second');
+});
+
+test('keys revoked or added by editing the file take effect on the next request', () => {
+    const kept = createKey({ name: 'kept', scopes: ['read'] });
+    const revoked = createKey({ name: 'revoked', scopes: ['read'] });
+    assert.equal(authenticate(request(revoked.key)).name, 'revoked');
+
+    // Another instance revokes a key by rewriting the file
+    const keys = JSON.parse(fs.readFileSync(keysFile, 'utf8'));
+    keys.find(key => key.id === revoked.id).revokedAt = new Date().toISOString();
+    fs.writeFileSync(keysFile, JSON.stringify(keys, null, 2));
+    const later = new Date(Date.now() + 60 * 1000);
+    fs.utimesSync(keysFile, later, later);
+
+    assert.throws(() => authenticate(request(revoked.key)), error => error.status === 401);
+    assert.equal(authenticate(request(kept.key)).name, 'kept');
+});
+
+test('createKey and revokeKey validate their input', () => {
+    assert.throws(() => createKey({ name: ' ', scopes: ['read'] }), error => error.status === 400);
+    assert.throws(() => createKey({ name: 'app', scopes: ['root'] }), /Unknown scopes: root/);
+    assert.throws(() => revokeKey('missing'), error => error.status === 404);
+});
@@ -0,0 +1,196 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LRUCache, DiskStore, ResponseCache } = require('../cacheService');
+
+const POLICY = { ttl: 1000, staleTtl: 5000 };
+
+// Replaces Date.now with a clock the test moves by hand
+const useClock = (t, start = 1700000000000) => {
+    const clock = { now: start };
+    t.mock.method(Date, 'now', () => clock.now);
+    return clock;
+};
+
+// A fetcher that returns value-1, value-2, ... and counts its calls
+const countingFetcher = () => {
+    const fetcher = async () => {
+        fetcher.calls++;
+        return `value-${fetcher.calls}`;
+    };
+    fetcher.calls = 0;
+    return fetcher;
+};
+
+let tmpDir;
+test.beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+});
+test.afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('LRUCache evicts the least recently used entry', () => {
+    const cache = new LRUCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.get('c'), 3);
+});
+
+test('serves fresh entries from the cache until their TTL passes', async (t) => {
+    const clock = useClock(t);
+    const cache = new ResponseCache({ maxEntries: 10, dir: null });
+    const fetcher = countingFetcher();
+
+    assert.equal(await cache.wrap('key', POLICY, fetcher), 'value-1');
+    clock.now += 999;
+    assert.equal(await cache.wrap('key', POLICY, fetcher), 'value-1');
+    assert.equal(fetcher.calls, 1);
+
+    // Past the TTL and the stale window, the fetch is waited for
+    clock.now += 1 + 5000;
+    assert.equal(await cache.wrap('key', POLICY, fetcher), 'value-2');
+    assert.equal(fetcher.calls, 2);
+    assert.deepEqual(cache.stats, { hits: 1, staleHits: 0, misses: 2 });
+});
+
+test('serves stale entries while refreshing them in the background', async (t) => {
+    const clock = useClock(t);
+    const cache = new ResponseCache({ maxEntries: 10, dir: null });
+    const fetcher = countingFetcher();
+
+    await cache.wrap('key', POLICY, fetcher);
+    clock.now += 2000;
+
+    assert.equal(await cache.wrap('key', POLICY, fetcher), 'value-1');
+    assert.equal(cache.stats.staleHits, 1);
+    // The background refresh shares its pending fetch with other callers
+    assert.equal(await cache.inFlight.get('key'), 'value-2');
+    assert.equal(await cache.wrap('key', POLICY, fetcher), 'value-2');
+    assert.equal(fetcher.calls, 2);
+});
+
+test('keeps serving the stale entry when the background refresh fails', async (t) => {
+    const clock = useClock(t);
+    const cache = new ResponseCache({ maxEntries: 10, dir: null });
+
+    await cache.wrap('key', POLICY, async () => 'cached');
+    clock.now += 2000;
+
+    const failing = async () => {
+        throw new Error('upstream down');
+    };
+    assert.equal(await cache.wrap('key', POLICY, failing), 'cached');
+    await assert.rejects(cache.inFlight.get('key'), /upstream down/);
+    assert.equal(await cache.wrap('key', POLICY, failing), 'cached');
+});
+
+test('coalesces concurrent fetches of the same key', async () => {
+    const cache = new ResponseCache({ maxEntries: 10, dir: null });
+    let release;
+    let calls = 0;
+    const fetcher = () => {
+        calls++;
+        return new Promise((resolve) => {
+            release = resolve;
+        });
+    };
+
+    const pending = [cache.wrap('key', POLICY, fetcher), cache.wrap('key', POLICY, fetcher), cache.wrap('key', POLICY, fetcher)];
+    await new Promise(setImmediate);
+    release('shared');
+
+    assert.deepEqual(await Promise.all(pending), ['shared', 'shared', 'shared']);
+    assert.equal(calls, 1);
+    assert.equal(cache.inFlight.size, 0);
+});
+
+test('does not cache errors', async () => {
+    const cache = new ResponseCache({ maxEntries: 10, dir: null });
+    let calls = 0;
+    const fetcher = async () => {
+        calls++;
+        if (calls === 1) {
+            throw new Error('not found');
+        }
+        return 'found';
+    };
+
+    await assert.rejects(cache.wrap('key', POLICY, fetcher), /not found/);
+    assert.equal(await cache.wrap('key', POLICY, fetcher), 'found');
+});
+
+test('persists entries to disk for a new cache instance', async () => {
+    await new ResponseCache({ maxEntries: 10, dir: tmpDir }).wrap('key', POLICY, async () => ({ title: 'Inception' }));
+
+    const restarted = new ResponseCache({ maxEntries: 10, dir: tmpDir });
+    assert.deepEqual(await restarted.wrap('key', POLICY, countingFetcher()), { title: 'Inception' });
+    assert.equal(restarted.stats.hits, 1);
+});
+
+test('DiskStore removes the least recently written entries beyond its maximum', (t) => {
+    const clock = useClock(t);
+    const store = new DiskStore(tmpDir, { maxEntries: 2 });
+    const entry = () => ({ value: 1, storedAt: clock.now, expiresAt: clock.now + 1000, staleUntil: clock.now + 2000 });
+
+    store.set('a', entry());
+    store.set('b', entry());
+    store.set('a', entry()); // Rewriting makes a the most recent
+    store.set('c', entry());
+
+    assert.equal(store.size, 2);
+    assert.equal(fs.readdirSync(tmpDir).length, 2);
+    assert.equal(store.get('b'), undefined);
+    assert.ok(store.get('a'));
+    assert.ok(store.get('c'));
+});
+
+test('DiskStore sweeps expired and unreadable entries when opened', (t) => {
+    const clock = useClock(t);
+    const first = new DiskStore(tmpDir, { maxEntries: 10 });
+    first.set('old', { value: 1, storedAt: clock.now, expiresAt: clock.now + 10, staleUntil: clock.now + 20 });
+    first.set('new', { value: 2, storedAt: clock.now, expiresAt: clock.now + 1000, staleUntil: clock.now + 2000 });
+    fs.writeFileSync(path.join(tmpDir, 'broken.json'), '{');
+
+    clock.now += 100;
+    const reopened = new DiskStore(tmpDir, { maxEntries: 10 });
+
+    assert.equal(reopened.size, 1);
+    assert.deepEqual(fs.readdirSync(tmpDir), [reopened.fileName('new')]);
+    assert.equal(reopened.get('new').value, 2);
+});
+
+test('DiskStore trims to its maximum when opened, keeping the newest entries', (t) => {
+    const clock = useClock(t);
+    const store = new DiskStore(tmpDir, { maxEntries: 10 });
+    ['a', 'b', 'c'].forEach((key) => {
+        clock.now += 1;
+        store.set(key, { value: key, storedAt: clock.now, expiresAt: clock.now + 1000, staleUntil: clock.now + 2000 });
+    });
+
+    const smaller = new DiskStore(tmpDir, { maxEntries: 2 });
+
+    assert.equal(smaller.get('a'), undefined);
+    assert.equal(smaller.get('b').value, 'b');
+    assert.equal(smaller.get('c').value, 'c');
+});
+
+test('DiskStore drops entries read after their stale window', (t) => {
+    const clock = useClock(t);
+    const store = new DiskStore(tmpDir, { maxEntries: 10 });
+    store.set('key', { value: 1, storedAt: clock.now, expiresAt: clock.now + 10, staleUntil: clock.now + 20 });
+
+    clock.now += 20;
+    assert.equal(store.get('key'), undefined);
+    assert.equal(store.size, 0);
+    assert.deepEqual(fs.readdirSync(tmpDir), []);
+});
@@ -0,0 +1,80 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadConfig } = require('../config');
+
+// The required upstream keys, so each test only reports the problems it sets up
+const VALID_ENV = { OMDB_API_KEY: 'omdb-key', STREAMING_API_KEY: 'streaming-key' };
+
+test('loadConfig applies defaults for unset and empty settings', () => {
+    const { config, errors } = loadConfig({ ...VALID_ENV, PORT: '', CACHE_DIR: '  ' });
+
+    assert.deepEqual(errors, []);
+    assert.equal(config.port, 3000);
+    assert.equal(config.cacheDir, null);
+    assert.deepEqual(config.corsOrigins, ['*']);
+    assert.equal(config.shutdownTimeout, 10 * 1000);
+    assert.ok(Object.isFrozen(config));
+});
+
+test('loadConfig converts each setting type', () => {
+    const { config, errors } = loadConfig({
+        ...VALID_ENV,
+        PORT: '8080',
+        RATE_LIMIT_REFILL_PER_SECOND: '0.5',
+        TRUST_PROXY: 'true',
+        CORS_ORIGINS: 'https://a.example, https://b.example,',
+        CACHE_DIR: 'tmp/cache',
+        OMDB_CACHE_TTL: '60',
+        LOG_LEVEL: 'warn'
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(config.port, 8080);
+    assert.equal(config.rateLimitRefillPerSecond, 0.5);
+    assert.equal(config.trustProxy, true);
+    assert.deepEqual(config.corsOrigins, ['https://a.example', 'https://b.example']);
+    assert.equal(config.cacheDir, path.resolve('tmp/cache'));
+    assert.equal(config.omdbCacheTtl, 60 * 1000);
+    assert.equal(config.logLevel, 'warn');
+});
+
+test('loadConfig reports every missing required setting', () => {
+    const { config, errors } = loadConfig({});
+
+    assert.deepEqual(errors, ['OMDB_API_KEY is required', 'STREAMING_API_KEY is required']);
+    assert.equal(config.omdbApiKey, undefined);
+});
+
+test('loadConfig reports invalid values and falls back to their defaults', () => {
+    const { config, errors } = loadConfig({
+        ...VALID_ENV,
+        PORT: '70000',
+        CACHE_MAX_ENTRIES: '1.5',
+        RATE_LIMIT_CAPACITY: 'lots',
+        UPSTREAM_BUDGET_RESERVE: '-0.1',
+        TRUST_PROXY: 'yes',
+        LOG_LEVEL: 'verbose'
+    });
+
+    assert.deepEqual(errors, [
+        'PORT must be at most 65535, got 70000',
+        'TRUST_PROXY must be true or false, got "yes"',
+        'LOG_LEVEL must be one of: debug, info, warn, error, got "verbose"',
+        'CACHE_MAX_ENTRIES must be an integer, got "1.5"',
+        'RATE_LIMIT_CAPACITY must be an integer, got "lots"',
+        'UPSTREAM_BUDGET_RESERVE must be at least 0, got -0.1'
+    ]);
+    assert.equal(config.port, 3000);
+    assert.equal(config.cacheMaxEntries, 500);
+    assert.equal(config.trustProxy, false);
+    assert.equal(config.logLevel, 'info');
+});
+
+test('loadConfig rejects placeholders copied from SAMPLE.env', () => {
+    const { errors } = loadConfig({ ...VALID_ENV, OMDB_API_KEY: '{your_omdb_api_key}' });
+
+    assert.deepEqual(errors, ['OMDB_API_KEY still contains the placeholder from SAMPLE.env']);
+});
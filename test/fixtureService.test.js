@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixture-test-'));
+const OMDB_KEY = 'omdb-secret-key';
+
+// The config is read when the modules load, so the environment is set first
+Object.assign(process.env, { LOG_LEVEL: 'error', UPSTREAM_MODE: 'replay', FIXTURES_DIR: tmpDir, OMDB_API_KEY: OMDB_KEY });
+const { stripKeys, getFixturePath, loadFixture, saveFixture } = require('../fixtureService');
+const { getOMDBData } = require('../movieService');
+
+const omdbUrl = imdbId => `https://www.omdbapi.com/?i=${imdbId}&apikey=${OMDB_KEY}`;
+
+test.after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('stripKeys removes API key parameters and keeps the rest', () => {
+    assert.equal(stripKeys('https://www.omdbapi.com/?i=tt1375666&apikey=abc&plot=full'), 'https://www.omdbapi.com/?i=tt1375666&plot=full');
+    assert.equal(stripKeys('https://api.example.com/a?API_KEY=abc&api-key=def&keys=1'), 'https://api.example.com/a?keys=1');
+});
+
+test('saveFixture writes no API keys and only the stable headers', () => {
+    saveFixture('GET', omdbUrl('tt1375666'), {
+        statusCode: 200,
+        headers: { 'content-type': 'application/json', date: 'Mon, 19 Oct 2026 12:00:00 GMT', 'retry-after': '5' },
+        body: Buffer.from('{"Title":"Inception"}')
+    });
+
+    const fixturePath = getFixturePath('GET', 'https://www.omdbapi.com/?i=tt1375666');
+    const text = fs.readFileSync(fixturePath, 'utf8');
+    assert.doesNotMatch(text, new RegExp(OMDB_KEY));
+    assert.equal(path.dirname(fixturePath), path.join(tmpDir, 'www.omdbapi.com'));
+
+    const { request, response } = JSON.parse(text);
+    assert.deepEqual(request, { method: 'GET', url: 'https://www.omdbapi.com/?i=tt1375666' });
+    assert.deepEqual(response, {
+        status: 200,
+        headers: { 'content-type': 'application/json', 'retry-after': '5' },
+        body: '{"Title":"Inception"}'
+    });
+});
+
+test('loadFixture finds a recording whatever key the request carries', () => {
+    const fixture = loadFixture('GET', 'https://www.omdbapi.com/?i=tt1375666&apikey=another-key');
+
+    assert.equal(fixture.statusCode, 200);
+    assert.equal(fixture.body.toString(), '{"Title":"Inception"}');
+    assert.equal(loadFixture('POST', omdbUrl('tt1375666')), null);
+    assert.equal(loadFixture('GET', omdbUrl('tt0000000')), null);
+});
+
+test('binary bodies are stored as base64 and replayed byte for byte', () => {
+    const poster = Buffer.from([0xff, 0xd8, 0xff, 0x00, 0x10]);
+    saveFixture('GET', 'https://img.example.com/poster.jpg', { statusCode: 200, headers: { 'content-type': 'image/jpeg' }, body: poster });
+
+    assert.deepEqual(loadFixture('GET', 'https://img.example.com/poster.jpg').body, poster);
+});
+
+test('replay mode answers upstream calls from the fixtures without the network', async (t) => {
+    const request = t.mock.method(https, 'request', () => {
+        throw new Error('Replay mode must not reach the network');
+    });
+    saveFixture('GET', omdbUrl('tt0816692'), {
+        statusCode: 200,
+        headers: { 'content-type': 'application/json' },
+        body: Buffer.from('{"imdbID":"tt0816692","Title":"Interstellar"}')
+    });
+
+    assert.deepEqual(await getOMDBData('tt0816692'), { imdbID: 'tt0816692', Title: 'Interstellar' });
+    assert.equal(request.mock.callCount(), 0);
+});
+
+test('replay mode reports a request that was never recorded, without its key', async () => {
+    await assert.rejects(getOMDBData('tt0000001'), (error) => {
+        assert.equal(error.status, 502);
+        assert.equal(error.code, 'UPSTREAM_FIXTURE_MISSING');
+        assert.doesNotMatch(error.message, new RegExp(OMDB_KEY));
+        return true;
+    });
+});
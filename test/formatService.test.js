@@ -0,0 +1,94 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { negotiateFormat, toCSV, toNDJSON, toXML, serialize } = require('../formatService');
+
+const netflix = { id: 'netflix', name: 'Netflix' };
+
+test('negotiateFormat follows the Accept header, its qualities and the format override', () => {
+    assert.equal(negotiateFormat(undefined), 'json');
+    assert.equal(negotiateFormat('text/csv'), 'csv');
+    assert.equal(negotiateFormat('application/xml;q=0.5, application/x-ndjson'), 'ndjson');
+    assert.equal(negotiateFormat('text/*'), 'csv');
+    assert.equal(negotiateFormat('image/png, */*;q=0.1'), 'json');
+    assert.equal(negotiateFormat('text/html', 'xml'), 'xml');
+});
+
+test('negotiateFormat rejects requests accepting none of the formats', () => {
+    assert.throws(() => negotiateFormat('text/html, application/json;q=0'), { status: 406, code: 'NOT_ACCEPTABLE' });
+});
+
+test('toCSV quotes separators, quotes and line breaks', () => {
+    const csv = toCSV([{ title: 'Crouching Tiger, Hidden Dragon', plot: 'He said "run"\nand ran', year: 2000, rated: null }]);
+
+    assert.equal(csv, [
+        'title,plot,year,rated',
+        '"Crouching Tiger, Hidden Dragon","He said ""run""\nand ran",2000,',
+        ''
+    ].join('\r\n'));
+});
+
+test('toCSV stops text cells from being run as spreadsheet formulas', () => {
+    const csv = toCSV([
+        { title: '=HYPERLINK("http://evil.example")', plot: '+1', tagline: '-ish', director: '@home', rating: -1 }
+    ]);
+
+    assert.equal(csv.split('\r\n')[1], `"'=HYPERLINK(""http://evil.example"")",'+1,'-ish,'@home,-1`);
+});
+
+test('toCSV flattens nested fields into dotted columns and lists into one cell', () => {
+    const csv = toCSV([
+        {
+            imdbId: 'tt1375666',
+            ratings: { imdb: 8.8 },
+            genres: ['Action', 'Sci-Fi'],
+            streaming: { options: { us: [{ service: netflix, offers: [{ type: 'subscription', quality: 'hd' }] }] } }
+        },
+        { imdbId: 'tt0000002', year: 1999 }
+    ]);
+
+    assert.deepEqual(csv.split('\r\n'), [
+        'imdbId,ratings.imdb,genres,streaming.options.us,year',
+        'tt1375666,8.8,Action; Sci-Fi,Netflix (subscription hd),',
+        'tt0000002,,,,1999',
+        ''
+    ]);
+});
+
+test('toNDJSON writes one document per line', () => {
+    assert.equal(toNDJSON([{ title: 'a\nb' }, { title: 'c' }]), '{"title":"a\\nb"}\n{"title":"c"}\n');
+});
+
+test('toXML escapes text and turns keys into valid element names', () => {
+    const xml = toXML('movie', { Title: 'Tom & Jerry <"Live">', '2nd cut': true, 'box office': null });
+
+    assert.equal(xml, [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<movie>',
+        '  <Title>Tom &amp; Jerry &lt;&quot;Live&quot;&gt;</Title>',
+        '  <_2nd_cut>true</_2nd_cut>',
+        '  <box_office/>',
+        '</movie>',
+        ''
+    ].join('\n'));
+});
+
+test('toXML names list items and groups streaming options by country', () => {
+    const xml = toXML('response', {
+        results: [{ genres: ['Drama'], streaming: { options: { 'u"s': [{ service: netflix }] } } }]
+    });
+
+    assert.match(xml, /<results>\n {4}<movie>\n {6}<genres>\n {8}<genre>Drama<\/genre>/);
+    assert.match(xml, /<country code="u&quot;s">\n {12}<option>\n {14}<service>/);
+});
+
+test('serialize writes rows for CSV and NDJSON and the whole body otherwise', () => {
+    const body = { page: 1, results: [{ title: 'Inception' }] };
+    const options = { rows: body.results, root: 'search' };
+
+    assert.equal(serialize('json', body, options), JSON.stringify(body));
+    assert.equal(serialize('csv', body, options), 'title\r\nInception\r\n');
+    assert.equal(serialize('ndjson', body, options), '{"title":"Inception"}\n');
+    assert.match(serialize('xml', body, options), /^<\?xml[^\n]*\n<search>\n {2}<page>1<\/page>/);
+});
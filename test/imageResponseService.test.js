@@ -0,0 +1,113 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { parseRange, sendImage } = require('../imageResponseService');
+
+const DATA = Buffer.from('0123456789');
+const ETAG = `"${crypto.createHash('sha1').update(DATA).digest('hex')}"`;
+const LAST_MODIFIED = new Date('2026-10-19T12:00:00.500Z');
+const LAST_MODIFIED_HTTP = 'Mon, 19 Oct 2026 12:00:00 GMT';
+
+// A response stand-in that records the status, headers and body it is given
+const createResponse = () => ({
+    status: null,
+    headers: null,
+    body: null,
+    writeHead(status, headers) {
+        this.status = status;
+        this.headers = headers;
+    },
+    end(body) {
+        this.body = body || null;
+    }
+});
+
+const send = (headers = {}) => {
+    const res = createResponse();
+    sendImage({ headers }, res, {
+        data: DATA,
+        mimeType: 'image/jpeg',
+        lastModified: LAST_MODIFIED,
+        cacheControl: 'no-cache'
+    });
+    return res;
+};
+
+test('parseRange handles single, open-ended and suffix ranges', () => {
+    assert.deepEqual(parseRange('bytes=2-5', 10), { start: 2, end: 5 });
+    assert.deepEqual(parseRange('bytes=2-100', 10), { start: 2, end: 9 });
+    assert.deepEqual(parseRange('bytes=7-', 10), { start: 7, end: 9 });
+    assert.deepEqual(parseRange('bytes=-3', 10), { start: 7, end: 9 });
+    assert.deepEqual(parseRange('bytes=-30', 10), { start: 0, end: 9 });
+});
+
+test('parseRange ignores absent, malformed and multi-range headers', () => {
+    assert.equal(parseRange(undefined, 10), null);
+    assert.equal(parseRange('bytes=-', 10), null);
+    assert.equal(parseRange('items=0-1', 10), null);
+    assert.equal(parseRange('bytes=0-1,4-5', 10), null);
+});
+
+test('parseRange reports unsatisfiable ranges', () => {
+    assert.equal(parseRange('bytes=10-', 10), false);
+    assert.equal(parseRange('bytes=5-2', 10), false);
+    assert.equal(parseRange('bytes=-0', 10), false);
+});
+
+test('sends the full image with validators', () => {
+    const res = send();
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.ETag, ETAG);
+    assert.equal(res.headers['Last-Modified'], LAST_MODIFIED_HTTP);
+    assert.equal(res.headers['Content-Length'], DATA.length);
+    assert.equal(res.headers['Accept-Ranges'], 'bytes');
+    assert.deepEqual(res.body, DATA);
+});
+
+test('answers a matching If-None-Match with 304 and no body', () => {
+    for (const ifNoneMatch of [ETAG, `"other", W/${ETAG}`, '*']) {
+        const res = send({ 'if-none-match': ifNoneMatch });
+        assert.equal(res.status, 304, ifNoneMatch);
+        assert.equal(res.headers.ETag, ETAG);
+        assert.equal(res.headers['Content-Type'], undefined);
+        assert.equal(res.body, null);
+    }
+
+    assert.equal(send({ 'if-none-match': '"other"' }).status, 200);
+});
+
+test('If-None-Match takes precedence over If-Modified-Since', () => {
+    assert.equal(send({ 'if-modified-since': LAST_MODIFIED_HTTP }).status, 304);
+    assert.equal(send({ 'if-modified-since': 'Mon, 19 Oct 2026 11:59:59 GMT' }).status, 200);
+    assert.equal(send({ 'if-none-match': '"other"', 'if-modified-since': LAST_MODIFIED_HTTP }).status, 200);
+});
+
+test('sends a satisfiable range as 206 partial content', () => {
+    const res = send({ range: 'bytes=-4' });
+
+    assert.equal(res.status, 206);
+    assert.equal(res.headers['Content-Range'], 'bytes 6-9/10');
+    assert.equal(res.headers['Content-Length'], 4);
+    assert.equal(res.body.toString(), '6789');
+});
+
+test('answers an unsatisfiable range with 416', () => {
+    const res = send({ range: 'bytes=20-' });
+
+    assert.equal(res.status, 416);
+    assert.equal(res.headers['Content-Range'], 'bytes */10');
+    assert.equal(res.body, null);
+});
+
+test('honours a range only while If-Range still matches the image', () => {
+    assert.equal(send({ range: 'bytes=0-1', 'if-range': ETAG }).status, 206);
+    assert.equal(send({ range: 'bytes=0-1', 'if-range': LAST_MODIFIED_HTTP }).status, 206);
+
+    const stale = send({ range: 'bytes=0-1', 'if-range': '"other"' });
+    assert.equal(stale.status, 200);
+    assert.deepEqual(stale.body, DATA);
+    assert.equal(send({ range: 'bytes=0-1', 'if-range': 'Mon, 19 Oct 2026 11:00:00 GMT' }).status, 200);
+});
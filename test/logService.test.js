@@ -0,0 +1,96 @@
+process.env.LOG_LEVEL = 'debug';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { logger, redact, getRequestId, runWithRequestId } = require('../logService');
+
+// Collects the log lines written to stdout and stderr, passing the test runner's own output through
+const captureLogs = (t) => {
+    const lines = [];
+    const capture = (stream) => {
+        const write = stream.write.bind(stream);
+        t.mock.method(stream, 'write', (chunk, ...args) => {
+            if (typeof chunk === 'string' && chunk.startsWith('{"time":')) {
+                lines.push({ stream, entry: JSON.parse(chunk) });
+                return true;
+            }
+            return write(chunk, ...args);
+        });
+    };
+    capture(process.stdout);
+    capture(process.stderr);
+    return lines;
+};
+
+test('redact hides sensitive fields at any depth', () => {
+    const redacted = redact({
+        imdbId: 'tt1375666',
+        apiKey: 'abc',
+        headers: { 'x-api-key': 'abc', Authorization: 'Bearer abc', accept: 'application/json' },
+        clients: [{ webhookSecret: 'whsec', name: 'app' }]
+    });
+
+    assert.deepEqual(redacted, {
+        imdbId: 'tt1375666',
+        apiKey: '[REDACTED]',
+        headers: { 'x-api-key': '[REDACTED]', Authorization: '[REDACTED]', accept: 'application/json' },
+        clients: [{ webhookSecret: '[REDACTED]', name: 'app' }]
+    });
+});
+
+test('redact removes secrets embedded in strings and error messages', () => {
+    assert.equal(redact('/?i=tt1375666&apikey=secret123&plot=full'), '/?i=tt1375666&apikey=[REDACTED]&plot=full');
+    assert.equal(redact('Invalid key msk_0123456789abcdef'), 'Invalid key msk_[REDACTED]');
+
+    const error = redact(new Error('GET /?apikey=secret123 failed'));
+    assert.equal(error.message, 'GET /?apikey=[REDACTED] failed');
+    assert.doesNotMatch(error.stack, /secret123/);
+});
+
+test('redact keeps HTTP errors short and unexpected errors with their stack', () => {
+    const httpError = Object.assign(new Error('Not found'), { status: 404, code: 'NOT_FOUND' });
+    assert.deepEqual(redact(httpError), { name: 'Error', message: 'Not found', code: 'NOT_FOUND', status: 404 });
+    assert.ok(redact(new TypeError('boom')).stack.includes('TypeError: boom'));
+});
+
+test('logger writes one JSON line per entry, warnings and errors to stderr', (t) => {
+    const lines = captureLogs(t);
+
+    logger.info('Poster stored', { imdbId: 'tt1375666', token: 'abc' });
+    logger.error('Upstream failed', { path: '/?apikey=secret' });
+
+    assert.equal(lines.length, 2);
+    assert.equal(lines[0].stream, process.stdout);
+    assert.equal(lines[0].entry.level, 'info');
+    assert.equal(lines[0].entry.msg, 'Poster stored');
+    assert.equal(lines[0].entry.token, '[REDACTED]');
+    assert.equal(lines[1].stream, process.stderr);
+    assert.equal(lines[1].entry.path, '/?apikey=[REDACTED]');
+    assert.ok(!Number.isNaN(Date.parse(lines[0].entry.time)));
+});
+
+test('the request ID follows the request through asynchronous work', async (t) => {
+    const lines = captureLogs(t);
+
+    await Promise.all(['req-a', 'req-b'].map(requestId => runWithRequestId(requestId, async () => {
+        logger.info('Handling request');
+        await new Promise(resolve => setTimeout(resolve, requestId === 'req-a' ? 10 : 0));
+        logger.debug('Upstream call finished');
+    })));
+    logger.info('Outside any request');
+
+    const byRequest = requestId => lines.filter(line => line.entry.requestId === requestId).map(line => line.entry.msg);
+    assert.deepEqual(byRequest('req-a'), ['Handling request', 'Upstream call finished']);
+    assert.deepEqual(byRequest('req-b'), ['Handling request', 'Upstream call finished']);
+    assert.equal(lines.at(-1).entry.requestId, undefined);
+});
+
+test('getRequestId keeps well-formed client IDs and replaces the rest', () => {
+    assert.equal(getRequestId('abc-123.def:456_x'), 'abc-123.def:456_x');
+
+    const uuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+    assert.match(getRequestId(undefined), uuid);
+    assert.match(getRequestId('has spaces'), uuid);
+    assert.match(getRequestId('x'.repeat(129)), uuid);
+    assert.notEqual(getRequestId(), getRequestId());
+});
@@ -0,0 +1,70 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Counter, Collector, Histogram, Registry, registry } = require('../metricsService');
+
+test('Counter keeps one series per label set and escapes label values', () => {
+    const counter = new Counter('requests_total', 'Requests served', ['route', 'status']);
+    counter.inc({ route: '/movies/data/:imdbId', status: 200 });
+    counter.inc({ route: '/movies/data/:imdbId', status: 200 }, 2);
+    counter.inc({ route: 'say "hi"\\\n', status: 500 });
+
+    assert.deepEqual(counter.collect(), [
+        'requests_total{route="/movies/data/:imdbId",status="200"} 3',
+        'requests_total{route="say \\"hi\\"\\\\\\n",status="500"} 1'
+    ]);
+});
+
+test('Histogram counts observations into cumulative buckets', () => {
+    const histogram = new Histogram('latency_seconds', 'Latency', ['host'], [0.1, 1]);
+    histogram.observe({ host: 'api' }, 0.05);
+    histogram.observe({ host: 'api' }, 0.5);
+    histogram.observe({ host: 'api' }, 3);
+
+    assert.deepEqual(histogram.collect(), [
+        'latency_seconds_bucket{host="api",le="0.1"} 1',
+        'latency_seconds_bucket{host="api",le="1"} 2',
+        'latency_seconds_bucket{host="api",le="+Inf"} 3',
+        'latency_seconds_sum{host="api"} 3.55',
+        'latency_seconds_count{host="api"} 3'
+    ]);
+});
+
+test('Histogram timers observe the elapsed seconds with labels added when they stop', () => {
+    const histogram = new Histogram('duration_seconds', 'Duration', ['method', 'route'], [60]);
+    const stop = histogram.startTimer({ method: 'GET' });
+    const seconds = stop({ route: '/health' });
+
+    assert.ok(seconds >= 0 && seconds < 60);
+    assert.deepEqual(histogram.collect().slice(0, 2), [
+        'duration_seconds_bucket{method="GET",route="/health",le="60"} 1',
+        'duration_seconds_bucket{method="GET",route="/health",le="+Inf"} 1'
+    ]);
+});
+
+test('Registry renders HELP and TYPE lines for every metric', () => {
+    const local = new Registry();
+    local.register(new Counter('jobs_total', 'Jobs run')).inc();
+    local.register(new Collector('queue_size', 'Queued jobs', 'gauge', () => [{ labels: { queue: 'a' }, value: 4 }]));
+
+    assert.equal(local.render(), [
+        '# HELP jobs_total Jobs run',
+        '# TYPE jobs_total counter',
+        'jobs_total 1',
+        '# HELP queue_size Queued jobs',
+        '# TYPE queue_size gauge',
+        'queue_size{queue="a"} 4',
+        ''
+    ].join('\n'));
+});
+
+test('the shared registry exposes the HTTP, upstream and cache metrics', () => {
+    const text = registry.render();
+
+    ['http_requests_total', 'http_request_duration_seconds', 'upstream_requests_total',
+        'upstream_errors_total', 'upstream_request_duration_seconds', 'response_cache_lookups_total'].forEach((name) => {
+        assert.match(text, new RegExp(`^# TYPE ${name} (counter|histogram|gauge)$`, 'm'));
+    });
+    assert.match(text, /^response_cache_lookups_total\{result="hit"\} \d+$/m);
+});
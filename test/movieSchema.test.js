@@ -0,0 +1,136 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeMovie, getCountryStreamingOptions, parseFields, pickFields, presentMovie } = require('../movieSchema');
+
+const netflix = { id: 'netflix', name: 'Netflix', homePage: 'https://www.netflix.com/' };
+const option = { service: netflix, type: 'subscription', quality: 'hd', link: 'https://www.netflix.com/title/1' };
+
+// A movie in the legacy shape, as OMDB and the Streaming API return it
+const INCEPTION = {
+    imdbID: 'tt1375666',
+    Title: 'Inception',
+    Type: 'movie',
+    Year: '2010',
+    Rated: 'PG-13',
+    Released: '16 Jul 2010',
+    Runtime: '148 min',
+    Genre: 'Action, Adventure, Sci-Fi',
+    Director: 'Christopher Nolan',
+    Actors: 'Leonardo DiCaprio, Joseph Gordon-Levitt',
+    Plot: 'N/A',
+    Poster: 'N/A',
+    Ratings: [{ Source: 'Rotten Tomatoes', Value: '87%' }, { Source: 'Metacritic', Value: '74/100' }],
+    Metascore: 'N/A',
+    imdbRating: '8.8',
+    imdbVotes: '2,512,345',
+    BoxOffice: '$292,587,330',
+    streaming: { poster: 'https://img.example/inception.jpg', rating: 87, options: { us: [option] } }
+};
+
+test('normalizeMovie converts OMDB text to typed values and N/A to null', () => {
+    const movie = normalizeMovie(INCEPTION);
+
+    assert.equal(movie.imdbId, 'tt1375666');
+    assert.equal(movie.year, 2010);
+    assert.equal(movie.endYear, null);
+    assert.equal(movie.releaseDate, '2010-07-16');
+    assert.equal(movie.runtimeMinutes, 148);
+    assert.deepEqual(movie.genres, ['Action', 'Adventure', 'Sci-Fi']);
+    assert.deepEqual(movie.writers, []);
+    assert.equal(movie.plot, null);
+    assert.equal(movie.poster, 'https://img.example/inception.jpg');
+    assert.deepEqual(movie.ratings, { imdb: 8.8, rottenTomatoes: 87, metacritic: 74, streamingAvailability: 87 });
+    assert.equal(movie.imdbVotes, 2512345);
+    assert.equal(movie.boxOfficeUsd, 292587330);
+});
+
+test('normalizeMovie reads series years, partial dates and unparseable numbers', () => {
+    const movie = normalizeMovie({ imdbID: 'tt0903747', Year: '2008–2013', Released: 'Jan 2008', Runtime: 'unknown', totalSeasons: '5' });
+
+    assert.equal(movie.year, 2008);
+    assert.equal(movie.endYear, 2013);
+    assert.equal(movie.releaseDate, null);
+    assert.equal(movie.runtimeMinutes, null);
+    assert.equal(movie.totalSeasons, 5);
+    assert.deepEqual(movie.streaming, { poster: null, options: {} });
+});
+
+test('normalizeMovie groups the streaming options of each country by service', () => {
+    const rent = { ...option, type: 'rent', price: { amount: '3.99', currency: 'USD' }, expiresOn: 1767225600 };
+    const { streaming } = normalizeMovie({ ...INCEPTION, streaming: { options: { us: [option, rent], gb: [] } } });
+
+    assert.deepEqual(Object.keys(streaming.options), ['us', 'gb']);
+    assert.equal(streaming.options.us.length, 1);
+    assert.deepEqual(streaming.options.us[0].service, netflix);
+    assert.deepEqual(streaming.options.us[0].offers[1], {
+        type: 'rent',
+        quality: 'hd',
+        price: { amount: 3.99, currency: 'USD' },
+        link: 'https://www.netflix.com/title/1',
+        addon: null,
+        expiresOn: '2026-01-01T00:00:00.000Z'
+    });
+    assert.deepEqual(streaming.options.gb, []);
+});
+
+test('normalizeMovie keys a single country\'s list of options by the requested country', () => {
+    const single = { ...INCEPTION, streaming: { options: [option] } };
+
+    assert.deepEqual(normalizeMovie(single, 'gb').streaming.options, normalizeMovie({ ...INCEPTION, streaming: { options: { gb: [option] } } }).streaming.options);
+    assert.deepEqual(Object.keys(normalizeMovie(single, 'GB').streaming.options), ['gb']);
+    assert.deepEqual(Object.keys(normalizeMovie(single).streaming.options), ['us']);
+});
+
+test('parseFields accepts known and nested fields once each', () => {
+    assert.equal(parseFields(undefined, 2), null);
+    assert.equal(parseFields(' ', 2), null);
+    assert.deepEqual(parseFields('title, year,ratings.imdb,,title', 2), ['title', 'year', 'ratings.imdb']);
+});
+
+test('parseFields rejects unknown fields and version 1 requests', () => {
+    assert.throws(() => parseFields('title,budget', 2), { code: 'VALIDATION_ERROR', message: /^Unknown fields: budget\./ });
+    assert.throws(() => parseFields('title', 1), { message: 'The fields parameter requires API version 2' });
+});
+
+test('pickFields keeps the selected fields, their nesting and the IMDb ID', () => {
+    const movie = normalizeMovie({ ...INCEPTION, enrichmentDeferred: true });
+
+    assert.deepEqual(pickFields(movie, ['title', 'ratings.imdb', 'ratings.missing', 'streaming.poster']), {
+        imdbId: 'tt1375666',
+        title: 'Inception',
+        ratings: { imdb: 8.8 },
+        streaming: { poster: 'https://img.example/inception.jpg' },
+        enrichmentDeferred: true
+    });
+});
+
+test('presentMovie returns the legacy shape for version 1 and sparse fields for version 2', () => {
+    assert.equal(presentMovie(INCEPTION, { version: 1 }), INCEPTION);
+    assert.deepEqual(presentMovie(INCEPTION, { version: 2, fields: ['year'] }), { imdbId: 'tt1375666', year: 2010 });
+    assert.deepEqual(
+        Object.keys(presentMovie({ ...INCEPTION, streaming: { options: [option] } }, { version: 2, fields: ['streaming.options'], country: 'ca' }).streaming.options),
+        ['ca']
+    );
+});
+
+test('getCountryStreamingOptions reads options keyed by country', () => {
+    const services = getCountryStreamingOptions('tt1375666', { streamingOptions: { us: [option], gb: [] } }, 'us');
+
+    assert.equal(services.length, 1);
+    assert.equal(services[0].service.id, 'netflix');
+    assert.deepEqual(services[0].offers.map(offer => [offer.type, offer.quality]), [['subscription', 'hd']]);
+});
+
+test('getCountryStreamingOptions accepts a single country as a plain list', () => {
+    assert.deepEqual(
+        getCountryStreamingOptions('tt1375666', { streamingOptions: [option] }, 'us'),
+        getCountryStreamingOptions('tt1375666', { streamingOptions: { us: [option] } }, 'us')
+    );
+});
+
+test('getCountryStreamingOptions returns no services for a missing country', () => {
+    assert.deepEqual(getCountryStreamingOptions('tt1375666', { streamingOptions: { gb: [option] } }, 'us'), []);
+    assert.deepEqual(getCountryStreamingOptions('tt1375666', {}, 'us'), []);
+});
@@ -0,0 +1,176 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const https = require('https');
+const { EventEmitter } = require('events');
+const { getMovieBatch, streamSearchByTitle } = require('../movieService');
+const { upstreamBudget } = require('../rateLimitService');
+
+const OMDB_HOST = 'www.omdbapi.com';
+const UNKNOWN_ID = 'tt0000404';
+
+// Answers each upstream request with the { statusCode, body } that respond returns for its options
+const fakeUpstream = (t, respond) => t.mock.method(https, 'request', (options, onResponse) => {
+    const { statusCode = 200, body } = respond(options);
+    const req = new EventEmitter();
+    req.setTimeout = () => req;
+    req.destroy = () => {};
+    req.end = () => setImmediate(() => {
+        const res = new EventEmitter();
+        Object.assign(res, { statusCode, headers: {} });
+        onResponse(res);
+        res.emit('data', Buffer.from(JSON.stringify(body)));
+        res.emit('end');
+    });
+    return req;
+});
+
+// A title search matching the given IMDb IDs, with title lookups for everything else
+const answerSearch = (imdbIds) => (options) => {
+    if (!options.path.startsWith('/shows/search/')) {
+        return answerLookup(options);
+    }
+    return {
+        body: imdbIds.map((imdbId, index) => ({ imdbId, title: `Show ${imdbId}`, releaseYear: 2000 + index, rating: 70 }))
+    };
+};
+
+// Runs a streamed search, recording the events it reports in order
+const collectStream = async (title, options, handlers = {}) => {
+    const events = [];
+    const summary = await streamSearchByTitle(title, options, {
+        onMatches: (page) => {
+            events.push({ event: 'matches', data: page });
+            handlers.onMatches?.(page);
+        },
+        onResult: result => events.push({ event: 'result', data: result }),
+        signal: handlers.signal
+    });
+    return { events, summary };
+};
+
+// Title lookups, with OMDB's not-found answer for UNKNOWN_ID
+const answerLookup = (options) => {
+    const imdbId = options.path.match(/tt\d+/)[0];
+    if (options.hostname !== OMDB_HOST) {
+        return { body: { imdbId, rating: 80, streamingOptions: { us: [] } } };
+    }
+    return {
+        body: imdbId === UNKNOWN_ID
+            ? { Response: 'False', Error: 'Incorrect IMDb ID.' }
+            : { imdbID: imdbId, Title: `Title ${imdbId}` }
+    };
+};
+
+test('getMovieBatch rejects an invalid batch before any lookup', async (t) => {
+    const request = fakeUpstream(t, answerLookup);
+
+    await assert.rejects(getMovieBatch([]), { code: 'VALIDATION_ERROR', message: 'You must supply a list of imdbIDs!' });
+    await assert.rejects(getMovieBatch(['tt0000001', 42]), { code: 'VALIDATION_ERROR', message: 'Every imdbID must be a string' });
+    await assert.rejects(getMovieBatch(['tt0000001'], 'xx'), { code: 'VALIDATION_ERROR' });
+    assert.equal(request.mock.callCount(), 0);
+});
+
+test('getMovieBatch reports a failed lookup in its own result without failing the batch', async (t) => {
+    fakeUpstream(t, answerLookup);
+
+    const batch = await getMovieBatch(['tt0000001', UNKNOWN_ID, 'bad-id', ' tt0000001 ']);
+
+    assert.equal(batch.country, 'us');
+    assert.equal(batch.count, 3);
+    assert.equal(batch.errors, 2);
+    assert.deepEqual(Object.keys(batch.results), ['tt0000001', UNKNOWN_ID, 'bad-id']);
+    assert.equal(batch.results.tt0000001.status, 200);
+    assert.equal(batch.results.tt0000001.data.Title, 'Title tt0000001');
+    assert.deepEqual(batch.results[UNKNOWN_ID], {
+        status: 404,
+        error: { code: 'NOT_FOUND', message: 'Incorrect IMDb ID.' }
+    });
+    assert.equal(batch.results['bad-id'].status, 400);
+    assert.equal(batch.results['bad-id'].error.code, 'VALIDATION_ERROR');
+});
+
+test('getMovieBatch hands each result to onResult as it completes', async (t) => {
+    fakeUpstream(t, answerLookup);
+    const lines = [];
+
+    const batch = await getMovieBatch(['tt0000002', UNKNOWN_ID], 'us', {
+        onResult: item => lines.push(JSON.parse(JSON.stringify(item)))
+    });
+
+    assert.equal(lines.length, 2);
+    assert.deepEqual(lines.map(line => line.imdbId).sort(), ['tt0000002', UNKNOWN_ID]);
+    assert.deepEqual(lines.find(line => line.imdbId === UNKNOWN_ID), {
+        imdbId: UNKNOWN_ID,
+        status: 404,
+        error: { code: 'NOT_FOUND', message: 'Incorrect IMDb ID.' }
+    });
+    assert.deepEqual({ count: batch.count, errors: batch.errors }, { count: 2, errors: 1 });
+});
+
+test('getMovieBatch starts no more lookups once its signal is aborted', async (t) => {
+    const request = fakeUpstream(t, answerLookup);
+    const controller = new AbortController();
+    const seen = [];
+
+    const batch = await getMovieBatch(['tt0000011', 'tt0000012', 'tt0000013', 'tt0000014', 'tt0000015', 'tt0000016'], 'us', {
+        signal: controller.signal,
+        onResult: (item) => {
+            seen.push(item.imdbId);
+            controller.abort();
+        }
+    });
+
+    assert.ok(batch.count < 6);
+    assert.equal(batch.count, seen.length);
+    assert.ok(request.mock.callCount() < 12);
+});
+
+test('streamSearchByTitle sends the matches first, then each enriched result, then a summary', async (t) => {
+    fakeUpstream(t, answerSearch(['tt0000021', UNKNOWN_ID, 'tt0000023']));
+
+    const { events, summary } = await collectStream('stream', { limit: 5 });
+
+    assert.equal(events[0].event, 'matches');
+    assert.deepEqual(events[0].data.results.map(result => result.imdbID), ['tt0000021', UNKNOWN_ID, 'tt0000023']);
+    assert.equal(events[0].data.results[0].Title, 'Show tt0000021');
+    assert.deepEqual(events.slice(1).map(({ event, data }) => [event, data.Title]).sort(), [
+        ['result', 'Title tt0000021'],
+        ['result', 'Title tt0000023']
+    ]);
+    assert.deepEqual(summary, { page: 1, limit: 5, total: 3, totalPages: 1, source: 'upstream', enriched: 2, deferred: [], failed: [UNKNOWN_ID] });
+});
+
+test('streamSearchByTitle defers enrichment while the OMDB budget is reserved', async (t) => {
+    fakeUpstream(t, answerSearch(['tt0000031', 'tt0000032']));
+    t.mock.method(upstreamBudget, 'tryConsume', (host, priority) => (
+        host === OMDB_HOST && priority === 'low' ? { allowed: false, retryAfter: 60 } : { allowed: true }
+    ));
+
+    const { events, summary } = await collectStream('deferred');
+
+    assert.deepEqual(events.map(({ event }) => event), ['matches']);
+    assert.equal(summary.enriched, 0);
+    assert.deepEqual(summary.deferred.sort(), ['tt0000031', 'tt0000032']);
+});
+
+test('streamSearchByTitle rejects an invalid search before sending any event', async (t) => {
+    const request = fakeUpstream(t, answerSearch(['tt0000041']));
+
+    await assert.rejects(collectStream(' ', {}), { code: 'VALIDATION_ERROR', message: 'You must supply a title!' });
+    await assert.rejects(collectStream('invalid', { sort: 'newest' }), { code: 'VALIDATION_ERROR' });
+    assert.equal(request.mock.callCount(), 0);
+});
+
+test('streamSearchByTitle stops reporting results once its signal is aborted', async (t) => {
+    fakeUpstream(t, answerSearch(['tt0000051', 'tt0000052']));
+    const controller = new AbortController();
+
+    const { events } = await collectStream('aborted', {}, {
+        signal: controller.signal,
+        onMatches: () => controller.abort()
+    });
+
+    assert.deepEqual(events.map(({ event }) => event), ['matches']);
+});
@@ -0,0 +1,111 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenBucket, RateLimiter, UpstreamBudget } = require('../rateLimitService');
+
+const HOST = 'api.example.com';
+
+// Replaces Date.now with a clock the test moves by hand
+const useClock = (t, start = 1700000000000) => {
+    const clock = { now: start };
+    t.mock.method(Date, 'now', () => clock.now);
+    return clock;
+};
+
+test('TokenBucket allows a burst up to its capacity, then refills over time', (t) => {
+    const clock = useClock(t);
+    const bucket = new TokenBucket(3, 0.5);
+
+    assert.deepEqual(bucket.take(), { allowed: true, limit: 3, remaining: 2, resetSeconds: 2, retryAfter: 0 });
+    bucket.take();
+    bucket.take();
+
+    const refused = bucket.take();
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.remaining, 0);
+    assert.equal(refused.retryAfter, 2);
+
+    // Half a token is not enough
+    clock.now += 1000;
+    assert.equal(bucket.take().allowed, false);
+    clock.now += 1000;
+    assert.equal(bucket.take().allowed, true);
+
+    // Refills stop at the capacity
+    clock.now += 60 * 1000;
+    assert.equal(bucket.take().remaining, 2);
+});
+
+test('TokenBucket.peek reports without taking a token', (t) => {
+    useClock(t);
+    const bucket = new TokenBucket(1, 1);
+
+    assert.equal(bucket.peek().allowed, true);
+    assert.equal(bucket.peek().remaining, 1);
+    assert.equal(bucket.take().allowed, true);
+    assert.equal(bucket.peek().allowed, false);
+});
+
+test('RateLimiter keeps a separate bucket per client', (t) => {
+    useClock(t);
+    const limiter = new RateLimiter({ capacity: 2, refillPerSecond: 1, maxClients: 10 });
+
+    limiter.consume('key:a');
+    limiter.consume('key:a');
+    assert.equal(limiter.consume('key:a').allowed, false);
+    assert.equal(limiter.consume('key:b').allowed, true);
+    assert.equal(limiter.peek('key:b').remaining, 1);
+});
+
+test('RateLimiter evicts the least recently seen client beyond its maximum', (t) => {
+    useClock(t);
+    const limiter = new RateLimiter({ capacity: 1, refillPerSecond: 1, maxClients: 2 });
+
+    limiter.consume('ip:1');
+    limiter.consume('ip:2');
+    limiter.consume('ip:3');
+
+    // ip:1 starts again with a full bucket
+    assert.equal(limiter.consume('ip:1').allowed, true);
+    assert.equal(limiter.consume('ip:3').allowed, false);
+});
+
+test('UpstreamBudget refuses calls once a host budget is used up until the period resets', (t) => {
+    const clock = useClock(t);
+    const budget = new UpstreamBudget({ budgets: { [HOST]: 2 }, period: 60 * 1000, reserve: 0 });
+
+    assert.equal(budget.tryConsume(HOST).allowed, true);
+    assert.equal(budget.tryConsume(HOST).allowed, true);
+
+    clock.now += 15 * 1000;
+    assert.deepEqual(budget.tryConsume(HOST), { allowed: false, retryAfter: 45 });
+
+    clock.now += 45 * 1000;
+    assert.equal(budget.tryConsume(HOST).allowed, true);
+});
+
+test('UpstreamBudget does not limit hosts without a budget', (t) => {
+    useClock(t);
+    const budget = new UpstreamBudget({ budgets: { [HOST]: 0 }, period: 60 * 1000, reserve: 0.5 });
+
+    for (let i = 0; i < 100; i++) {
+        assert.equal(budget.tryConsume(HOST, 'low').allowed, true);
+        assert.equal(budget.tryConsume('other.example.com').allowed, true);
+    }
+});
+
+test('UpstreamBudget keeps the reserved share for high-priority calls', (t) => {
+    useClock(t);
+    const budget = new UpstreamBudget({ budgets: { [HOST]: 10 }, period: 60 * 1000, reserve: 0.2 });
+
+    for (let i = 0; i < 8; i++) {
+        assert.equal(budget.tryConsume(HOST, 'low').allowed, true);
+    }
+    assert.equal(budget.tryConsume(HOST, 'low').allowed, false);
+
+    // Calls a client is waiting on may use the reserve
+    assert.equal(budget.tryConsume(HOST, 'high').allowed, true);
+    assert.equal(budget.tryConsume(HOST).allowed, true);
+    assert.equal(budget.tryConsume(HOST).allowed, false);
+});
@@ -0,0 +1,170 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Router } = require('../router');
+
+const handler = async () => {};
+
+const createRouter = () => new Router()
+    .add({ method: 'GET', path: '/movies/data/:imdbId', scope: 'read', params: { imdbId: { type: 'string', required: true } }, handler })
+    .add({ method: 'PUT', path: '/movies/:imdbId/poster', scope: 'posters:write', handler })
+    .add({ method: 'DELETE', path: '/movies/:imdbId/poster', scope: 'posters:write', handler })
+    .add({ method: 'GET', path: '/movies/:imdbId/poster', scope: 'read', handler })
+    .add({ method: 'GET', path: '/health', scope: 'public', handler });
+
+test('match returns the route and decoded path parameters', () => {
+    const router = createRouter();
+
+    const { route, params } = router.match('GET', '/movies/data/tt1375666');
+    assert.equal(route.path, '/movies/data/:imdbId');
+    assert.deepEqual(params, { imdbId: 'tt1375666' });
+
+    assert.deepEqual(router.match('GET', '/movies/data/a%20b').params, { imdbId: 'a b' });
+    // An empty segment still matches so validation can report the missing value
+    assert.deepEqual(router.match('GET', '/movies/data/').params, { imdbId: '' });
+});
+
+test('match serves HEAD requests from GET routes', () => {
+    assert.equal(createRouter().match('HEAD', '/health').route.method, 'GET');
+});
+
+test('match rejects unknown paths and malformed parameters', () => {
+    const router = createRouter();
+
+    assert.throws(() => router.match('GET', '/movies/data/tt1/extra'), error => error.status === 404);
+    assert.throws(() => router.match('GET', '/nothing'), error => error.status === 404);
+    assert.throws(() => router.match('GET', '/movies/data/%E0%A4%A'), /Malformed path parameter: imdbId/);
+});
+
+test('match answers 405 with the allowed methods when only the method differs', () => {
+    const router = createRouter();
+
+    assert.throws(() => router.match('POST', '/movies/tt1375666/poster'), (error) => {
+        assert.equal(error.status, 405);
+        assert.equal(error.code, 'METHOD_NOT_ALLOWED');
+        // Sent back as the Allow header
+        assert.equal(error.allowedMethods.join(', '), 'PUT, DELETE, GET, HEAD, OPTIONS');
+        return true;
+    });
+
+    // Without a GET route there is no HEAD either
+    const writeOnly = new Router().add({ method: 'POST', path: '/admin/keys', handler });
+    assert.throws(() => writeOnly.match('GET', '/admin/keys'), error => error.allowedMethods.join(', ') === 'POST, OPTIONS');
+});
+
+test('validate converts numbers and enforces integer bounds', () => {
+    const router = new Router();
+    const route = { query: { page: { type: 'integer', minimum: 1, maximum: 10, default: 1 }, rating: { type: 'number' } } };
+
+    assert.deepEqual(router.validate(route, {}, { page: '3', rating: '7.5' }).query, { page: 3, rating: 7.5 });
+    assert.deepEqual(router.validate(route, {}, {}).query, { page: 1 });
+    // Repeated query values use the first one
+    assert.deepEqual(router.validate(route, {}, { page: ['2', '5'] }).query, { page: 2 });
+
+    assert.throws(() => router.validate(route, {}, { page: '1.5' }), /page must be an integer/);
+    assert.throws(() => router.validate(route, {}, { page: '0' }), /page must be at least 1/);
+    assert.throws(() => router.validate(route, {}, { page: '11' }), /page must not be greater than 10/);
+    assert.throws(() => router.validate(route, {}, { rating: 'high' }), /rating must be a number/);
+});
+
+test('validate accepts only true or false for booleans', () => {
+    const router = new Router();
+    const route = { query: { preferSubscription: { type: 'boolean', default: true } } };
+
+    assert.deepEqual(router.validate(route, {}, { preferSubscription: 'false' }).query, { preferSubscription: false });
+    assert.deepEqual(router.validate(route, {}, { preferSubscription: 'true' }).query, { preferSubscription: true });
+    assert.deepEqual(router.validate(route, {}, { preferSubscription: '' }).query, { preferSubscription: true });
+    assert.throws(() => router.validate(route, {}, { preferSubscription: '1' }), /preferSubscription must be true or false/);
+});
+
+test('validate matches enums case-insensitively and normalizes them', () => {
+    const router = new Router();
+    const route = {
+        query: { country: { type: 'string', enum: ['us', 'gb'] } },
+        headers: { 'X-API-Version': { type: 'string', enum: ['1', '2'] } }
+    };
+
+    const result = router.validate(route, {}, { country: 'GB', extra: 'kept' }, { 'x-api-version': '2', 'x-other': 'dropped' });
+    assert.deepEqual(result.query, { country: 'gb', extra: 'kept' });
+    assert.deepEqual(result.headers, { 'X-API-Version': '2' });
+    assert.throws(() => router.validate(route, {}, { country: 'fr' }), /country must be one of: us, gb/);
+});
+
+test('validate passes documentOnly parameters through unchecked', () => {
+    const router = new Router();
+    const route = { query: { limit: { type: 'integer', maximum: 50, default: 10, documentOnly: true } } };
+
+    assert.deepEqual(router.validate(route, {}, { limit: '99' }).query, { limit: '99' });
+    assert.deepEqual(router.validate(route, {}, {}).query, {});
+});
+
+test('validate applies patterns, required values and custom messages', () => {
+    const router = new Router();
+    const route = {
+        params: {
+            imdbId: {
+                type: 'string',
+                required: true,
+                pattern: '^tt\\d+$',
+                requiredMessage: 'You must supply an IMDb ID!',
+                message: value => `Invalid IMDb ID: ${value}`
+            }
+        }
+    };
+
+    assert.deepEqual(router.validate(route, { imdbId: 'tt1375666' }, {}).params, { imdbId: 'tt1375666' });
+    assert.throws(() => router.validate(route, { imdbId: '' }, {}), error => error.status === 400 && error.message === 'You must supply an IMDb ID!');
+    assert.throws(() => router.validate(route, { imdbId: 'nm123' }, {}), /Invalid IMDb ID: nm123/);
+});
+
+test('toOpenAPI describes paths, parameters and security by scope', () => {
+    const router = new Router()
+        .add({
+            method: 'GET',
+            path: '/movies/data/:imdbId',
+            operationId: 'getMovie',
+            summary: 'Get a movie',
+            tags: ['Movies'],
+            scope: 'read',
+            params: { imdbId: { type: 'string', required: true, pattern: '^tt\\d+$', description: 'IMDb ID' } },
+            query: { page: { type: 'integer', minimum: 1, default: 1, message: 'not copied' } },
+            headers: { 'X-API-Version': { type: 'string', enum: ['1', '2'] } },
+            responses: { 200: { description: 'Movie' } },
+            handler
+        })
+        .add({ method: 'GET', path: '/health', scope: 'public', responses: { 200: { description: 'OK' } }, handler })
+        .add({
+            method: 'PUT',
+            path: '/movies/:imdbId/poster',
+            scope: 'posters:write',
+            requestBody: { content: { 'image/png': {} } },
+            handler
+        });
+
+    const document = router.toOpenAPI({ title: 'Movie API', version: '1.0.0' });
+    assert.equal(document.openapi, '3.0.3');
+    assert.deepEqual(document.info, { title: 'Movie API', version: '1.0.0' });
+    assert.deepEqual(Object.keys(document.paths), ['/movies/data/{imdbId}', '/health', '/movies/{imdbId}/poster']);
+
+    const getMovie = document.paths['/movies/data/{imdbId}'].get;
+    assert.equal(getMovie.operationId, 'getMovie');
+    assert.deepEqual(getMovie.parameters, [
+        { name: 'imdbId', in: 'path', required: true, description: 'IMDb ID', schema: { type: 'string', pattern: '^tt\\d+$' } },
+        { name: 'page', in: 'query', required: false, description: undefined, schema: { type: 'integer', minimum: 1, default: 1 } },
+        { name: 'X-API-Version', in: 'header', required: false, description: undefined, schema: { type: 'string', enum: ['1', '2'] } }
+    ]);
+    assert.deepEqual(getMovie.security, [{}, { ApiKeyAuth: [] }]);
+    assert.deepEqual(getMovie.responses[200], { description: 'Movie' });
+    assert.deepEqual(getMovie.responses[503], { $ref: '#/components/responses/Error' });
+    assert.equal(getMovie.responses[401], undefined);
+
+    assert.deepEqual(document.paths['/health'].get.security, []);
+
+    const putPoster = document.paths['/movies/{imdbId}/poster'].put;
+    assert.deepEqual(putPoster.security, [{ ApiKeyAuth: [] }]);
+    assert.match(putPoster.description, /`posters:write` scope/);
+    assert.deepEqual(putPoster.responses[403], { $ref: '#/components/responses/Error' });
+    assert.deepEqual(putPoster.requestBody, { content: { 'image/png': {} } });
+    assert.equal(document.components.securitySchemes.ApiKeyAuth.name, 'X-API-Key');
+});
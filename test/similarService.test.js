@@ -0,0 +1,230 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const { EventEmitter } = require('events');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'similar-test-'));
+
+// The config is read when the modules load, so the environment is set first
+Object.assign(process.env, { LOG_LEVEL: 'error', TITLE_INDEX_FILE: path.join(tmpDir, 'titleIndex.json') });
+const { scoreCandidate, parseSimilarOptions, getSimilarTitles } = require('../similarService');
+const { titleIndex } = require('../titleIndexService');
+const { upstreamBudget } = require('../rateLimitService');
+
+const STREAMING_HOST = 'streaming-availability.p.rapidapi.com';
+const netflix = { id: 'netflix', name: 'Netflix', homePage: 'https://www.netflix.com/' };
+const prime = { id: 'prime', name: 'Prime Video', homePage: 'https://www.amazon.com/video' };
+
+// OMDB records of a source title and candidates sharing its director, best match first
+const omdb = (imdbID, Title, Year, Genre = 'Drama, Sci-Fi') => ({
+    imdbID,
+    Title,
+    Type: 'movie',
+    Year,
+    Genre,
+    Director: 'Denis Villeneuve',
+    Actors: 'Amy Adams',
+    imdbRating: '8.0',
+    imdbVotes: '1,000'
+});
+const SOURCE = omdb('tt2543164', 'Arrival', '2016');
+const CANDIDATES = Array.from({ length: 8 }, (_, index) => omdb(`tt900000${index}`, `Candidate ${index}`, String(2016 + index)));
+
+// Answers OMDB with the records above and the Streaming API with the services given per IMDb ID;
+// titles without services are unknown to the Streaming API. Answers are cached per country,
+// so each test filters on a country of its own
+const fakeUpstream = (t, servicesById) => t.mock.method(https, 'request', (options, onResponse) => {
+    const imdbId = options.path.match(/tt\d+/)[0];
+    let statusCode = 200;
+    let body;
+    if (options.hostname === 'www.omdbapi.com') {
+        body = [SOURCE, ...CANDIDATES].find(movie => movie.imdbID === imdbId);
+    } else if (servicesById[imdbId]) {
+        const country = new URLSearchParams(options.path.split('?')[1]).get('country');
+        body = { imdbId, streamingOptions: { [country]: servicesById[imdbId].map(service => ({ service, type: 'subscription', link: 'https://example.com' })) } };
+    } else {
+        statusCode = 404;
+        body = { message: 'Show not found' };
+    }
+
+    const req = new EventEmitter();
+    req.setTimeout = () => req;
+    req.destroy = () => {};
+    req.end = () => setImmediate(() => {
+        const res = new EventEmitter();
+        Object.assign(res, { statusCode, headers: {} });
+        onResponse(res);
+        res.emit('data', Buffer.from(JSON.stringify(body)));
+        res.emit('end');
+    });
+    return req;
+});
+
+const streamingLookups = request => request.mock.calls
+    .map(call => call.arguments[0])
+    .filter(options => options.hostname === STREAMING_HOST)
+    .map(options => options.path.match(/tt\d+/)[0]);
+
+test.before(() => {
+    CANDIDATES.forEach(candidate => titleIndex.add(candidate));
+});
+
+test.after(() => {
+    clearTimeout(titleIndex.saveTimer);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Titles in the indexed form the scores are computed from
+const inception = {
+    genres: ['Action', 'Adventure', 'Sci-Fi'],
+    directors: ['Christopher Nolan'],
+    actors: ['Leonardo DiCaprio', 'Joseph Gordon-Levitt', 'Elliot Page', 'Tom Hardy'],
+    year: 2010,
+    rating: 8.8
+};
+
+test('scoreCandidate weighs genres, directors, actors, era and rating', () => {
+    const candidate = {
+        genres: ['Sci-Fi', 'Drama', 'Adventure'],
+        directors: ['Christopher Nolan'],
+        actors: ['Tom Hardy', 'Elliot Page'],
+        year: 2014,
+        rating: 8.7
+    };
+
+    assert.deepEqual(scoreCandidate(inception, candidate), {
+        // 0.2 + 0.25 + 0.133 + 0.08 + 0.048, rounded after adding up
+        score: 0.712,
+        breakdown: {
+            // Two of the four genres the titles have between them
+            genres: 0.2,
+            directors: 0.25,
+            // Two of at most three actors that count
+            actors: 0.133,
+            // Four of twenty years apart
+            era: 0.08,
+            // 0.1 of three rating points apart
+            rating: 0.048
+        },
+        reasons: [
+            'Shares the Sci-Fi and Adventure genres',
+            'Also directed by Christopher Nolan',
+            'Also stars Tom Hardy and Elliot Page',
+            'Released 4 years apart (2014)',
+            'Similar IMDb rating (8.7 vs 8.8)'
+        ]
+    });
+});
+
+test('scoreCandidate scores a title against itself as 1', () => {
+    const { score, breakdown } = scoreCandidate(inception, inception);
+
+    assert.equal(score, 1);
+    assert.deepEqual(breakdown, { genres: 0.4, directors: 0.25, actors: 0.2, era: 0.1, rating: 0.05 });
+});
+
+test('scoreCandidate compares genres as a case-insensitive Jaccard index', () => {
+    const score = genres => scoreCandidate({ ...inception, directors: [], actors: [] }, { genres, directors: [], actors: [], year: null, rating: null });
+
+    assert.equal(score(['action', 'ADVENTURE', 'sci-fi']).breakdown.genres, 0.4);
+    assert.equal(score(['Action']).breakdown.genres, Math.round(0.4 / 3 * 1000) / 1000);
+    // One shared genre out of four different ones
+    assert.equal(score(['Action', 'Horror']).breakdown.genres, 0.1);
+    assert.deepEqual(score(['Action', 'Horror']).reasons, ['Shares the Action genre']);
+});
+
+test('scoreCandidate caps shared actors and names them all in the reason', () => {
+    const candidate = { genres: [], directors: [], actors: [...inception.actors].reverse(), year: null, rating: null };
+    const match = scoreCandidate(inception, candidate);
+
+    assert.equal(match.breakdown.actors, 0.2);
+    assert.deepEqual(match.reasons, ['Also stars Tom Hardy, Elliot Page, Joseph Gordon-Levitt and Leonardo DiCaprio']);
+});
+
+test('scoreCandidate gives era and rating reasons only for close titles', () => {
+    const base = { genres: ['Drama'], directors: [], actors: [] };
+    const reasons = (source, candidate) => scoreCandidate({ ...base, ...source }, { ...base, ...candidate }).reasons;
+
+    assert.deepEqual(reasons({ year: 1994, rating: 9.3 }, { year: 1994, rating: 8.9 }), [
+        'Shares the Drama genre',
+        'Released the same year (1994)',
+        'Similar IMDb rating (8.9 vs 9.3)'
+    ]);
+    assert.deepEqual(reasons({ year: 1994, rating: 9.3 }, { year: 1995, rating: 8.7 }), [
+        'Shares the Drama genre',
+        'Released 1 year apart (1995)'
+    ]);
+    // Beyond half the era span there is no reason, and missing values count for nothing
+    const distant = scoreCandidate({ ...base, year: 1970, rating: null }, { ...base, year: 1985, rating: 8 });
+    assert.deepEqual(distant.reasons, ['Shares the Drama genre']);
+    assert.equal(distant.breakdown.era, 0.025);
+    assert.equal(distant.breakdown.rating, 0);
+});
+
+test('scoreCandidate rejects titles sharing no genre, director or actor', () => {
+    const candidate = { genres: ['Comedy'], directors: ['Greta Gerwig'], actors: ['Saoirse Ronan'], year: 2010, rating: 8.8 };
+
+    assert.equal(scoreCandidate(inception, candidate), null);
+});
+
+test('parseSimilarOptions only sets a country when filtering', () => {
+    assert.deepEqual(parseSimilarOptions({}), { country: null, services: [], limit: 10 });
+    assert.deepEqual(parseSimilarOptions({ services: 'Netflix, prime,netflix', limit: '5' }), {
+        country: 'us',
+        services: ['netflix', 'prime'],
+        limit: 5
+    });
+    assert.throws(() => parseSimilarOptions({ limit: 51 }), /limit must be an integer from 1 to 50/);
+});
+
+test('getSimilarTitles keeps only candidates on the requested services, with the services offering them', async (t) => {
+    const request = fakeUpstream(t, {
+        tt9000000: [netflix],
+        tt9000001: [prime, netflix],
+        tt9000003: [prime]
+    });
+
+    const similar = await getSimilarTitles(SOURCE.imdbID, { services: 'Prime Video', limit: 5 });
+
+    assert.equal(similar.country, 'us');
+    assert.deepEqual(similar.results.map(result => [result.imdbId, result.availableOn.map(service => service.id)]), [
+        ['tt9000001', ['prime']],
+        ['tt9000003', ['prime']]
+    ]);
+    // The unknown candidates were looked up too, and left out
+    assert.ok(streamingLookups(request).includes('tt9000002'));
+});
+
+test('getSimilarTitles stops looking up availability once enough candidates are found', async (t) => {
+    const servicesById = Object.fromEntries(CANDIDATES.map(candidate => [candidate.imdbID, [netflix]]));
+    const request = fakeUpstream(t, servicesById);
+
+    const similar = await getSimilarTitles(SOURCE.imdbID, { country: 'gb', limit: 2 });
+
+    assert.deepEqual(similar.results.map(result => result.imdbId), ['tt9000000', 'tt9000001']);
+    // One chunk of lookups, at the batch concurrency, is enough
+    assert.deepEqual(streamingLookups(request), CANDIDATES.slice(0, 5).map(candidate => candidate.imdbID));
+});
+
+test('getSimilarTitles looks up availability at low priority so direct lookups keep the reserve', async (t) => {
+    fakeUpstream(t, { tt9000000: [netflix], tt9000001: [netflix] });
+    const priorities = [];
+    t.mock.method(upstreamBudget, 'tryConsume', (host, priority) => {
+        if (host === STREAMING_HOST) {
+            priorities.push(priority);
+            if (priority === 'low') {
+                return { allowed: false, retryAfter: 60 };
+            }
+        }
+        return { allowed: true };
+    });
+
+    const similar = await getSimilarTitles(SOURCE.imdbID, { country: 'ca' });
+
+    assert.ok(priorities.length > 0);
+    assert.ok(priorities.every(priority => priority === 'low'));
+    assert.deepEqual(similar.results, []);
+});
@@ -0,0 +1,176 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TitleIndex, editDistance, scoreWord } = require('../titleIndexService');
+const { logger } = require('../logService');
+
+// OMDB responses as the index receives them
+const omdb = (imdbID, Title, { Type = 'movie', Year = '2010', Director = 'N/A', Actors = 'N/A', Genre = 'Drama', imdbVotes = '1,000' } = {}) => ({
+    imdbID,
+    Title,
+    Type,
+    Year,
+    Director,
+    Actors,
+    Genre,
+    imdbRating: '8.0',
+    imdbVotes
+});
+
+const createIndex = (options = {}) => {
+    const index = new TitleIndex({ file: null, ...options });
+    index.add(omdb('tt1375666', 'Inception', { Director: 'Christopher Nolan', Actors: 'Leonardo DiCaprio, Joseph Gordon-Levitt', imdbVotes: '2,500,000' }));
+    index.add(omdb('tt0816692', 'Interstellar', { Year: '2014', Director: 'Christopher Nolan', Actors: 'Matthew McConaughey, Anne Hathaway', imdbVotes: '2,000,000' }));
+    index.add(omdb('tt0407887', 'The Departed', { Year: '2006', Director: 'Martin Scorsese', Actors: 'Leonardo DiCaprio, Matt Damon' }));
+    index.add(omdb('tt0903747', 'Breaking Bad', { Type: 'series', Year: '2008-2013', Actors: 'Bryan Cranston, Aaron Paul' }));
+    return index;
+};
+
+let tmpDir;
+test.beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'title-index-test-'));
+});
+test.afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('editDistance counts a swap of adjacent letters as one edit', () => {
+    assert.equal(editDistance('incpetion', 'inception', 2), 1);
+    assert.equal(editDistance('ab', 'ba', 1), 1);
+    assert.equal(editDistance('kitten', 'sitting', 3), 3);
+    assert.equal(editDistance('nolan', 'nolan', 0), 0);
+});
+
+test('editDistance gives up once the distance exceeds the limit', () => {
+    // Lengths too far apart, before any comparison
+    assert.equal(editDistance('abc', 'abcdef', 2), 3);
+    // Every row of the table is over the limit
+    assert.equal(editDistance('abcdef', 'uvwxyz', 1), 2);
+    assert.equal(editDistance('kitten', 'sitting', 2), 3);
+});
+
+test('scoreWord ranks exact words over prefixes over typos over misspelled prefixes', () => {
+    const exact = scoreWord('inception', 'inception');
+    const prefix = scoreWord('incep', 'inception');
+    const typo = scoreWord('incpetion', 'inception');
+    const misspelledPrefix = scoreWord('intersel', 'interstellar');
+
+    assert.equal(exact, 1);
+    assert.equal(prefix, 0.8 + 0.15 * (5 / 9));
+    assert.equal(typo, 0.6);
+    assert.equal(misspelledPrefix, 0.5);
+    assert.ok(exact > prefix && prefix > typo && typo > misspelledPrefix);
+
+    // Longer prefixes of the same word score higher
+    assert.ok(scoreWord('incepti', 'inception') > prefix);
+    // Short words allow no typos
+    assert.equal(scoreWord('tne', 'the'), 0);
+    assert.equal(scoreWord('matrix', 'departed'), 0);
+});
+
+test('search matches titles and people with prefixes and typos', () => {
+    const index = createIndex();
+
+    assert.deepEqual(index.search('inter').map(result => result.imdbId), ['tt0816692']);
+    assert.deepEqual(index.search('incpetion').map(result => result.imdbId), ['tt1375666']);
+    assert.deepEqual(index.search('dicaprio').map(result => result.imdbId), ['tt1375666', 'tt0407887']);
+
+    const [nolan] = index.search('nolan interstellar');
+    assert.equal(nolan.imdbId, 'tt0816692');
+    assert.deepEqual(nolan.matchedOn.sort(), ['directors', 'title']);
+
+    assert.deepEqual(index.search('nolan bad'), []);
+    assert.deepEqual(index.search('bad', { type: 'movie' }), []);
+    assert.deepEqual(index.search('bad', { type: 'series' }).map(result => result.imdbId), ['tt0903747']);
+});
+
+test('search ranks an exact title above titles it is the start of, then by votes', () => {
+    const index = new TitleIndex({ file: null });
+    index.add(omdb('tt0000001', 'Alien', { imdbVotes: '900,000' }));
+    index.add(omdb('tt0000002', 'Aliens', { imdbVotes: '750,000' }));
+    index.add(omdb('tt0000003', 'Alien Resurrection', { imdbVotes: '270,000' }));
+    index.add(omdb('tt0000004', 'Alien 3', { imdbVotes: '320,000' }));
+
+    assert.deepEqual(index.search('alien').map(result => result.title), ['Alien', 'Alien 3', 'Alien Resurrection', 'Aliens']);
+});
+
+test('matchWord finds the same words as scoring every indexed word', () => {
+    const index = createIndex();
+    index.add(omdb('tt0000005', 'Intersection Interstate Interstellaire Inter', { Actors: 'Nullah Nolen, Noland Inceptor' }));
+    const vocabulary = [...index.postings.keys()];
+
+    ['inter', 'intersel', 'incpetion', 'nolan', 'nolen', 'departd', 'dicapiro', 'gordon', 'null'].forEach((queryWord) => {
+        const expected = vocabulary
+            .map(word => [word, scoreWord(queryWord, word)])
+            .filter(([, score]) => score > 0)
+            .sort(([a], [b]) => a.localeCompare(b));
+        const actual = [...index.matchWord(queryWord)].sort(([a], [b]) => a.localeCompare(b));
+        assert.deepEqual(actual, expected, queryWord);
+    });
+});
+
+test('search forgets the words of updated and evicted titles', () => {
+    const index = createIndex({ maxEntries: 4 });
+
+    index.add(omdb('tt0407887', 'The Departed', { Year: '2006', Director: 'Martin Scorsese', Actors: 'Jack Nicholson' }));
+    assert.deepEqual(index.search('damon'), []);
+    assert.deepEqual(index.search('nicholson').map(result => result.imdbId), ['tt0407887']);
+
+    // Inception is the least recently indexed, so the fifth title evicts it
+    index.add(omdb('tt0468569', 'The Dark Knight', { Year: '2008', Director: 'Christopher Nolan' }));
+    assert.equal(index.size, 4);
+    assert.deepEqual(index.search('inception'), []);
+    assert.deepEqual(index.search('gordon'), []);
+    assert.deepEqual(index.search('nolan').map(result => result.imdbId).sort(), ['tt0468569', 'tt0816692']);
+});
+
+test('add ignores episodes and incomplete records', () => {
+    const index = new TitleIndex({ file: null });
+    index.add(omdb('tt0959621', 'Pilot', { Type: 'episode' }));
+    index.add({ Title: 'No ID', Type: 'movie' });
+
+    assert.equal(index.size, 0);
+});
+
+test('saved indexes load back with the same entries and searches', () => {
+    const file = path.join(tmpDir, 'nested', 'titleIndex.json');
+    const index = createIndex({ file });
+    index.save();
+
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.equal(saved.version, 1);
+    assert.equal(saved.entries.length, 4);
+    assert.equal(saved.entries[0].tokens, undefined);
+    assert.equal(fs.existsSync(`${file}.tmp`), false);
+
+    const loaded = new TitleIndex({ file });
+    assert.deepEqual(loaded.list(), index.list());
+    assert.deepEqual(loaded.get('tt1375666').genres, ['Drama']);
+    assert.deepEqual(loaded.search('nolan'), index.search('nolan'));
+    assert.deepEqual(loaded.search('intersel').map(result => result.imdbId), ['tt0816692']);
+});
+
+test('saving without changes leaves the file alone, and unreadable files load empty', (t) => {
+    const logError = t.mock.method(logger, 'error', () => {});
+    const file = path.join(tmpDir, 'titleIndex.json');
+    new TitleIndex({ file }).save();
+    assert.equal(fs.existsSync(file), false);
+
+    fs.writeFileSync(file, '{ not json');
+    assert.equal(new TitleIndex({ file }).size, 0);
+    assert.equal(logError.mock.callCount(), 1);
+
+    // Entries saved before genres and ratings were indexed get defaults
+    fs.writeFileSync(file, JSON.stringify({
+        version: 1,
+        entries: [{ imdbId: 'tt1375666', title: 'Inception', year: 2010, type: 'movie', directors: [], actors: [], votes: 0 }]
+    }));
+    const old = new TitleIndex({ file });
+    assert.deepEqual(old.get('tt1375666').genres, []);
+    assert.equal(old.get('tt1375666').rating, null);
+    assert.equal(old.search('incep')[0].imdbId, 'tt1375666');
+});
@@ -0,0 +1,143 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { receiveUpload } = require('../uploadService');
+const { savePosterFile } = require('../posterService');
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.alloc(64, 1)]);
+const JPEG = Buffer.concat([Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]), Buffer.alloc(64, 2)]);
+const BOUNDARY = '----test-boundary-1234';
+
+// A request stand-in that emits the body in the given chunks
+const createRequest = (chunks, headers) => {
+    const req = Readable.from(chunks, { objectMode: false });
+    req.headers = headers;
+    return req;
+};
+
+const buildMultipart = (parts) => Buffer.concat([
+    ...parts.flatMap(({ name, filename, contentType, data }) => [
+        Buffer.from(`--${BOUNDARY}\r\n`),
+        Buffer.from(`Content-Disposition: form-data; name="${name}"${filename ? `; filename="${filename}"` : ''}\r\n`),
+        Buffer.from(contentType ? `Content-Type: ${contentType}\r\n\r\n` : '\r\n'),
+        Buffer.from(data),
+        Buffer.from('\r\n')
+    ]),
+    Buffer.from(`--${BOUNDARY}--\r\n`)
+]);
+
+const MULTIPART_HEADERS = { 'content-type': `multipart/form-data; boundary=${BOUNDARY}` };
+
+// Splits a buffer into chunks of the given size
+const splitEvery = (buffer, size) => {
+    const chunks = [];
+    for (let start = 0; start < buffer.length; start += size) {
+        chunks.push(buffer.subarray(start, start + size));
+    }
+    return chunks;
+};
+
+let tmpDir;
+test.before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-test-'));
+});
+test.after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('parses a multipart body whose boundaries are split across chunks', async () => {
+    const body = buildMultipart([
+        { name: 'note', data: 'hello' },
+        { name: 'poster', filename: 'poster.png', contentType: 'image/png', data: PNG }
+    ]);
+
+    // One-byte chunks split every delimiter and header block
+    const upload = await receiveUpload(createRequest(splitEvery(body, 1), MULTIPART_HEADERS), { fieldName: 'poster', tmpDir });
+
+    assert.equal(upload.imageType.type, 'png');
+    assert.equal(upload.size, PNG.length);
+    assert.deepEqual(fs.readFileSync(upload.filePath), PNG);
+    assert.deepEqual(upload.fields, { note: 'hello' });
+});
+
+test('prefers the named field over an earlier file part', async () => {
+    const body = buildMultipart([
+        { name: 'thumbnail', filename: 'thumb.jpg', contentType: 'image/jpeg', data: JPEG },
+        { name: 'poster', filename: 'poster.png', contentType: 'image/png', data: PNG }
+    ]);
+
+    const upload = await receiveUpload(createRequest(splitEvery(body, 7), MULTIPART_HEADERS), { fieldName: 'poster', tmpDir });
+
+    assert.equal(upload.fieldName, 'poster');
+    assert.equal(upload.filename, 'poster.png');
+    assert.equal(upload.imageType.type, 'png');
+    assert.deepEqual(fs.readFileSync(upload.filePath), PNG);
+});
+
+test('falls back to the first file part when the named field is missing', async () => {
+    const body = buildMultipart([
+        { name: 'thumbnail', filename: 'thumb.jpg', contentType: 'image/jpeg', data: JPEG },
+        { name: 'other', filename: 'other.png', contentType: 'image/png', data: PNG }
+    ]);
+
+    const upload = await receiveUpload(createRequest([body], MULTIPART_HEADERS), { fieldName: 'poster', tmpDir });
+
+    assert.equal(upload.fieldName, 'thumbnail');
+    assert.equal(upload.imageType.type, 'jpeg');
+    assert.deepEqual(fs.readFileSync(upload.filePath), JPEG);
+});
+
+test('rejects a body larger than the maximum with 413', async () => {
+    const body = Buffer.concat([PNG, Buffer.alloc(1024)]);
+
+    await assert.rejects(
+        receiveUpload(createRequest(splitEvery(body, 100), { 'content-type': 'image/png' }), { maxBytes: 512, tmpDir }),
+        error => error.status === 413 && error.code === 'PAYLOAD_TOO_LARGE'
+    );
+});
+
+test('rejects a declared Content-Length above the maximum before reading the body', async () => {
+    const headers = { 'content-type': 'image/png', 'content-length': '4096' };
+
+    await assert.rejects(
+        receiveUpload(createRequest([PNG], headers), { maxBytes: 512, tmpDir }),
+        error => error.status === 413
+    );
+});
+
+test('rejects a body that is not an image with 400', async () => {
+    const upload = await receiveUpload(createRequest([Buffer.from('just some text, not an image')], {
+        'content-type': 'application/octet-stream'
+    }), { tmpDir });
+
+    assert.equal(upload.imageType, null);
+    assert.throws(
+        () => savePosterFile('tt0000001', upload),
+        error => error.status === 400 && error.code === 'VALIDATION_ERROR'
+    );
+});
+
+test('rejects a multipart body without a closing boundary with 400', async () => {
+    const body = buildMultipart([{ name: 'poster', filename: 'poster.png', contentType: 'image/png', data: PNG }]);
+
+    await assert.rejects(
+        receiveUpload(createRequest([body.subarray(0, body.length - 10)], MULTIPART_HEADERS), { tmpDir }),
+        error => error.status === 400
+    );
+});
+
+test('accepts a raw image body', async () => {
+    const upload = await receiveUpload(createRequest(splitEvery(JPEG, 16), { 'content-type': 'image/jpeg' }), { tmpDir });
+
+    assert.equal(upload.imageType.type, 'jpeg');
+    assert.equal(upload.size, JPEG.length);
+    assert.equal(upload.fieldName, null);
+    assert.equal(upload.declaredType, 'image/jpeg');
+    assert.match(upload.checksum, /^[0-9a-f]{64}$/);
+    assert.deepEqual(fs.readFileSync(upload.filePath), JPEG);
+});
@@ -0,0 +1,192 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const https = require('https');
+const { EventEmitter } = require('events');
+const { CircuitBreaker, getCircuitBreaker, withRetries, mapWithConcurrency, parseRetryAfter } = require('../upstreamService');
+const { getOMDBData } = require('../movieService');
+const { upstreamBudget } = require('../rateLimitService');
+
+const OMDB_HOST = 'www.omdbapi.com';
+
+// Replaces Date.now with a clock the test moves by hand
+const useClock = (t, start = 1700000000000) => {
+    const clock = { now: start };
+    t.mock.method(Date, 'now', () => clock.now);
+    return clock;
+};
+
+// A breaker opened by its failures, with its cooldown already over
+const openedBreaker = (clock) => {
+    const breaker = new CircuitBreaker({ threshold: 2, cooldown: 10000 });
+    breaker.recordFailure();
+    breaker.recordFailure();
+    clock.now += 10000;
+    return breaker;
+};
+
+// Answers every upstream request with the given status and JSON body
+const fakeUpstream = (t, statusCode, body) => t.mock.method(https, 'request', (options, onResponse) => {
+    const req = new EventEmitter();
+    req.setTimeout = () => req;
+    req.destroy = () => {};
+    req.end = () => setImmediate(() => {
+        const res = new EventEmitter();
+        Object.assign(res, { statusCode, headers: {} });
+        onResponse(res);
+        res.emit('data', Buffer.from(JSON.stringify(body)));
+        res.emit('end');
+    });
+    return req;
+});
+
+// Opens the shared breaker of a host and lets its cooldown pass
+const openSharedBreaker = (clock, host) => {
+    const breaker = getCircuitBreaker(host);
+    while (breaker.state !== 'open') {
+        breaker.recordFailure();
+    }
+    clock.now += breaker.cooldown;
+    return breaker;
+};
+
+test('CircuitBreaker opens after the threshold and rejects calls until the cooldown passes', (t) => {
+    const clock = useClock(t);
+    const breaker = new CircuitBreaker({ threshold: 2, cooldown: 10000 });
+
+    breaker.recordFailure();
+    assert.equal(breaker.check().allowed, true);
+    breaker.recordFailure();
+
+    assert.equal(breaker.state, 'open');
+    assert.deepEqual(breaker.check(), { allowed: false, trial: false, retryAfter: 10 });
+    clock.now += 7500;
+    assert.deepEqual(breaker.check(), { allowed: false, trial: false, retryAfter: 3 });
+});
+
+test('CircuitBreaker lets a single trial call through once half-open', (t) => {
+    const breaker = openedBreaker(useClock(t));
+
+    assert.deepEqual(breaker.check(), { allowed: true, trial: true, retryAfter: 0 });
+    assert.equal(breaker.state, 'half-open');
+    assert.deepEqual(breaker.check(), { allowed: false, trial: false, retryAfter: 1 });
+    assert.deepEqual(breaker.check(), { allowed: false, trial: false, retryAfter: 1 });
+});
+
+test('CircuitBreaker closes when the trial succeeds', (t) => {
+    const breaker = openedBreaker(useClock(t));
+
+    breaker.check();
+    breaker.recordSuccess();
+
+    assert.equal(breaker.state, 'closed');
+    assert.deepEqual(breaker.check(), { allowed: true, trial: false, retryAfter: 0 });
+    assert.equal(breaker.check().allowed, true);
+});
+
+test('CircuitBreaker re-opens for another cooldown when the trial fails', (t) => {
+    const clock = useClock(t);
+    const breaker = openedBreaker(clock);
+
+    breaker.check();
+    breaker.recordFailure();
+
+    assert.equal(breaker.state, 'open');
+    assert.deepEqual(breaker.check(), { allowed: false, trial: false, retryAfter: 10 });
+    clock.now += 10000;
+    assert.equal(breaker.check().trial, true);
+});
+
+test('CircuitBreaker hands the trial to the next call once a trial is released', (t) => {
+    const breaker = openedBreaker(useClock(t));
+
+    breaker.check();
+    breaker.release();
+
+    assert.equal(breaker.state, 'half-open');
+    assert.equal(breaker.check().trial, true);
+    assert.equal(breaker.check().allowed, false);
+});
+
+test('withRetries retries until the operation succeeds', async () => {
+    let calls = 0;
+    const result = await withRetries(async () => {
+        calls++;
+        if (calls < 3) {
+            throw new Error('flaky');
+        }
+        return 'done';
+    }, { retries: 2 });
+
+    assert.equal(result, 'done');
+    assert.equal(calls, 3);
+});
+
+test('withRetries stops at errors that are not worth retrying', async () => {
+    let calls = 0;
+    const operation = async () => {
+        calls++;
+        throw Object.assign(new Error('not found'), { code: 'NOT_FOUND' });
+    };
+
+    await assert.rejects(withRetries(operation, { retries: 3, shouldRetry: error => error.code !== 'NOT_FOUND' }), /not found/);
+    assert.equal(calls, 1);
+});
+
+test('mapWithConcurrency keeps the order of the items and the concurrency limit', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 0], 2, async (delay, index) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        running--;
+        return index;
+    });
+
+    assert.deepEqual(results, [0, 1, 2, 3]);
+    assert.equal(peak, 2);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', (t) => {
+    useClock(t, Date.parse('2026-01-01T00:00:00Z'));
+
+    assert.equal(parseRetryAfter('120'), 120);
+    assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT'), 30);
+    assert.equal(parseRetryAfter('Wed, 31 Dec 2025 23:00:00 GMT'), 0);
+    assert.equal(parseRetryAfter('soon'), undefined);
+    assert.equal(parseRetryAfter(undefined), undefined);
+});
+
+test('an upstream answer that is not a transient failure closes the circuit', async (t) => {
+    const clock = useClock(t);
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const breaker = openSharedBreaker(clock, OMDB_HOST);
+    const request = fakeUpstream(t, 404, { Error: 'Incorrect IMDb ID.' });
+
+    // The trial call gets a 404: the host answered, so it is up again
+    await assert.rejects(getOMDBData('tt9000001'), error => error.status === 404);
+
+    assert.equal(request.mock.callCount(), 1);
+    assert.equal(breaker.state, 'closed');
+    assert.equal(breaker.check().trial, false);
+});
+
+test('a call refused by the upstream budget hands the trial to the next call', async (t) => {
+    const clock = useClock(t);
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const breaker = openSharedBreaker(clock, OMDB_HOST);
+    t.mock.method(upstreamBudget, 'tryConsume', () => ({ allowed: false, retryAfter: 60 }));
+    const request = fakeUpstream(t, 200, {});
+
+    await assert.rejects(getOMDBData('tt9000002'), error => error.status === 503);
+
+    // Nothing was sent, so the circuit stays half-open with its trial free
+    assert.equal(request.mock.callCount(), 0);
+    assert.equal(breaker.state, 'half-open');
+    assert.equal(breaker.check().trial, true);
+    breaker.recordSuccess();
+});
@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+
+const netflix = { id: 'netflix', name: 'Netflix', homePage: 'https://www.netflix.com/' };
+const apple = { id: 'apple', name: 'Apple TV', homePage: 'https://tv.apple.com/' };
+const prime = { id: 'prime', name: 'Prime Video', homePage: 'https://www.primevideo.com/' };
+
+// Offers in the normalized movie schema
+const offer = (type, quality, { amount = null, expiresOn = null, addon = null } = {}) => ({
+    type,
+    quality,
+    price: amount === null ? null : { amount, currency: 'USD' },
+    link: `https://example.com/${type}/${quality}`,
+    addon,
+    expiresOn
+});
+
+let tmpDir;
+let upstream;
+let receiver;
+let upstreamShow;
+const deliveries = [];
+let watchlistService;
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+test.before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlist-test-'));
+
+    // Stand-in for the Streaming API, answering with whatever upstreamShow holds
+    upstream = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(upstreamShow));
+    });
+    receiver = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            deliveries.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+            res.end();
+        });
+    });
+    await Promise.all([listen(upstream), listen(receiver)]);
+
+    // The config is read when the modules load, so the environment is set first
+    Object.assign(process.env, {
+        LOG_LEVEL: 'error',
+        OMDB_API_KEY: 'test',
+        STREAMING_API_KEY: 'test',
+        UPSTREAM_BASE_URL: `http://127.0.0.1:${upstream.address().port}`,
+        STREAMING_CACHE_TTL: '3600',
+        STREAMING_CACHE_STALE_TTL: '0',
+        WATCHLISTS_FILE: path.join(tmpDir, 'watchlists.json'),
+        AVAILABILITY_HISTORY_DIR: path.join(tmpDir, 'availability'),
+        WEBHOOK_ALLOWED_PRIVATE_HOSTS: '127.0.0.1',
+        WEBHOOK_RETRIES: '0'
+    });
+    watchlistService = require('../watchlistService');
+});
+
+test.after(() => {
+    upstream.close();
+    receiver.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('diffSnapshots reports added and removed services', () => {
+    const { diffSnapshots } = watchlistService;
+    const previous = { us: [{ service: netflix, offers: [offer('subscription', 'hd')] }] };
+    const current = { us: [{ service: apple, offers: [offer('rent', 'uhd', { amount: 3.99 })] }] };
+
+    assert.deepEqual(diffSnapshots(previous, current), [
+        { type: 'service_added', country: 'us', service: { id: 'apple', name: 'Apple TV' }, offers: current.us[0].offers },
+        { type: 'service_removed', country: 'us', service: { id: 'netflix', name: 'Netflix' } }
+    ]);
+});
+
+test('diffSnapshots reports added and removed offers, price changes and leaving dates', () => {
+    const { diffSnapshots } = watchlistService;
+    const expiresOn = '2026-12-01T00:00:00.000Z';
+    const previous = {
+        us: [{
+            service: apple,
+            offers: [offer('rent', 'uhd', { amount: 3.99 }), offer('buy', 'uhd', { amount: 14.99 }), offer('buy', 'hd', { amount: 9.99 })]
+        }]
+    };
+    const current = {
+        us: [{
+            service: apple,
+            offers: [
+                offer('rent', 'uhd', { amount: 4.99 }),
+                offer('buy', 'uhd', { amount: 14.99, expiresOn }),
+                offer('rent', 'hd', { amount: 2.99 })
+            ]
+        }]
+    };
+    const service = { id: 'apple', name: 'Apple TV' };
+
+    assert.deepEqual(diffSnapshots(previous, current), [
+        { type: 'price_changed', country: 'us', service, offer: current.us[0].offers[0], previousPrice: { amount: 3.99, currency: 'USD' } },
+        { type: 'leaving', country: 'us', service, offer: current.us[0].offers[1], expiresOn },
+        { type: 'offer_added', country: 'us', service, offer: current.us[0].offers[2] },
+        { type: 'offer_removed', country: 'us', service, offer: previous.us[0].offers[2] }
+    ]);
+});
+
+test('diffSnapshots reports a leaving date only when it is new', () => {
+    const { diffSnapshots } = watchlistService;
+    const snapshot = { us: [{ service: netflix, offers: [offer('subscription', 'hd', { expiresOn: '2026-12-01T00:00:00.000Z' })] }] };
+
+    assert.deepEqual(diffSnapshots(snapshot, structuredClone(snapshot)), []);
+});
+
+test('diffSnapshots tells add-on channels of a service apart', () => {
+    const { diffSnapshots } = watchlistService;
+    const previous = { us: [{ service: prime, offers: [offer('addon', 'hd', { addon: { id: 'mgm', name: 'MGM+' } })] }] };
+    const current = { us: [{ service: prime, offers: [offer('addon', 'hd', { addon: { id: 'starz', name: 'Starz' } })] }] };
+
+    assert.deepEqual(diffSnapshots(previous, current).map(change => [change.type, change.offer.addon.id]), [
+        ['offer_added', 'starz'],
+        ['offer_removed', 'mgm']
+    ]);
+});
+
+test('diffSnapshots skips countries missing from either snapshot', () => {
+    const { diffSnapshots } = watchlistService;
+    const previous = { us: [{ service: netflix, offers: [offer('subscription', 'hd')] }] };
+    const current = {
+        gb: [{ service: prime, offers: [offer('subscription', 'hd')] }],
+        us: [{ service: netflix, offers: [offer('subscription', 'hd')] }]
+    };
+
+    // A newly watched country is not reported as every service being added
+    assert.deepEqual(diffSnapshots(previous, current), []);
+    // Nor is a country no longer watched reported as every service being removed
+    assert.deepEqual(diffSnapshots(current, previous), []);
+});
+
+test('the first check records a baseline, later checks report changes to the webhook', async () => {
+    const { createWatchlist, checkWatchlist, getAvailabilityHistory } = watchlistService;
+    const client = { id: 'client-1', name: 'test', scopes: ['watchlists'] };
+    const show = streamingOptions => ({ imdbId: 'tt1375666', title: 'Inception', streamingOptions });
+
+    const watchlist = createWatchlist(client, {
+        name: 'Nolan',
+        titles: ['tt1375666'],
+        countries: ['us'],
+        webhookUrl: `http://127.0.0.1:${receiver.address().port}/hook`
+    });
+
+    upstreamShow = show({ us: [{ service: netflix, type: 'subscription', quality: 'hd', link: 'https://www.netflix.com/title/1' }] });
+    const first = await checkWatchlist(watchlist.id, client);
+    assert.equal(first.results[0].baseline, true);
+    assert.deepEqual(first.results[0].changes, []);
+    assert.equal(deliveries.length, 0);
+
+    upstreamShow = show({
+        us: [{ service: apple, type: 'rent', quality: 'uhd', price: { amount: '3.99', currency: 'USD' }, link: 'https://tv.apple.com/1' }]
+    });
+    const second = await checkWatchlist(watchlist.id, client);
+    assert.deepEqual(second.results[0].changes.map(change => [change.type, change.service.id]), [
+        ['service_added', 'apple'],
+        ['service_removed', 'netflix']
+    ]);
+
+    assert.equal(deliveries.length, 1);
+    const { headers, body } = deliveries[0];
+    const [, timestamp, digest] = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(headers['x-webhook-signature']);
+    assert.equal(digest, crypto.createHmac('sha256', watchlist.webhookSecret).update(`${timestamp}.${body}`).digest('hex'));
+    const payload = JSON.parse(body);
+    assert.equal(payload.event, 'availability.changed');
+    assert.deepEqual(payload.watchlist, { id: watchlist.id, name: 'Nolan' });
+    assert.equal(payload.changes.length, 2);
+
+    const history = getAvailabilityHistory('tt1375666');
+    assert.equal(history.entries.length, 2);
+    assert.equal(history.entries[0].changes.length, 2);
+    assert.equal(history.entries[1].baseline, true);
+});
+
+test('a re-check sees a new upstream answer even while a cached one is fresh', async () => {
+    const { checkTitle } = watchlistService;
+    const { getStreamingData } = require('../movieService');
+    const show = services => ({
+        imdbId: 'tt0816692',
+        title: 'Interstellar',
+        streamingOptions: { us: services.map(service => ({ service, type: 'subscription', quality: 'hd', link: 'https://example.com/1' })) }
+    });
+
+    // A client request caches the first answer
+    upstreamShow = show([netflix]);
+    await getStreamingData('tt0816692', null);
+    assert.equal((await checkTitle('tt0816692')).baseline, true);
+
+    upstreamShow = show([netflix, prime]);
+    const recheck = await checkTitle('tt0816692');
+    assert.deepEqual(recheck.changes.map(change => [change.type, change.service.id]), [['service_added', 'prime']]);
+
+    // The check's answer replaced the cached one
+    const cached = await getStreamingData('tt0816692', null);
+    assert.deepEqual(cached.streamingOptions.us.map(option => option.service.id), ['netflix', 'prime']);
+});
@@ -0,0 +1,118 @@
+process.env.LOG_LEVEL = 'error';
+process.env.WEBHOOK_ALLOWED_PRIVATE_HOSTS = 'receiver.internal,127.0.0.1';
+process.env.WEBHOOK_RETRIES = '2';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const dns = require('dns');
+const crypto = require('crypto');
+const {
+    SIGNATURE_HEADER,
+    isBlockedAddress,
+    validateWebhookUrl,
+    signPayload,
+    deliverWebhook
+} = require('../webhookService');
+
+// Starts a receiver answering every request with the given status and recording what it got
+const startReceiver = async (status = 200) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+            res.writeHead(status);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, requests, url: `http://127.0.0.1:${server.address().port}/hook` };
+};
+
+test('signPayload signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    assert.equal(
+        signPayload('whsec_test', 1700000000, '{"event":"availability.changed"}'),
+        't=1700000000,v1=7d485600d450f4accdae8d655cdbc0aca0f01d807b6472acfe440bd94a5df1fa'
+    );
+    assert.notEqual(
+        signPayload('whsec_other', 1700000000, '{"event":"availability.changed"}'),
+        signPayload('whsec_test', 1700000000, '{"event":"availability.changed"}')
+    );
+});
+
+test('deliverWebhook sends a body receivers can verify with the signature header', async (t) => {
+    const receiver = await startReceiver();
+    t.after(() => receiver.server.close());
+
+    const result = await deliverWebhook({ url: receiver.url, secret: 'whsec_test' }, { event: 'availability.changed', imdbId: 'tt1375666' });
+
+    assert.equal(result.delivered, true);
+    assert.equal(receiver.requests.length, 1);
+    const { headers, body } = receiver.requests[0];
+    const match = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(headers[SIGNATURE_HEADER.toLowerCase()]);
+    assert.ok(match, 'signature header has the t=…,v1=… format');
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`${match[1]}.${body}`).digest('hex');
+    assert.equal(match[2], expected);
+    assert.ok(Math.abs(Date.now() / 1000 - Number(match[1])) < 60);
+
+    const payload = JSON.parse(body);
+    assert.equal(payload.id, result.id);
+    assert.equal(headers['x-webhook-id'], result.id);
+    assert.equal(headers['x-webhook-event'], 'availability.changed');
+    assert.equal(payload.imdbId, 'tt1375666');
+});
+
+test('isBlockedAddress blocks loopback, private, link-local and mapped addresses', () => {
+    [
+        '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+        '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:7f00:1'
+    ].forEach(address => assert.equal(isBlockedAddress(address), true, address));
+
+    ['8.8.8.8', '172.32.0.1', '::ffff:808:808', '2606:4700::1111', 'example.com'].forEach(address =>
+        assert.equal(isBlockedAddress(address), false, address));
+});
+
+test('validateWebhookUrl rejects URLs pointing at the local network', () => {
+    [
+        'http://localhost:4000/hook',
+        'http://api.localhost/hook',
+        'http://127.0.0.2/hook',
+        'http://2130706434/hook', // 127.0.0.2 written as a number
+        'http://10.0.0.8/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://[::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook'
+    ].forEach(url => assert.throws(
+        () => validateWebhookUrl(url),
+        error => error.status === 400 && /loopback, private or link-local/.test(error.message),
+        url
+    ));
+});
+
+test('validateWebhookUrl accepts public and explicitly allowed hosts', () => {
+    assert.equal(validateWebhookUrl('https://hooks.example.com/movies'), 'https://hooks.example.com/movies');
+    assert.equal(validateWebhookUrl('http://receiver.internal:8080/hook'), 'http://receiver.internal:8080/hook');
+    assert.throws(() => validateWebhookUrl('ftp://hooks.example.com/'), /http or https/);
+    assert.throws(() => validateWebhookUrl('not a url'), /must be a URL/);
+});
+
+test('deliverWebhook refuses hostnames that resolve to a private address, without retrying', async (t) => {
+    const lookup = t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+        callback(null, [{ address: '10.0.0.5', family: 4 }]);
+    });
+
+    const result = await deliverWebhook({ url: 'http://rebind.example.com/hook', secret: 'whsec_test' }, { event: 'test' });
+
+    assert.equal(result.delivered, false);
+    assert.match(result.error, /resolves to 10\.0\.0\.5/);
+    assert.equal(lookup.mock.callCount(), 1);
+});
+
+test('deliverWebhook refuses stored URLs that are no longer allowed', async () => {
+    const result = await deliverWebhook({ url: 'http://10.0.0.8/hook', secret: 'whsec_test' }, { event: 'test' });
+
+    assert.equal(result.delivered, false);
+    assert.match(result.error, /loopback, private or link-local/);
+});
@@ -0,0 +1,155 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePreferences, rankOffers } = require('../whereToWatchService');
+
+const netflix = { id: 'netflix', name: 'Netflix', homePage: 'https://www.netflix.com/' };
+const prime = { id: 'prime', name: 'Prime Video', homePage: 'https://www.primevideo.com/' };
+const apple = { id: 'apple', name: 'Apple TV', homePage: 'https://tv.apple.com/' };
+const mgm = { id: 'mgm', name: 'MGM+' };
+const starz = { id: 'starz', name: 'Starz' };
+
+// Offers in the normalized movie schema
+const offer = (type, quality, { amount = null, expiresOn = null, addon = null } = {}) => ({
+    type,
+    quality,
+    price: amount === null ? null : { amount, currency: 'USD' },
+    link: `https://example.com/${type}/${quality}/${addon?.id || ''}`,
+    addon,
+    expiresOn
+});
+
+const SERVICES = [
+    {
+        service: prime,
+        offers: [
+            offer('addon', 'hd', { addon: mgm, expiresOn: '2026-11-01T00:00:00.000Z' }),
+            offer('addon', 'hd', { addon: starz, expiresOn: '2026-12-01T00:00:00.000Z' }),
+            offer('rent', 'uhd', { amount: 3.99 }),
+            offer('buy', 'uhd', { amount: 19.99 })
+        ]
+    },
+    { service: netflix, offers: [offer('subscription', 'hd')] },
+    { service: apple, offers: [offer('rent', 'hd', { amount: 2.99 }), offer('buy', 'sd', { amount: 9.99 })] }
+];
+
+const rank = (services, preferences = {}) => rankOffers(services, parsePreferences(preferences));
+
+// Rank, type, service and reason of each option, for compact comparisons
+const summarize = options => options.map(option => [option.rank, option.type, option.service.id, option.reason]);
+
+test('rankOffers merges add-on channels offering the same film', () => {
+    const { options } = rank(SERVICES);
+    const addons = options.filter(option => option.type === 'addon');
+
+    assert.equal(addons.length, 1);
+    assert.deepEqual(addons[0].addons, [mgm, starz]);
+    assert.equal(addons[0].reason, 'Needs the MGM+ or Starz add-on on Prime Video');
+    // The first channel's link is kept
+    assert.equal(addons[0].link, 'https://example.com/addon/hd/mgm');
+});
+
+test('rankOffers keeps a merged offer until its latest channel expires', () => {
+    const merged = services => rank([{ service: prime, offers: services }]).options[0];
+
+    assert.equal(merged([
+        offer('addon', 'hd', { addon: starz, expiresOn: '2026-12-01T00:00:00.000Z' }),
+        offer('addon', 'hd', { addon: mgm, expiresOn: '2026-11-01T00:00:00.000Z' })
+    ]).expiresOn, '2026-12-01T00:00:00.000Z');
+
+    // A channel without a leaving date keeps the offer indefinitely, whichever comes first
+    assert.equal(merged([
+        offer('addon', 'hd', { addon: mgm, expiresOn: '2026-11-01T00:00:00.000Z' }),
+        offer('addon', 'hd', { addon: starz })
+    ]).expiresOn, null);
+    assert.equal(merged([
+        offer('addon', 'hd', { addon: starz }),
+        offer('addon', 'hd', { addon: mgm, expiresOn: '2026-11-01T00:00:00.000Z' })
+    ]).expiresOn, null);
+});
+
+test('rankOffers does not merge offers that differ in quality or price', () => {
+    const { options } = rank([{
+        service: prime,
+        offers: [
+            offer('addon', 'hd', { addon: mgm }),
+            offer('addon', 'uhd', { addon: starz }),
+            offer('rent', 'hd', { amount: 3.99 }),
+            offer('rent', 'hd', { amount: 4.99 })
+        ]
+    }]);
+
+    assert.equal(options.length, 4);
+});
+
+test('rankOffers puts included offers first, then subscriptions, add-ons, rentals and purchases', () => {
+    assert.deepEqual(summarize(rank(SERVICES).options), [
+        [1, 'subscription', 'netflix', 'Needs a Netflix subscription'],
+        [2, 'addon', 'prime', 'Needs the MGM+ or Starz add-on on Prime Video'],
+        [3, 'rent', 'apple', 'Rent on Apple TV in HD for 2.99 USD'],
+        [4, 'rent', 'prime', 'Rent on Prime Video in UHD for 3.99 USD'],
+        [5, 'buy', 'apple', 'Buy on Apple TV in SD for 9.99 USD'],
+        [6, 'buy', 'prime', 'Buy on Prime Video in UHD for 19.99 USD']
+    ]);
+
+    assert.deepEqual(summarize(rank(SERVICES, { services: 'Prime Video,starz' }).options).slice(0, 2), [
+        [1, 'addon', 'prime', 'Included in your Starz add-on on Prime Video in HD'],
+        [2, 'subscription', 'netflix', 'Needs a Netflix subscription']
+    ]);
+});
+
+test('rankOffers puts rentals and purchases before new subscriptions when preferSubscription is false', () => {
+    const { options, groups } = rank(SERVICES, { services: ['netflix'], preferSubscription: false });
+
+    assert.deepEqual(summarize(options), [
+        [1, 'subscription', 'netflix', 'Included in your Netflix subscription in HD'],
+        [2, 'rent', 'apple', 'Rent on Apple TV in HD for 2.99 USD'],
+        [3, 'rent', 'prime', 'Rent on Prime Video in UHD for 3.99 USD'],
+        [4, 'buy', 'apple', 'Buy on Apple TV in SD for 9.99 USD'],
+        [5, 'buy', 'prime', 'Buy on Prime Video in UHD for 19.99 USD'],
+        [6, 'addon', 'prime', 'Needs the MGM+ or Starz add-on on Prime Video']
+    ]);
+    assert.equal(options[0].included, true);
+    assert.deepEqual(Object.keys(groups), ['subscription', 'addon', 'rent', 'buy']);
+    assert.deepEqual(groups.rent.map(option => option.rank), [2, 3]);
+});
+
+test('rankOffers breaks ties on price by the better quality', () => {
+    const { options } = rank([
+        { service: apple, offers: [offer('rent', 'hd', { amount: 3.99 })] },
+        { service: prime, offers: [offer('rent', 'uhd', { amount: 3.99 })] }
+    ]);
+
+    assert.deepEqual(options.map(option => option.service.id), ['prime', 'apple']);
+});
+
+test('rankOffers leaves out offers above maxPrice or below minQuality, with the reason', () => {
+    const { options, excluded } = rank(SERVICES, { maxPrice: 5, minQuality: 'hd' });
+
+    assert.deepEqual(options.map(option => [option.type, option.service.id]), [
+        ['subscription', 'netflix'],
+        ['addon', 'prime'],
+        ['rent', 'apple'],
+        ['rent', 'prime']
+    ]);
+    assert.deepEqual(excluded.map(option => [option.type, option.service.id, option.reason]), [
+        ['buy', 'prime', '19.99 USD is above your maximum price of 5'],
+        ['buy', 'apple', 'Quality SD is below your minimum of HD']
+    ]);
+
+    // Offers without a price are never above the maximum
+    assert.equal(rank(SERVICES, { maxPrice: 0 }).options.length, 2);
+});
+
+test('parsePreferences validates and normalizes the preferences', () => {
+    assert.deepEqual(parsePreferences({ services: ' Netflix ,prime,netflix', maxPrice: '4.5', minQuality: 'UHD' }), {
+        country: 'us',
+        services: ['netflix', 'prime'],
+        maxPrice: 4.5,
+        minQuality: 'uhd',
+        preferSubscription: true
+    });
+    assert.throws(() => parsePreferences({ maxPrice: -1 }), /maxPrice must be a number of at least 0/);
+    assert.throws(() => parsePreferences({ minQuality: '4k' }), /minQuality must be one of: sd, hd, qhd, uhd/);
+});
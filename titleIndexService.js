@@ -0,0 +1,477 @@
+/**
+ * Title Index Service Module
+ * Local index of every title resolved through OMDB, searchable by title, actors
+ * and directors with typo-tolerant prefix matching
+ * Searches go through an inverted index of words, so only titles sharing a
+ * matching word are scored
+ * Backs autocomplete, lets searches be answered without an upstream call, and
+ * is the pool of candidates for similar-title recommendations
+ * The index is kept in memory and saved to TITLE_INDEX_FILE shortly after it changes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+const { logger } = require('./logService');
+
+// Index Configuration
+const TITLE_INDEX_FILE = config.titleIndexFile;
+const TITLE_INDEX_MAX_ENTRIES = config.titleIndexMaxEntries;
+const SAVE_DELAY = 2000; // Changes are batched into one write
+const INDEX_FILE_VERSION = 1;
+
+// Weight of a match in each field; a title match counts most
+const FIELD_WEIGHTS = { title: 1, directors: 0.7, actors: 0.6 };
+// Only whole titles are indexed, not their episodes
+const INDEXED_TYPES = ['movie', 'series'];
+
+/**
+ * Normalizes text for matching: lower case, without accents or punctuation
+ * @param {string} text - Text to normalize
+ * @returns {string} Words separated by single spaces
+ */
+const normalizeText = (text) => String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const tokenize = (text) => {
+    const normalized = normalizeText(text);
+    return normalized ? normalized.split(' ') : [];
+};
+
+// OMDB lists people as "A, B, C" and uses "N/A" for missing values
+const toNames = (value) => (!value || value === 'N/A' ? [] : value.split(',').map(name => name.trim()).filter(Boolean));
+
+// Number of typos tolerated in a word, growing with its length
+const allowedEdits = (length) => {
+    if (length >= 8) {
+        return 2;
+    }
+    return length >= 4 ? 1 : 0;
+};
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of adjacent letters
+ * Gives up early once the distance is known to exceed the limit
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} The distance, or limit + 1 if it is larger than limit
+ */
+const editDistance = (a, b, limit) => {
+    if (Math.abs(a.length - b.length) > limit) {
+        return limit + 1;
+    }
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMinimum = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, previousRow[j - 2] + 1);
+            }
+            nextRow.push(distance);
+            rowMinimum = Math.min(rowMinimum, distance);
+        }
+        if (rowMinimum > limit) {
+            return limit + 1;
+        }
+        previousRow = row;
+        row = nextRow;
+    }
+    return row[b.length];
+};
+
+/**
+ * Scores how well a query word matches an indexed word
+ * Exact words score highest, then words the query is the start of, then near misses
+ * @param {string} queryWord - Word typed by the user, possibly incomplete or misspelled
+ * @param {string} word - Indexed word
+ * @returns {number} Score between 0 (no match) and 1
+ */
+const scoreWord = (queryWord, word) => {
+    if (word === queryWord) {
+        return 1;
+    }
+    if (word.startsWith(queryWord)) {
+        return 0.8 + 0.15 * (queryWord.length / word.length);
+    }
+
+    const limit = allowedEdits(queryWord.length);
+    if (limit === 0) {
+        return 0;
+    }
+    const distance = editDistance(queryWord, word, limit);
+    if (distance <= limit) {
+        return 0.7 - 0.1 * distance;
+    }
+
+    // A misspelled start of a longer word, e.g. "intersel" for "interstellar"
+    let best = 0;
+    for (let length = queryWord.length - 1; length <= queryWord.length + 1; length++) {
+        if (length > 0 && length < word.length) {
+            const prefixDistance = editDistance(queryWord, word.slice(0, length), limit);
+            if (prefixDistance <= limit) {
+                best = Math.max(best, 0.6 - 0.1 * prefixDistance);
+            }
+        }
+    }
+    return best;
+};
+
+// Position of the first word in a sorted list that is not before the given word
+const lowerBound = (words, word) => {
+    let low = 0;
+    let high = words.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (words[middle] < word) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+};
+
+/**
+ * In-memory title index with persistence to a JSON file
+ */
+class TitleIndex {
+    constructor({ file = TITLE_INDEX_FILE, maxEntries = TITLE_INDEX_MAX_ENTRIES } = {}) {
+        this.file = file;
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        // Every indexed word with the IDs of the titles using it
+        this.postings = new Map();
+        // Sorted vocabulary for prefix lookups and the same words by length for typo lookups,
+        // rebuilt on the next search after the vocabulary changes
+        this.sortedWords = null;
+        this.wordsByLength = null;
+        this.saveTimer = null;
+        this.load();
+    }
+
+    load() {
+        if (!this.file) {
+            return;
+        }
+        try {
+            const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            // Files saved before genres and ratings were indexed lack them until the title is resolved again
+            (data.entries || []).forEach((entry) => {
+                this.entries.set(entry.imdbId, this.indexWords(this.withTokens({ genres: [], rating: null, ...entry })));
+            });
+            logger.debug('Loaded title index', { file: this.file, entries: this.entries.size });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to load title index, starting empty', { file: this.file, error });
+            }
+        }
+    }
+
+    // Words of each field, kept in memory only
+    withTokens(entry) {
+        Object.defineProperty(entry, 'tokens', {
+            value: {
+                title: tokenize(entry.title),
+                directors: entry.directors.flatMap(tokenize),
+                actors: entry.actors.flatMap(tokenize)
+            },
+            enumerable: false
+        });
+        return entry;
+    }
+
+    // Adds a title's words to the postings
+    indexWords(entry) {
+        new Set(Object.values(entry.tokens).flat()).forEach((word) => {
+            let ids = this.postings.get(word);
+            if (!ids) {
+                ids = new Set();
+                this.postings.set(word, ids);
+                this.sortedWords = null;
+            }
+            ids.add(entry.imdbId);
+        });
+        return entry;
+    }
+
+    // Removes a title's words from the postings
+    unindexWords(entry) {
+        new Set(Object.values(entry.tokens).flat()).forEach((word) => {
+            const ids = this.postings.get(word);
+            ids.delete(entry.imdbId);
+            if (ids.size === 0) {
+                this.postings.delete(word);
+                this.sortedWords = null;
+            }
+        });
+    }
+
+    /**
+     * Adds or updates a title from its OMDB data
+     * Episodes and incomplete records are ignored
+     * @param {Object} movie - OMDB response
+     */
+    add(movie) {
+        const type = String(movie?.Type || '').toLowerCase();
+        if (!movie?.imdbID || !movie.Title || !INDEXED_TYPES.includes(type)) {
+            return;
+        }
+
+        const entry = {
+            imdbId: movie.imdbID,
+            title: movie.Title,
+            year: parseInt(movie.Year, 10) || null,
+            type,
+            genres: toNames(movie.Genre),
+            directors: toNames(movie.Director),
+            actors: toNames(movie.Actors),
+            rating: parseFloat(movie.imdbRating) || null,
+            votes: parseInt(String(movie.imdbVotes || '').replace(/,/g, ''), 10) || 0
+        };
+
+        const existing = this.entries.get(entry.imdbId);
+        if (existing && Object.keys(entry).every(key => JSON.stringify(existing[key]) === JSON.stringify(entry[key]))) {
+            return;
+        }
+
+        entry.indexedAt = new Date().toISOString();
+        // Re-insert so the Map stays ordered from least to most recently indexed
+        if (existing) {
+            this.unindexWords(existing);
+            this.entries.delete(entry.imdbId);
+        }
+        this.entries.set(entry.imdbId, this.indexWords(this.withTokens(entry)));
+        while (this.entries.size > this.maxEntries) {
+            const [oldestId, oldest] = this.entries.entries().next().value;
+            this.unindexWords(oldest);
+            this.entries.delete(oldestId);
+        }
+        this.scheduleSave();
+    }
+
+    /**
+     * Finds the indexed words a query word matches, with their scores
+     * Words starting with the query word are found by binary search. Typos are
+     * only looked for in words about as long as the query word; longer words can
+     * only match through a misspelled start, which is scored once per distinct start
+     * @param {string} queryWord - Normalized query word
+     * @returns {Map<string, number>} Score of each matching word
+     */
+    matchWord(queryWord) {
+        if (!this.sortedWords) {
+            this.sortedWords = [...this.postings.keys()].sort();
+            this.wordsByLength = new Map();
+            this.sortedWords.forEach((word) => {
+                if (!this.wordsByLength.has(word.length)) {
+                    this.wordsByLength.set(word.length, []);
+                }
+                this.wordsByLength.get(word.length).push(word);
+            });
+        }
+        const words = this.sortedWords;
+        const matches = new Map();
+
+        for (let i = lowerBound(words, queryWord); i < words.length && words[i].startsWith(queryWord); i++) {
+            matches.set(words[i], scoreWord(queryWord, words[i]));
+        }
+
+        const limit = allowedEdits(queryWord.length);
+        if (limit === 0) {
+            return matches;
+        }
+
+        const addMatch = (word, score) => {
+            if (score > 0 && !matches.has(word)) {
+                matches.set(word, score);
+            }
+        };
+
+        // Words within the limit in length may be near misses of the whole query word
+        const maxLength = queryWord.length + limit;
+        for (let length = queryWord.length - limit; length <= maxLength; length++) {
+            (this.wordsByLength.get(length) || []).forEach(word => addMatch(word, scoreWord(queryWord, word)));
+        }
+
+        // The score of a longer word depends only on its start, and words sharing a start are adjacent
+        const startLength = queryWord.length + 1;
+        let start = null;
+        let startScore = 0;
+        words.forEach((word) => {
+            if (word.length <= maxLength) {
+                return;
+            }
+            if (start === null || !word.startsWith(start)) {
+                start = word.slice(0, startLength);
+                startScore = scoreWord(queryWord, word);
+            }
+            addMatch(word, startScore);
+        });
+        return matches;
+    }
+
+    /**
+     * Scores one indexed title against the words of a query
+     * Every query word has to match a word of the title, directors or actors
+     * @param {Object} entry - Indexed title
+     * @param {Map<string, number>[]} wordMatches - Result of matchWord for each query word
+     * @param {string} query - Normalized query
+     * @returns {Object|null} Score and the fields that matched, or null if a word did not match
+     */
+    scoreEntry(entry, wordMatches, query) {
+        const matchedOn = new Set();
+        let total = 0;
+
+        for (const matches of wordMatches) {
+            let best = 0;
+            let bestField = null;
+            Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+                entry.tokens[field].forEach((word) => {
+                    const score = (matches.get(word) || 0) * weight;
+                    if (score > best) {
+                        best = score;
+                        bestField = field;
+                    }
+                });
+            });
+            if (best === 0) {
+                return null;
+            }
+            total += best;
+            matchedOn.add(bestField);
+        }
+
+        let score = total / wordMatches.length;
+        const title = entry.tokens.title.join(' ');
+        if (title === query) {
+            score += 0.5;
+        } else if (title.startsWith(query)) {
+            score += 0.3;
+        }
+        return { score, matchedOn: [...matchedOn] };
+    }
+
+    /**
+     * Finds titles matching a possibly incomplete or misspelled query
+     * Ranked by match quality, then by number of IMDb votes as a measure of popularity
+     * @param {string} query - Text typed by the user
+     * @param {Object} [options] - Search options
+     * @param {number} [options.limit] - Maximum number of results (default 10)
+     * @param {string} [options.type] - movie, series, or all (default)
+     * @returns {Object[]} Matching titles with their score and the fields that matched
+     */
+    search(query, { limit = 10, type = 'all' } = {}) {
+        const queryWords = tokenize(query);
+        if (queryWords.length === 0) {
+            return [];
+        }
+        const normalizedQuery = queryWords.join(' ');
+        const wordMatches = queryWords.map(queryWord => this.matchWord(queryWord));
+
+        // Only titles with a matching word for every query word can match
+        const [candidates, ...others] = wordMatches
+            .map((matches) => {
+                const ids = new Set();
+                matches.forEach((score, word) => this.postings.get(word).forEach(id => ids.add(id)));
+                return ids;
+            })
+            .sort((a, b) => a.size - b.size);
+
+        const results = [];
+        candidates.forEach((imdbId) => {
+            const entry = this.entries.get(imdbId);
+            if ((type !== 'all' && entry.type !== type) || !others.every(ids => ids.has(imdbId))) {
+                return;
+            }
+            const match = this.scoreEntry(entry, wordMatches, normalizedQuery);
+            if (match) {
+                results.push({ entry, ...match });
+            }
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score || b.entry.votes - a.entry.votes || a.entry.title.localeCompare(b.entry.title))
+            .slice(0, limit)
+            .map(({ entry, score, matchedOn }) => ({
+                imdbId: entry.imdbId,
+                title: entry.title,
+                year: entry.year,
+                type: entry.type,
+                directors: entry.directors,
+                actors: entry.actors,
+                score: Math.round(score * 1000) / 1000,
+                matchedOn
+            }));
+    }
+
+    /**
+     * Gets one indexed title
+     * @param {string} imdbId - IMDB ID of the title
+     * @returns {Object|null} The indexed title, or null if it is not indexed
+     */
+    get(imdbId) {
+        return this.entries.get(imdbId) || null;
+    }
+
+    /**
+     * Lists every indexed title, least recently indexed first
+     * @returns {Object[]} Indexed titles
+     */
+    list() {
+        return [...this.entries.values()];
+    }
+
+    scheduleSave() {
+        if (!this.file || this.saveTimer) {
+            return;
+        }
+        this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+        this.saveTimer.unref();
+    }
+
+    /**
+     * Writes the index to disk now if it has unsaved changes
+     * Written to a temporary file first so a crash cannot leave a truncated index
+     */
+    save() {
+        if (!this.file || !this.saveTimer) {
+            return;
+        }
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            const tempFile = `${this.file}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify({ version: INDEX_FILE_VERSION, entries: [...this.entries.values()] }));
+            fs.renameSync(tempFile, this.file);
+            logger.debug('Saved title index', { file: this.file, entries: this.entries.size });
+        } catch (error) {
+            logger.error('Failed to save title index', { file: this.file, error });
+        }
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+const titleIndex = new TitleIndex();
+
+module.exports = {
+    TitleIndex,
+    titleIndex,
+    normalizeText,
+    toNames,
+    editDistance,
+    scoreWord
+};
@@ -0,0 +1,334 @@
+/**
+ * Upload Service Module
+ * Streams poster uploads to disk as they arrive, enforcing a maximum size
+ * Accepts raw image bodies as well as multipart/form-data with named fields
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('./config');
+const { ValidationError, PayloadTooLargeError } = require('./movieService');
+const { detectImageType } = require('./imageService');
+
+// Upload Configuration
+const MAX_UPLOAD_BYTES = config.maxUploadBytes;
+const MAX_HEADER_BYTES = 16 * 1024;
+const MAX_FIELD_BYTES = 64 * 1024;
+const HEAD_BYTES = 32; // Bytes kept in memory for image type detection
+
+/**
+ * Parses the headers of a multipart part
+ * @param {string} headerText - Raw header block
+ * @returns {Object} Field name, filename and content type of the part
+ */
+const parsePartHeaders = (headerText) => {
+    const headers = {};
+    headerText.split('\r\n').forEach((line) => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+    });
+
+    const disposition = headers['content-disposition'] || '';
+    const name = /\bname="([^"]*)"/i.exec(disposition);
+    const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+
+    return {
+        name: name ? name[1] : null,
+        filename: filename ? filename[1] : null,
+        contentType: headers['content-type'] || null
+    };
+};
+
+/**
+ * Writes the selected file to a temporary path while tracking its size,
+ * checksum and leading bytes
+ */
+class FileSink {
+    constructor(tmpDir) {
+        this.filePath = path.join(tmpDir, `upload-${crypto.randomBytes(8).toString('hex')}.tmp`);
+        this.stream = fs.createWriteStream(this.filePath);
+        this.hash = crypto.createHash('sha256');
+        this.head = Buffer.alloc(0);
+        this.size = 0;
+    }
+
+    // Returns false when the caller should wait for 'drain'
+    write(chunk) {
+        if (this.head.length < HEAD_BYTES) {
+            this.head = Buffer.concat([this.head, chunk.subarray(0, HEAD_BYTES - this.head.length)]);
+        }
+        this.size += chunk.length;
+        this.hash.update(chunk);
+        return this.stream.write(chunk);
+    }
+
+    finish() {
+        return new Promise((resolve, reject) => {
+            this.stream.on('error', reject);
+            this.stream.end(resolve);
+        });
+    }
+
+    discard() {
+        // Unlink only after close, as the file may still be opening
+        this.stream.once('close', () => fs.unlink(this.filePath, () => {}));
+        this.stream.destroy();
+    }
+}
+
+/**
+ * Incremental multipart/form-data parser
+ * Feeds file data to a FileSink and collects small text fields in memory
+ */
+class MultipartParser {
+    constructor(boundary, { fieldName = null, createSink }) {
+        this.delimiter = Buffer.from(`\r\n--${boundary}`);
+        this.fieldName = fieldName;
+        this.createSink = createSink;
+        // Prefixing CRLF lets the first boundary match the same delimiter as the rest
+        this.pending = Buffer.from('\r\n');
+        this.state = 'preamble';
+        this.part = null;
+        this.file = null;
+        this.fields = {};
+    }
+
+    /**
+     * Processes a chunk of the request body
+     * @param {Buffer} chunk - Next chunk of the body
+     * @returns {boolean} False if the file sink needs to drain
+     */
+    write(chunk) {
+        this.pending = Buffer.concat([this.pending, chunk]);
+        let flowing = true;
+        let progress = true;
+
+        while (progress) {
+            progress = false;
+
+            if (this.state === 'preamble' || this.state === 'body') {
+                const index = this.pending.indexOf(this.delimiter);
+                const end = index === -1
+                    ? Math.max(0, this.pending.length - this.delimiter.length + 1)
+                    : index;
+
+                if (this.state === 'body' && end > 0) {
+                    flowing = this.writePartData(this.pending.subarray(0, end)) && flowing;
+                }
+
+                if (index === -1) {
+                    this.pending = this.pending.subarray(end);
+                } else {
+                    this.endPart();
+                    this.pending = this.pending.subarray(index + this.delimiter.length);
+                    this.state = 'boundary';
+                    progress = true;
+                }
+            } else if (this.state === 'boundary') {
+                if (this.pending.length >= 2) {
+                    const marker = this.pending.subarray(0, 2).toString();
+                    if (marker === '--') {
+                        this.state = 'done';
+                        this.pending = Buffer.alloc(0);
+                    } else if (marker === '\r\n') {
+                        this.state = 'headers';
+                        this.pending = this.pending.subarray(2);
+                        progress = true;
+                    } else {
+                        throw new ValidationError('Malformed multipart body');
+                    }
+                }
+            } else if (this.state === 'headers') {
+                const index = this.pending.indexOf('\r\n\r\n');
+                if (index === -1) {
+                    if (this.pending.length > MAX_HEADER_BYTES) {
+                        throw new ValidationError('Multipart part headers are too large');
+                    }
+                } else {
+                    this.startPart(parsePartHeaders(this.pending.subarray(0, index).toString('utf8')));
+                    this.pending = this.pending.subarray(index + 4);
+                    this.state = 'body';
+                    progress = true;
+                }
+            } else {
+                // Ignore the epilogue after the closing boundary
+                this.pending = Buffer.alloc(0);
+            }
+        }
+
+        return flowing;
+    }
+
+    startPart(headers) {
+        const isFile = headers.filename !== null ||
+            (headers.contentType !== null && !headers.contentType.startsWith('text/'));
+        const isNamedTarget = this.fieldName !== null && headers.name === this.fieldName;
+        const hasNamedTarget = this.file !== null && this.file.name === this.fieldName;
+
+        // Prefer the named field; otherwise fall back to the first file part
+        if ((isNamedTarget && !hasNamedTarget) || (isFile && !this.file)) {
+            if (this.file) {
+                this.file.sink.discard();
+            }
+            this.file = { ...headers, sink: this.createSink() };
+            this.part = { type: 'file' };
+        } else if (!isFile && headers.name) {
+            this.part = { type: 'field', name: headers.name, chunks: [], size: 0 };
+        } else {
+            this.part = { type: 'skip' };
+        }
+    }
+
+    writePartData(data) {
+        if (this.part.type === 'file') {
+            return this.file.sink.write(data);
+        }
+        if (this.part.type === 'field') {
+            this.part.size += data.length;
+            if (this.part.size > MAX_FIELD_BYTES) {
+                throw new ValidationError(`Form field ${this.part.name} is too large`);
+            }
+            this.part.chunks.push(data);
+        }
+        return true;
+    }
+
+    endPart() {
+        if (this.part && this.part.type === 'field') {
+            this.fields[this.part.name] = Buffer.concat(this.part.chunks).toString('utf8');
+        }
+        this.part = null;
+    }
+}
+
+/**
+ * Receives an uploaded file from a request and streams it to a temporary file
+ * Raw image bodies (image/* or application/octet-stream) and multipart/form-data are supported
+ * @param {http.IncomingMessage} req - The HTTP request
+ * @param {Object} [options] - Upload options
+ * @param {number} [options.maxBytes] - Maximum request body size
+ * @param {string} [options.fieldName] - Preferred multipart field holding the file; falls back to the first file part
+ * @param {string} [options.tmpDir] - Directory for the temporary file
+ * @returns {Promise<Object>} Temporary file path, size, checksum, detected image type and form fields
+ * @throws {ValidationError} If the body is malformed or contains no file
+ * @throws {PayloadTooLargeError} If the body exceeds the maximum size
+ */
+const receiveUpload = (req, { maxBytes = MAX_UPLOAD_BYTES, fieldName = null, tmpDir = os.tmpdir() } = {}) => {
+    return new Promise((resolve, reject) => {
+        const contentType = req.headers['content-type'] || '';
+        const declaredLength = parseInt(req.headers['content-length'], 10);
+        let parser = null;
+        let rawSink = null;
+        let received = 0;
+        let settled = false;
+
+        const sizeError = () => new PayloadTooLargeError(`Upload exceeds the maximum size of ${maxBytes} bytes`);
+
+        const fail = (error) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            const sink = rawSink || (parser && parser.file && parser.file.sink);
+            if (sink) {
+                sink.discard();
+            }
+            // Discard the rest of the body so the error response can be delivered
+            req.removeAllListeners('data');
+            req.resume();
+            reject(error);
+        };
+
+        if (contentType.includes('multipart/form-data')) {
+            const boundaryMatch = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+            if (!boundaryMatch) {
+                reject(new ValidationError('No boundary found in content type'));
+                return;
+            }
+            parser = new MultipartParser(boundaryMatch[1] || boundaryMatch[2], {
+                fieldName,
+                createSink: () => new FileSink(tmpDir)
+            });
+        } else if (contentType.startsWith('image/') || contentType.startsWith('application/octet-stream')) {
+            rawSink = new FileSink(tmpDir);
+        } else {
+            reject(new ValidationError('Invalid content type. Must be an image or multipart/form-data'));
+            return;
+        }
+
+        if (declaredLength > maxBytes) {
+            fail(sizeError());
+            return;
+        }
+
+        req.on('data', (chunk) => {
+            received += chunk.length;
+            if (received > maxBytes) {
+                fail(sizeError());
+                return;
+            }
+
+            try {
+                const flowing = rawSink ? rawSink.write(chunk) : parser.write(chunk);
+                if (!flowing) {
+                    // Apply backpressure until the file has been flushed to disk
+                    const sink = rawSink || parser.file.sink;
+                    req.pause();
+                    sink.stream.once('drain', () => req.resume());
+                }
+            } catch (error) {
+                fail(error);
+            }
+        });
+
+        req.on('error', (error) => {
+            fail(new Error(`Upload error: ${error.message}`));
+        });
+
+        req.on('end', async () => {
+            if (settled) {
+                return;
+            }
+
+            if (parser && parser.state !== 'done') {
+                fail(new ValidationError('Malformed multipart body'));
+                return;
+            }
+
+            const file = rawSink
+                ? { sink: rawSink, name: null, filename: null, contentType }
+                : parser.file;
+
+            if (!file || file.sink.size === 0) {
+                fail(new ValidationError('No image file found in request'));
+                return;
+            }
+
+            try {
+                await file.sink.finish();
+                settled = true;
+                resolve({
+                    filePath: file.sink.filePath,
+                    size: file.sink.size,
+                    checksum: file.sink.hash.digest('hex'),
+                    imageType: detectImageType(file.sink.head),
+                    fieldName: file.name,
+                    filename: file.filename,
+                    declaredType: file.contentType,
+                    fields: parser ? parser.fields : {}
+                });
+            } catch (error) {
+                fail(new Error(`Failed to store upload: ${error.message}`));
+            }
+        });
+    });
+};
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    receiveUpload
+};
@@ -0,0 +1,233 @@
+/**
+ * Upstream Service Module
+ * Retries with exponential backoff and per-host circuit breakers for calls
+ * to the OMDB and Streaming Availability APIs
+ */
+
+const net = require('net');
+const tls = require('tls');
+const { config } = require('./config');
+const { logger } = require('./logService');
+
+// Retry Configuration
+const UPSTREAM_RETRIES = config.upstreamRetries; // Retries after the first attempt, 0 disables them
+const UPSTREAM_RETRY_BASE_DELAY = config.upstreamRetryBaseDelay; // Milliseconds
+const UPSTREAM_RETRY_MAX_DELAY = 2000;
+
+// Readiness Probe Configuration
+const PROBE_TIMEOUT = 3000;
+const PROBE_CACHE_TTL = 30 * 1000; // Probe results are reused so frequent checks stay cheap
+
+// Circuit Breaker Configuration
+const CIRCUIT_FAILURE_THRESHOLD = config.circuitFailureThreshold; // Consecutive failures
+const CIRCUIT_COOLDOWN = config.circuitCooldown;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Delay before a retry, doubling with each attempt
+ * Uses "full jitter" so clients that failed together do not retry together
+ * @param {number} attempt - Number of the retry, starting at 1
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempt) => {
+    const ceiling = Math.min(UPSTREAM_RETRY_MAX_DELAY, UPSTREAM_RETRY_BASE_DELAY * 2 ** (attempt - 1));
+    return Math.floor(Math.random() * ceiling);
+};
+
+/**
+ * Runs an operation, retrying failures that are worth retrying
+ * @param {Function} operation - Async function to run
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.retries] - Maximum number of retries
+ * @param {Function} [options.shouldRetry] - Decides from an error whether to retry
+ * @returns {Promise<*>} Result of the first successful attempt
+ * @throws {Error} The last error once retries are exhausted or not allowed
+ */
+const withRetries = async (operation, { retries = UPSTREAM_RETRIES, shouldRetry = () => true } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation();
+        } catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) {
+                throw error;
+            }
+            const delay = getRetryDelay(attempt + 1);
+            logger.warn('Upstream call failed, retrying', { attempt: attempt + 1, delayMs: delay, error });
+            await sleep(delay);
+        }
+    }
+};
+
+/**
+ * Runs a task for each item with at most `limit` tasks in flight
+ * Results keep the order of the items; tasks are expected to handle their own errors
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent tasks
+ * @param {Function} task - Async function called with (item, index)
+ * @param {Object} [options] - Run options
+ * @param {AbortSignal} [options.signal] - Stops starting new tasks once aborted
+ * @returns {Promise<Array>} Task results; skipped items are left undefined
+ */
+const mapWithConcurrency = async (items, limit, task, { signal } = {}) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length && !signal?.aborted) {
+            const index = next++;
+            results[index] = await task(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
+
+/**
+ * Parses a Retry-After header given in seconds or as an HTTP date
+ * @param {string} [header] - Retry-After header value
+ * @returns {number|undefined} Seconds to wait, or undefined if absent or malformed
+ */
+const parseRetryAfter = (header) => {
+    if (!header) {
+        return undefined;
+    }
+    if (/^\d+$/.test(header.trim())) {
+        return Number(header);
+    }
+    const date = Date.parse(header);
+    if (Number.isNaN(date)) {
+        return undefined;
+    }
+    return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+};
+
+// Seconds other callers are told to wait while a half-open circuit's trial call is in flight
+const TRIAL_RETRY_AFTER = 1;
+
+/**
+ * Circuit breaker for one upstream host
+ * Opens after a run of consecutive failures so calls fail fast while the host
+ * is down; once the cooldown has passed, a single call is let through as a trial
+ * and its outcome closes or re-opens the circuit. Other calls are rejected until
+ * the trial finishes
+ */
+class CircuitBreaker {
+    constructor({ threshold = CIRCUIT_FAILURE_THRESHOLD, cooldown = CIRCUIT_COOLDOWN } = {}) {
+        this.threshold = threshold;
+        this.cooldown = cooldown;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = 0;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Checks whether a call may be made
+     * The caller given the trial must report its outcome with recordSuccess or
+     * recordFailure, or call release if the call was never sent
+     * @returns {Object} Whether the call is allowed, whether it is the trial call, and
+     *   seconds until another call may be allowed
+     */
+    check() {
+        if (this.state === 'open') {
+            const remaining = this.openedAt + this.cooldown - Date.now();
+            if (remaining > 0) {
+                return { allowed: false, trial: false, retryAfter: Math.ceil(remaining / 1000) };
+            }
+            this.state = 'half-open';
+        }
+        if (this.state === 'half-open') {
+            if (this.trialInFlight) {
+                return { allowed: false, trial: false, retryAfter: TRIAL_RETRY_AFTER };
+            }
+            this.trialInFlight = true;
+            return { allowed: true, trial: true, retryAfter: 0 };
+        }
+        return { allowed: true, trial: false, retryAfter: 0 };
+    }
+
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.trialInFlight = false;
+    }
+
+    recordFailure() {
+        this.failures++;
+        if (this.state === 'half-open' || this.failures >= this.threshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+        this.trialInFlight = false;
+    }
+
+    // Ends a trial whose call was never sent, so the next call becomes the trial
+    release() {
+        this.trialInFlight = false;
+    }
+}
+
+// One circuit breaker per upstream host
+const circuitBreakers = new Map();
+
+const getCircuitBreaker = (host) => {
+    let breaker = circuitBreakers.get(host);
+    if (!breaker) {
+        breaker = new CircuitBreaker();
+        circuitBreakers.set(host, breaker);
+    }
+    return breaker;
+};
+
+// Latest probe result per host
+const probeResults = new Map();
+
+/**
+ * Checks that an upstream host accepts TLS connections
+ * Opens and closes a connection without sending a request, so no API quota is used
+ * @param {string} host - Upstream hostname
+ * @param {Object} [options] - Connection options
+ * @param {number} [options.port] - Port to connect to
+ * @param {boolean} [options.secure] - Whether to make a TLS connection rather than a plain TCP one
+ * @returns {Promise<Object>} Whether the host is reachable, the latency and any error
+ */
+const probeHost = (host, { port = 443, secure = true } = {}) => {
+    const probeKey = `${host}:${port}`;
+    const cached = probeResults.get(probeKey);
+    if (cached && Date.now() - cached.checkedAt < PROBE_CACHE_TTL) {
+        return Promise.resolve(cached.result);
+    }
+
+    return new Promise((resolve) => {
+        const start = Date.now();
+        let settled = false;
+        const finish = (result) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            socket.destroy();
+            probeResults.set(probeKey, { checkedAt: Date.now(), result });
+            resolve(result);
+        };
+
+        const onConnect = () => finish({ ok: true, latencyMs: Date.now() - start });
+        const socket = secure
+            ? tls.connect({ host, port, servername: host }, onConnect)
+            : net.connect({ host, port }, onConnect);
+        socket.setTimeout(PROBE_TIMEOUT, () => finish({ ok: false, error: 'Connection timed out' }));
+        socket.on('error', error => finish({ ok: false, error: error.message }));
+    });
+};
+
+module.exports = {
+    CircuitBreaker,
+    getCircuitBreaker,
+    probeHost,
+    getRetryDelay,
+    withRetries,
+    mapWithConcurrency,
+    parseRetryAfter
+};
@@ -0,0 +1,599 @@
+/**
+ * Watchlist Service Module
+ * Stores client watchlists and tracks the streaming availability of watched titles
+ * Watchlists are kept in a local JSON file. A scheduler re-checks every watched title,
+ * stores a snapshot of its streaming options under AVAILABILITY_HISTORY_DIR/<id>.json,
+ * and notifies the webhooks of the watchlists that care about what changed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('./config');
+const {
+    getStreamingData,
+    validateCountry,
+    describeError,
+    ValidationError,
+    NotFoundError
+} = require('./movieService');
+const { normalizeMovie } = require('./movieSchema');
+const { validateWebhookUrl, generateSecret, deliverWebhook } = require('./webhookService');
+const { logger } = require('./logService');
+
+// Watchlist Configuration
+const WATCHLISTS_FILE = config.watchlistsFile;
+const HISTORY_DIR = config.availabilityHistoryDir;
+const HISTORY_LIMIT = config.availabilityHistoryLimit; // Change entries kept per title
+const CHECK_INTERVAL = config.watchlistCheckInterval; // 0 disables scheduled checks
+const STARTUP_CHECK_DELAY = 5000;
+const MAX_WATCHLIST_TITLES = 100;
+const CHANGE_EVENT = 'availability.changed';
+
+const readWatchlists = () => {
+    try {
+        return JSON.parse(fs.readFileSync(WATCHLISTS_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+};
+
+const writeWatchlists = (watchlists) => {
+    fs.mkdirSync(path.dirname(WATCHLISTS_FILE), { recursive: true });
+    fs.writeFileSync(WATCHLISTS_FILE, JSON.stringify(watchlists, null, 2));
+};
+
+// Public view of a stored watchlist, without its webhook secret
+const describeWatchlist = ({ webhookSecret, ...watchlist }) => watchlist;
+
+// Clients see their own watchlists; admin keys see every watchlist
+const canAccess = (watchlist, client) => client.scopes.includes('admin') || watchlist.owner === client.id;
+
+const parseName = (name) => {
+    if (!name || typeof name !== 'string' || name.trim() === '') {
+        throw new ValidationError('You must supply a watchlist name!');
+    }
+    return name.trim();
+};
+
+const validateTitleId = (imdbId) => {
+    if (typeof imdbId !== 'string' || !/^tt\d+$/.test(imdbId.trim())) {
+        throw new ValidationError(`Invalid IMDb ID: ${imdbId}. Must start with "tt"`);
+    }
+    return imdbId.trim();
+};
+
+const parseTitles = (titles = []) => {
+    if (!Array.isArray(titles)) {
+        throw new ValidationError('titles must be an array of IMDb IDs');
+    }
+    const unique = [...new Set(titles.map(validateTitleId))];
+    if (unique.length > MAX_WATCHLIST_TITLES) {
+        throw new ValidationError(`A watchlist may hold at most ${MAX_WATCHLIST_TITLES} titles`);
+    }
+    return unique;
+};
+
+const parseCountries = (countries = ['us']) => {
+    if (!Array.isArray(countries) || countries.length === 0) {
+        throw new ValidationError('countries must be a non-empty array of country codes');
+    }
+    return [...new Set(countries.map(validateCountry))];
+};
+
+// Service IDs or names, matched case-insensitively; an empty list matches every service
+const parseServices = (services = []) => {
+    if (!Array.isArray(services) || services.some(service => typeof service !== 'string' || service.trim() === '')) {
+        throw new ValidationError('services must be an array of service IDs or names');
+    }
+    return [...new Set(services.map(service => service.trim().toLowerCase()))];
+};
+
+/**
+ * Finds a watchlist the client may access
+ * @param {Object[]} watchlists - Stored watchlists
+ * @param {string} id - ID of the watchlist
+ * @param {Object} client - Metadata of the client's API key
+ * @returns {Object} The stored watchlist
+ * @throws {NotFoundError} If it does not exist or belongs to another client
+ */
+const findWatchlist = (watchlists, id, client) => {
+    const watchlist = watchlists.find(item => item.id === id);
+    if (!watchlist || !canAccess(watchlist, client)) {
+        throw new NotFoundError(`Watchlist not found: ${id}`);
+    }
+    return watchlist;
+};
+
+/**
+ * Applies a change to a stored watchlist and saves it
+ * @param {string} id - ID of the watchlist
+ * @param {Object} client - Metadata of the client's API key
+ * @param {Function} change - Called with the stored watchlist; may modify it
+ * @returns {Object} The saved watchlist, including its secret
+ */
+const modifyWatchlist = (id, client, change) => {
+    const watchlists = readWatchlists();
+    const watchlist = findWatchlist(watchlists, id, client);
+    change(watchlist);
+    watchlist.updatedAt = new Date().toISOString();
+    writeWatchlists(watchlists);
+    return watchlist;
+};
+
+/**
+ * Creates a watchlist
+ * A webhook secret is generated when a webhook URL is given; it is only returned here
+ * @param {Object} client - Metadata of the client's API key, recorded as the owner
+ * @param {Object} options - Watchlist details
+ * @param {string} options.name - Name of the watchlist
+ * @param {string[]} [options.titles] - IMDb IDs to watch
+ * @param {string[]} [options.countries] - Countries to watch (default us)
+ * @param {string[]} [options.services] - Services to be notified about (default all)
+ * @param {string} [options.webhookUrl] - URL notified of availability changes
+ * @returns {Object} The created watchlist
+ * @throws {ValidationError} If any detail is invalid
+ */
+const createWatchlist = (client, { name, titles, countries, services, webhookUrl } = {}) => {
+    const now = new Date().toISOString();
+    const record = {
+        id: crypto.randomBytes(6).toString('hex'),
+        name: parseName(name),
+        owner: client.id,
+        titles: parseTitles(titles),
+        countries: parseCountries(countries),
+        services: parseServices(services),
+        webhookUrl: webhookUrl ? validateWebhookUrl(webhookUrl) : null,
+        webhookSecret: webhookUrl ? generateSecret() : null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    const watchlists = readWatchlists();
+    watchlists.push(record);
+    writeWatchlists(watchlists);
+
+    return record.webhookSecret ? { ...describeWatchlist(record), webhookSecret: record.webhookSecret } : describeWatchlist(record);
+};
+
+/**
+ * Lists the client's watchlists
+ * @param {Object} client - Metadata of the client's API key
+ * @returns {Object[]} Watchlists without secrets
+ */
+const listWatchlists = (client) => readWatchlists().filter(watchlist => canAccess(watchlist, client)).map(describeWatchlist);
+
+/**
+ * Gets one of the client's watchlists
+ * @param {string} id - ID of the watchlist
+ * @param {Object} client - Metadata of the client's API key
+ * @returns {Object} Watchlist without its secret
+ * @throws {NotFoundError} If it does not exist or belongs to another client
+ */
+const getWatchlist = (id, client) => describeWatchlist(findWatchlist(readWatchlists(), id, client));
+
+/**
+ * Updates the given fields of a watchlist
+ * Setting webhookUrl to null removes the webhook; adding one to a watchlist
+ * without a webhook generates a secret, returned only in this response
+ * @param {string} id - ID of the watchlist
+ * @param {Object} client - Metadata of the client's API key
+ * @param {Object} changes - Fields to change, as accepted by createWatchlist
+ * @returns {Object} The updated watchlist
+ * @throws {ValidationError} If a field is invalid
+ * @throws {NotFoundError} If the watchlist does not exist
+ */
+const updateWatchlist = (id, client, changes = {}) => {
+    // Validate everything before touching the stored watchlist
+    const updates = {};
+    if (changes.name !== undefined) {
+        updates.name = parseName(changes.name);
+    }
+    if (changes.titles !== undefined) {
+        updates.titles = parseTitles(changes.titles);
+    }
+    if (changes.countries !== undefined) {
+        updates.countries = parseCountries(changes.countries);
+    }
+    if (changes.services !== undefined) {
+        updates.services = parseServices(changes.services);
+    }
+    if (changes.webhookUrl !== undefined) {
+        updates.webhookUrl = changes.webhookUrl === null ? null : validateWebhookUrl(changes.webhookUrl);
+    }
+
+    let newSecret = null;
+    const watchlist = modifyWatchlist(id, client, (stored) => {
+        Object.assign(stored, updates);
+        if (!stored.webhookUrl) {
+            stored.webhookSecret = null;
+        } else if (!stored.webhookSecret) {
+            newSecret = generateSecret();
+            stored.webhookSecret = newSecret;
+        }
+    });
+    return newSecret ? { ...describeWatchlist(watchlist), webhookSecret: newSecret } : describeWatchlist(watchlist);
+};
+
+/**
+ * Deletes a watchlist
+ * The availability history of its titles is kept
+ * @param {string} id - ID of the watchlist
+ * @param {Object} client - Metadata of the client's API key
+ * @returns {Object} The deleted watchlist
+ * @throws {NotFoundError} If it does not exist
+ */
+const deleteWatchlist = (id, client) => {
+    const watchlists = readWatchlists();
+    const watchlist = findWatchlist(watchlists, id, client);
+    writeWatchlists(watchlists.filter(item => item !== watchlist));
+    return describeWatchlist(watchlist);
+};
+
+/**
+ * Adds a title to a watchlist; adding a title already watched has no effect
+ * @param {string} id - ID of the watchlist
+ * @param {Object} client - Metadata of the client's API key
+ * @param {string} imdbId - IMDb ID of the title
+ * @returns {Object} The updated watchlist
+ * @throws {ValidationError} If the ID is invalid or the watchlist is full
+ * @throws {NotFoundError} If the watchlist does not exist
+ */
+const addWatchlistTitle = (id, client, imdbId) => {
+    const titleId = validateTitleId(imdbId);
+    return describeWatchlist(modifyWatchlist(id, client, (watchlist) => {
+        watchlist.titles = parseTitles([...watchlist.titles, titleId]);
+    }));
+};
+
+/**
+ * Removes a title from a watchlist
+ * @param {string} id - ID of the watchlist
+ * @param {Object} client - Metadata of the client's API key
+ * @param {string} imdbId - IMDb ID of the title
+ * @returns {Object} The updated watchlist
+ * @throws {NotFoundError} If the watchlist does not exist or does not hold the title
+ */
+const removeWatchlistTitle = (id, client, imdbId) => {
+    return describeWatchlist(modifyWatchlist(id, client, (watchlist) => {
+        if (!watchlist.titles.includes(imdbId)) {
+            throw new NotFoundError(`Title ${imdbId} is not on watchlist ${id}`);
+        }
+        watchlist.titles = watchlist.titles.filter(titleId => titleId !== imdbId);
+    }));
+};
+
+const getHistoryPath = (imdbId) => path.join(HISTORY_DIR, `${imdbId}.json`);
+
+const readHistory = (imdbId) => {
+    try {
+        return JSON.parse(fs.readFileSync(getHistoryPath(imdbId), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+};
+
+const writeHistory = (history) => {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    fs.writeFileSync(getHistoryPath(history.imdbId), JSON.stringify(history, null, 2));
+};
+
+/**
+ * Builds a snapshot of a title's streaming options in the watched countries
+ * Options are grouped per service as in version 2 of the movie schema
+ * @param {string} imdbId - IMDb ID of the title
+ * @param {Object} streamingData - Show returned by the Streaming API
+ * @param {string[]} countries - Countries to keep
+ * @returns {Object} Services and their offers keyed by country
+ */
+const toSnapshot = (imdbId, streamingData, countries) => {
+    const { streaming } = normalizeMovie({ imdbID: imdbId, streaming: { options: streamingData.streamingOptions } });
+    return [...countries].sort().reduce((snapshot, country) => {
+        snapshot[country] = streaming.options[country] || [];
+        return snapshot;
+    }, {});
+};
+
+// Offers of a service are told apart by type, quality and add-on, e.g. rent:uhd
+const offerKey = offer => [offer.type, offer.quality, offer.addon?.id].filter(Boolean).join(':');
+
+const samePrice = (a, b) => (a?.amount ?? null) === (b?.amount ?? null) && (a?.currency ?? null) === (b?.currency ?? null);
+
+const toServiceRef = ({ id, name }) => ({ id, name });
+
+/**
+ * Compares the offers of a service in two snapshots
+ * @param {string} country - Country of the service
+ * @param {Object} previous - Service entry of the earlier snapshot
+ * @param {Object} current - Service entry of the later snapshot
+ * @returns {Object[]} Added and removed offers, price changes and new leaving dates
+ */
+const diffOffers = (country, previous, current) => {
+    const service = toServiceRef(current.service);
+    const previousOffers = new Map(previous.offers.map(offer => [offerKey(offer), offer]));
+    const currentOffers = new Map(current.offers.map(offer => [offerKey(offer), offer]));
+    const changes = [];
+
+    currentOffers.forEach((offer, key) => {
+        const before = previousOffers.get(key);
+        if (!before) {
+            changes.push({ type: 'offer_added', country, service, offer });
+            return;
+        }
+        if (!samePrice(before.price, offer.price)) {
+            changes.push({ type: 'price_changed', country, service, offer, previousPrice: before.price });
+        }
+        if (offer.expiresOn && offer.expiresOn !== before.expiresOn) {
+            changes.push({ type: 'leaving', country, service, offer, expiresOn: offer.expiresOn });
+        }
+    });
+    previousOffers.forEach((offer, key) => {
+        if (!currentOffers.has(key)) {
+            changes.push({ type: 'offer_removed', country, service, offer });
+        }
+    });
+    return changes;
+};
+
+/**
+ * Works out what changed between two snapshots of a title
+ * Countries missing from either snapshot are not compared, so watching a new
+ * country does not report every service there as added
+ * @param {Object} previous - Earlier snapshot
+ * @param {Object} current - Later snapshot
+ * @returns {Object[]} Changes, each with a type, country and service
+ */
+const diffSnapshots = (previous, current) => {
+    return Object.keys(current)
+        .filter(country => previous[country])
+        .flatMap((country) => {
+            const previousServices = new Map(previous[country].map(entry => [entry.service.id, entry]));
+            const currentServices = new Map(current[country].map(entry => [entry.service.id, entry]));
+            const changes = [];
+
+            currentServices.forEach((entry, serviceId) => {
+                const before = previousServices.get(serviceId);
+                if (before) {
+                    changes.push(...diffOffers(country, before, entry));
+                } else {
+                    changes.push({ type: 'service_added', country, service: toServiceRef(entry.service), offers: entry.offers });
+                }
+            });
+            previousServices.forEach((entry, serviceId) => {
+                if (!currentServices.has(serviceId)) {
+                    changes.push({ type: 'service_removed', country, service: toServiceRef(entry.service) });
+                }
+            });
+            return changes;
+        });
+};
+
+// Changes in the watchlist's countries, and on its services if it lists any
+const filterChanges = (watchlist, changes) => changes.filter(change =>
+    watchlist.countries.includes(change.country) &&
+    (watchlist.services.length === 0 ||
+        watchlist.services.includes(String(change.service.id).toLowerCase()) ||
+        watchlist.services.includes(String(change.service.name).toLowerCase()))
+);
+
+/**
+ * Notifies the webhooks of every watchlist holding a title of the changes it cares about
+ * @param {Object[]} watchlists - Watchlists holding the title
+ * @param {Object} details - Title and check details
+ * @returns {Promise<Object[]>} One delivery result per notified watchlist
+ */
+const notifyWatchlists = (watchlists, { imdbId, title, checkedAt, changes }) => {
+    return Promise.all(watchlists
+        .filter(watchlist => watchlist.webhookUrl)
+        .map(watchlist => ({ watchlist, relevant: filterChanges(watchlist, changes) }))
+        .filter(({ relevant }) => relevant.length > 0)
+        .map(async ({ watchlist, relevant }) => {
+            const delivery = await deliverWebhook({ url: watchlist.webhookUrl, secret: watchlist.webhookSecret }, {
+                event: CHANGE_EVENT,
+                watchlist: { id: watchlist.id, name: watchlist.name },
+                imdbId,
+                title,
+                checkedAt,
+                changes: relevant
+            });
+            return { watchlistId: watchlist.id, ...delivery };
+        }));
+};
+
+/**
+ * Re-checks a title's streaming availability, records what changed and sends notifications
+ * The first check of a title only records a baseline snapshot
+ * @param {string} imdbId - IMDb ID of the title
+ * @param {string} priority - Upstream budget priority, 'low' for scheduled checks
+ * @returns {Promise<Object>} The changes found and the webhook deliveries made
+ */
+const runTitleCheck = async (imdbId, priority) => {
+    const watchlists = readWatchlists().filter(watchlist => watchlist.titles.includes(imdbId));
+    const countries = new Set(watchlists.flatMap(watchlist => watchlist.countries));
+    if (countries.size === 0) {
+        countries.add(validateCountry());
+    }
+
+    // A cached answer could hide a change until it expires
+    const streamingData = await getStreamingData(imdbId, null, 'show', { priority, fresh: true });
+    const checkedAt = new Date().toISOString();
+    const title = streamingData.title || null;
+    const snapshot = toSnapshot(imdbId, streamingData, countries);
+
+    const history = readHistory(imdbId);
+    if (!history) {
+        writeHistory({
+            imdbId,
+            title,
+            firstCheckedAt: checkedAt,
+            lastCheckedAt: checkedAt,
+            snapshot,
+            entries: [{ checkedAt, baseline: true, changes: [], snapshot }]
+        });
+        logger.info('Recorded availability baseline', { imdbId, countries: Object.keys(snapshot) });
+        return { imdbId, title, checkedAt, baseline: true, changes: [], deliveries: [] };
+    }
+
+    const changes = diffSnapshots(history.snapshot, snapshot);
+    Object.assign(history, { title, lastCheckedAt: checkedAt, snapshot });
+    if (changes.length > 0) {
+        history.entries.push({ checkedAt, changes, snapshot });
+        history.entries = history.entries.slice(-HISTORY_LIMIT);
+    }
+    writeHistory(history);
+
+    if (changes.length === 0) {
+        return { imdbId, title, checkedAt, changes, deliveries: [] };
+    }
+
+    logger.info('Streaming availability changed', { imdbId, changes: changes.length });
+    const deliveries = await notifyWatchlists(watchlists, { imdbId, title, checkedAt, changes });
+    return { imdbId, title, checkedAt, changes, deliveries };
+};
+
+// Checks in progress by title, so overlapping checks share one run instead of racing on the history file
+const titleChecks = new Map();
+
+/**
+ * Re-checks a title, joining a check of the same title already in progress
+ * @param {string} imdbId - IMDb ID of the title
+ * @param {Object} [options] - Check options
+ * @param {string} [options.priority] - Upstream budget priority (default high)
+ * @returns {Promise<Object>} The changes found and the webhook deliveries made
+ */
+const checkTitle = (imdbId, { priority = 'high' } = {}) => {
+    if (!titleChecks.has(imdbId)) {
+        titleChecks.set(imdbId, runTitleCheck(imdbId, priority).finally(() => titleChecks.delete(imdbId)));
+    }
+    return titleChecks.get(imdbId);
+};
+
+/**
+ * Re-checks every title on a watchlist now
+ * A title that cannot be checked gets an error entry instead of failing the whole run
+ * @param {string} id - ID of the watchlist
+ * @param {Object} client - Metadata of the client's API key
+ * @returns {Promise<Object>} Result per title
+ * @throws {NotFoundError} If the watchlist does not exist
+ */
+const checkWatchlist = async (id, client) => {
+    const watchlist = findWatchlist(readWatchlists(), id, client);
+    const results = [];
+    for (const imdbId of watchlist.titles) {
+        try {
+            results.push(await checkTitle(imdbId));
+        } catch (error) {
+            const { status, code, message } = describeError(error);
+            results.push({ imdbId, error: { status, code, message } });
+        }
+    }
+    return { watchlistId: watchlist.id, results };
+};
+
+/**
+ * Gets the recorded availability history of a title
+ * @param {string} imdbId - IMDb ID of the title
+ * @returns {Object} Current snapshot and change entries, newest first
+ * @throws {NotFoundError} If the title has never been checked
+ */
+const getAvailabilityHistory = (imdbId) => {
+    const history = readHistory(validateTitleId(imdbId));
+    if (!history) {
+        throw new NotFoundError(`No availability history for ${imdbId}; add it to a watchlist to start tracking it`);
+    }
+    const { snapshot, entries, ...details } = history;
+    return {
+        ...details,
+        countries: Object.keys(snapshot),
+        current: snapshot,
+        entries: [...entries].reverse()
+    };
+};
+
+let checkTimer = null;
+let startupTimer = null;
+let scheduledRun = null;
+
+/**
+ * Checks every watched title in turn
+ * @param {Object} [options] - Run options
+ * @param {boolean} [options.dueOnly] - Skip titles checked less than one interval ago
+ * @returns {Promise<void>}
+ */
+const runScheduledChecks = async ({ dueOnly = false } = {}) => {
+    const now = Date.now();
+    const titles = [...new Set(readWatchlists().flatMap(watchlist => watchlist.titles))].filter((imdbId) => {
+        const lastCheckedAt = dueOnly ? readHistory(imdbId)?.lastCheckedAt : null;
+        return !lastCheckedAt || now - Date.parse(lastCheckedAt) >= CHECK_INTERVAL;
+    });
+
+    let changed = 0;
+    let failed = 0;
+    for (const imdbId of titles) {
+        try {
+            const { changes } = await checkTitle(imdbId, { priority: 'low' });
+            changed += changes.length > 0 ? 1 : 0;
+        } catch (error) {
+            failed++;
+            logger.warn('Watchlist check failed', { imdbId, error });
+        }
+    }
+    logger.info('Watchlist checks finished', { titles: titles.length, changed, failed });
+};
+
+// Starts a scheduled run unless the previous one is still going
+const startScheduledRun = (options) => {
+    if (scheduledRun) {
+        logger.warn('Previous watchlist checks still running, skipping this run');
+        return;
+    }
+    scheduledRun = runScheduledChecks(options)
+        .catch(error => logger.error('Watchlist checks failed', { error }))
+        .finally(() => {
+            scheduledRun = null;
+        });
+};
+
+/**
+ * Starts re-checking watched titles every WATCHLIST_CHECK_INTERVAL
+ * Titles that are already due are checked shortly after startup, so restarts do not delay checks
+ */
+const startWatchlistScheduler = () => {
+    if (CHECK_INTERVAL === 0 || checkTimer) {
+        return;
+    }
+    startupTimer = setTimeout(() => startScheduledRun({ dueOnly: true }), STARTUP_CHECK_DELAY);
+    checkTimer = setInterval(() => startScheduledRun(), CHECK_INTERVAL);
+    startupTimer.unref();
+    checkTimer.unref();
+};
+
+// Stops scheduling checks; a run already in progress finishes on its own
+const stopWatchlistScheduler = () => {
+    clearTimeout(startupTimer);
+    clearInterval(checkTimer);
+    startupTimer = null;
+    checkTimer = null;
+};
+
+module.exports = {
+    createWatchlist,
+    listWatchlists,
+    getWatchlist,
+    updateWatchlist,
+    deleteWatchlist,
+    addWatchlistTitle,
+    removeWatchlistTitle,
+    checkTitle,
+    checkWatchlist,
+    diffSnapshots,
+    getAvailabilityHistory,
+    startWatchlistScheduler,
+    stopWatchlistScheduler
+};
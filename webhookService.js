@@ -0,0 +1,218 @@
+/**
+ * Webhook Service Module
+ * Signs and delivers webhook notifications
+ * Each delivery is a JSON POST signed with HMAC-SHA256 over "<timestamp>.<body>",
+ * so receivers can check that it came from this server and is recent
+ * Webhooks may not reach loopback, private or link-local addresses, so clients cannot
+ * use them to probe the server's own network
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { config } = require('./config');
+const { ValidationError } = require('./movieService');
+const { withRetries } = require('./upstreamService');
+const { logger } = require('./logService');
+const { webhookDeliveriesTotal } = require('./metricsService');
+const { version } = require('./package.json');
+
+// Webhook Configuration
+const WEBHOOK_TIMEOUT = config.webhookTimeout;
+const WEBHOOK_RETRIES = config.webhookRetries; // Retries after the first attempt
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+// Hosts exempt from the private address check
+const ALLOWED_PRIVATE_HOSTS = config.webhookAllowedPrivateHosts.map(host => host.toLowerCase());
+
+// Loopback, private, carrier-grade NAT, link-local (including cloud metadata at
+// 169.254.169.254), multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges by the BlockList itself
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+const BLOCKED_ADDRESS_CODE = 'WEBHOOK_ADDRESS_BLOCKED';
+
+/**
+ * Checks whether an IP address is one webhooks may not reach
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local and reserved addresses; false for hostnames
+ */
+const isBlockedAddress = (address) => {
+    const family = net.isIP(address);
+    return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// URL hostnames keep IPv6 brackets and may end with the root dot
+const toHost = hostname => hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+
+/**
+ * DNS lookup for webhook requests that refuses hostnames resolving to a blocked address
+ * Used as the request's lookup, so the checked address is the one connected to
+ * @param {string} hostname - Hostname to resolve
+ * @param {Object} options - Lookup options from the socket
+ * @param {Function} callback - Called with the address, or with every address if options.all is set
+ */
+const lookupPublicAddress = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            callback(error);
+            return;
+        }
+        const blocked = ALLOWED_PRIVATE_HOSTS.includes(toHost(hostname))
+            ? null
+            : addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) {
+            const blockedError = new Error(`${hostname} resolves to ${blocked.address}, a loopback, private or link-local address`);
+            blockedError.code = BLOCKED_ADDRESS_CODE;
+            callback(blockedError);
+            return;
+        }
+        if (options.all) {
+            callback(null, addresses);
+        } else {
+            callback(null, addresses[0].address, addresses[0].family);
+        }
+    });
+};
+
+/**
+ * Validates a webhook URL
+ * Hostnames are checked again when they are resolved for each delivery
+ * @param {string} value - URL supplied by a client
+ * @returns {string} The normalized URL
+ * @throws {ValidationError} If it is not an http or https URL, or points to a
+ *   loopback, private or link-local address
+ */
+const validateWebhookUrl = (value) => {
+    let parsed;
+    try {
+        parsed = new URL(value);
+    } catch (error) {
+        throw new ValidationError('webhookUrl must be a URL');
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new ValidationError('webhookUrl must be an http or https URL');
+    }
+    const host = toHost(parsed.hostname);
+    const isLocalhost = host === 'localhost' || host.endsWith('.localhost');
+    if (!ALLOWED_PRIVATE_HOSTS.includes(host) && (isLocalhost || isBlockedAddress(host))) {
+        throw new ValidationError('webhookUrl must not point to a loopback, private or link-local address');
+    }
+    return parsed.toString();
+};
+
+// Secrets are shown to the client once, when the watchlist is created
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Computes the signature header value for a delivery
+ * @param {string} secret - Shared webhook secret
+ * @param {number} timestamp - Unix time of the delivery in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Header value in the form t=<timestamp>,v1=<hex digest>
+ */
+const signPayload = (secret, timestamp, body) => {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Sends one delivery attempt
+ * Any 2xx answer counts as delivered
+ * @param {URL} target - Webhook URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - Raw JSON body
+ * @returns {Promise<number>} Response status code
+ * @throws {Error} On a non-2xx answer, a network error or a timeout
+ */
+const postOnce = (target, headers, body) => {
+    return new Promise((resolve, reject) => {
+        const transport = target.protocol === 'http:' ? http : https;
+        const req = transport.request(target, { method: 'POST', headers, lookup: lookupPublicAddress }, (res) => {
+            // The response body is not used
+            res.resume();
+            res.on('end', () => {
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve(res.statusCode);
+                } else {
+                    reject(new Error(`Webhook answered with status ${res.statusCode}`));
+                }
+            });
+        });
+
+        req.on('error', (error) => {
+            const requestError = new Error(`Webhook request failed: ${error.message}`);
+            requestError.code = error.code;
+            reject(requestError);
+        });
+
+        req.setTimeout(WEBHOOK_TIMEOUT, () => {
+            req.destroy();
+            reject(new Error(`Webhook timed out after ${WEBHOOK_TIMEOUT}ms`));
+        });
+
+        req.end(body);
+    });
+};
+
+/**
+ * Delivers a webhook event, retrying failed attempts with backoff
+ * Failures are logged and reported rather than thrown, so one unreachable
+ * receiver cannot stop the notifications to others
+ * @param {Object} webhook - Where to deliver
+ * @param {string} webhook.url - Webhook URL
+ * @param {string} webhook.secret - Shared secret used for the signature
+ * @param {Object} event - Event payload; an id and timestamp are added
+ * @returns {Promise<Object>} Delivery ID, whether it was delivered, and the status or error
+ */
+const deliverWebhook = async ({ url, secret }, event) => {
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({ id, createdAt: new Date().toISOString(), ...event });
+
+    try {
+        // URLs saved before the address rules changed are checked again
+        validateWebhookUrl(url);
+
+        const status = await withRetries(() => {
+            // Each attempt is signed afresh so its timestamp is current
+            const timestamp = Math.floor(Date.now() / 1000);
+            return postOnce(new URL(url), {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': `movie-streaming-api/${version}`,
+                'X-Webhook-Id': id,
+                'X-Webhook-Event': event.event,
+                [SIGNATURE_HEADER]: signPayload(secret, timestamp, body)
+            }, body);
+        }, {
+            retries: WEBHOOK_RETRIES,
+            // A blocked address stays blocked
+            shouldRetry: error => error.code !== BLOCKED_ADDRESS_CODE
+        });
+
+        webhookDeliveriesTotal.inc({ result: 'delivered' });
+        logger.info('Webhook delivered', { id, event: event.event, url, status });
+        return { id, delivered: true, status };
+    } catch (error) {
+        webhookDeliveriesTotal.inc({ result: 'failed' });
+        logger.warn('Webhook delivery failed', { id, event: event.event, url, error });
+        return { id, delivered: false, error: error.message };
+    }
+};
+
+module.exports = {
+    SIGNATURE_HEADER,
+    isBlockedAddress,
+    validateWebhookUrl,
+    generateSecret,
+    signPayload,
+    deliverWebhook
+};
@@ -0,0 +1,251 @@
+/**
+ * Where To Watch Service Module
+ * Picks the best ways to watch a title in a country for a user's subscriptions
+ * and preferences, so clients do not each re-implement the choice
+ * Offers are ranked by what they cost the user: included in a subscription they
+ * have or free first, then new subscriptions, rentals and purchases
+ */
+
+const {
+    getStreamingData,
+    validateCountry,
+    ValidationError,
+    APIError,
+    isHttpError
+} = require('./movieService');
+const { getCountryStreamingOptions } = require('./movieSchema');
+
+// Video qualities from lowest to highest
+const QUALITIES = ['sd', 'hd', 'qhd', 'uhd'];
+const OFFER_TYPES = ['subscription', 'free', 'addon', 'rent', 'buy'];
+
+/**
+ * Validates where-to-watch preferences
+ * @param {Object} [preferences] - Raw preferences
+ * @param {string} [preferences.country] - Country code (default us)
+ * @param {string|string[]} [preferences.services] - Subscribed service or add-on IDs or names, comma-separated or a list
+ * @param {number} [preferences.maxPrice] - Highest price to pay for a rental or purchase
+ * @param {string} [preferences.minQuality] - Lowest acceptable quality: sd, hd, qhd or uhd
+ * @param {boolean} [preferences.preferSubscription] - Rank new subscriptions before rentals and purchases (default true)
+ * @returns {Object} Validated preferences
+ * @throws {ValidationError} If any preference is invalid
+ */
+const parsePreferences = ({ country, services = [], maxPrice, minQuality, preferSubscription = true } = {}) => {
+    const serviceList = Array.isArray(services) ? services : String(services).split(',');
+
+    if (maxPrice !== undefined && maxPrice !== null && (!Number.isFinite(Number(maxPrice)) || Number(maxPrice) < 0)) {
+        throw new ValidationError('maxPrice must be a number of at least 0');
+    }
+    if (minQuality && !QUALITIES.includes(String(minQuality).toLowerCase())) {
+        throw new ValidationError(`minQuality must be one of: ${QUALITIES.join(', ')}`);
+    }
+
+    return {
+        country: validateCountry(country),
+        services: [...new Set(serviceList.map(service => String(service).trim().toLowerCase()).filter(Boolean))],
+        maxPrice: maxPrice === undefined || maxPrice === null ? null : Number(maxPrice),
+        minQuality: minQuality ? String(minQuality).toLowerCase() : null,
+        preferSubscription: preferSubscription !== false
+    };
+};
+
+// Matches a service or add-on against the subscriptions by ID or name
+const isSubscribed = (services, item) => Boolean(item) && (
+    services.includes(String(item.id).toLowerCase()) || services.includes(String(item.name).toLowerCase())
+);
+
+const describePrice = price => `${price.amount} ${price.currency}`;
+
+const describeQuality = quality => (quality ? ` in ${quality.toUpperCase()}` : '');
+
+const describeAddons = addons => addons.map(addon => addon.name).join(' or ');
+
+/**
+ * Merges offers that are identical apart from the add-on channel they come through,
+ * e.g. the same film on two Prime Video channels
+ * @param {Object[]} services - One country's services and offers, as in the normalized movie schema
+ * @returns {Object[]} Offers with their service and the add-ons offering them
+ */
+const mergeOffers = (services) => {
+    const merged = new Map();
+    services.forEach(({ service, offers }) => {
+        offers.forEach((offer) => {
+            const key = [service.id, offer.type, offer.quality, offer.price?.amount, offer.price?.currency].join('|');
+            const existing = merged.get(key);
+            if (!existing) {
+                merged.set(key, {
+                    service,
+                    type: offer.type,
+                    quality: offer.quality,
+                    price: offer.price,
+                    link: offer.link,
+                    addons: offer.addon ? [offer.addon] : [],
+                    expiresOn: offer.expiresOn
+                });
+                return;
+            }
+            if (offer.addon && !existing.addons.some(addon => addon.id === offer.addon.id)) {
+                existing.addons.push(offer.addon);
+            }
+            // The offer is available until the last channel drops it
+            if (!offer.expiresOn || (existing.expiresOn && offer.expiresOn > existing.expiresOn)) {
+                existing.expiresOn = offer.expiresOn;
+            }
+        });
+    });
+    return [...merged.values()];
+};
+
+/**
+ * Works out how an offer fits the user's subscriptions
+ * Tiers order the offers: 0 costs nothing extra, higher tiers cost more commitment or money
+ * @param {Object} offer - Merged offer
+ * @param {Object} preferences - Validated preferences
+ * @returns {Object} Tier, whether it is covered by a subscription, and the reason shown to the user
+ */
+const classifyOffer = (offer, { services, preferSubscription }) => {
+    const serviceName = offer.service.name;
+    const paidTiers = preferSubscription
+        ? { subscription: 1, addon: 2, rent: 3, buy: 4 }
+        : { rent: 1, buy: 2, subscription: 3, addon: 4 };
+
+    switch (offer.type) {
+        case 'free':
+            return { tier: 0, included: true, reason: `Free on ${serviceName}${describeQuality(offer.quality)}` };
+        case 'subscription':
+            if (isSubscribed(services, offer.service)) {
+                return { tier: 0, included: true, reason: `Included in your ${serviceName} subscription${describeQuality(offer.quality)}` };
+            }
+            return { tier: paidTiers.subscription, included: false, reason: `Needs a ${serviceName} subscription` };
+        case 'addon': {
+            const addons = offer.addons.filter(addon => isSubscribed(services, addon));
+            if (addons.length > 0 && isSubscribed(services, offer.service)) {
+                return {
+                    tier: 0,
+                    included: true,
+                    reason: `Included in your ${describeAddons(addons)} add-on on ${serviceName}${describeQuality(offer.quality)}`
+                };
+            }
+            if (addons.length > 0) {
+                return { tier: paidTiers.subscription, included: false, reason: `Needs a ${serviceName} subscription for your ${describeAddons(addons)} add-on` };
+            }
+            const reason = offer.addons.length > 0
+                ? `Needs the ${describeAddons(offer.addons)} add-on on ${serviceName}`
+                : `Needs an add-on on ${serviceName}`;
+            return { tier: paidTiers.addon, included: false, reason };
+        }
+        case 'rent':
+        case 'buy': {
+            const verb = offer.type === 'rent' ? 'Rent' : 'Buy';
+            const price = offer.price ? ` for ${describePrice(offer.price)}` : '';
+            return { tier: paidTiers[offer.type], included: false, reason: `${verb} on ${serviceName}${describeQuality(offer.quality)}${price}` };
+        }
+        default:
+            return { tier: 5, included: false, reason: `Available on ${serviceName}` };
+    }
+};
+
+/**
+ * Explains why an offer does not meet the user's preferences
+ * @param {Object} offer - Merged offer
+ * @param {Object} preferences - Validated preferences
+ * @returns {string|null} Reason it was left out, or null if it qualifies
+ */
+const getExclusionReason = (offer, { maxPrice, minQuality }) => {
+    if (minQuality && offer.quality && QUALITIES.indexOf(offer.quality) < QUALITIES.indexOf(minQuality)) {
+        return `Quality ${offer.quality.toUpperCase()} is below your minimum of ${minQuality.toUpperCase()}`;
+    }
+    if (maxPrice !== null && offer.price && offer.price.amount > maxPrice) {
+        return `${describePrice(offer.price)} is above your maximum price of ${maxPrice}`;
+    }
+    return null;
+};
+
+// Orders offers by tier, then cheapest, then best quality, then service name
+const compareOffers = (a, b) => (
+    a.tier - b.tier ||
+    (a.price?.amount ?? 0) - (b.price?.amount ?? 0) ||
+    QUALITIES.indexOf(b.quality) - QUALITIES.indexOf(a.quality) ||
+    a.service.name.localeCompare(b.service.name)
+);
+
+/**
+ * Ranks the offers of one country for a user
+ * @param {Object[]} services - The country's services and offers, as in the normalized movie schema
+ * @param {Object} preferences - Validated preferences
+ * @returns {Object} Ranked offers, the same offers grouped by type, and the offers left out
+ */
+const rankOffers = (services, preferences) => {
+    const ranked = [];
+    const excluded = [];
+
+    mergeOffers(services).forEach((offer) => {
+        const exclusion = getExclusionReason(offer, preferences);
+        if (exclusion) {
+            excluded.push({ ...offer, reason: exclusion });
+        } else {
+            ranked.push({ ...offer, ...classifyOffer(offer, preferences) });
+        }
+    });
+
+    const options = ranked
+        .sort(compareOffers)
+        .map(({ tier, ...offer }, index) => ({ rank: index + 1, ...offer }));
+
+    const groups = OFFER_TYPES.reduce((result, type) => {
+        const typeOptions = options.filter(option => option.type === type);
+        if (typeOptions.length > 0) {
+            result[type] = typeOptions;
+        }
+        return result;
+    }, {});
+
+    return { options, groups, excluded };
+};
+
+/**
+ * Resolves where a user should watch a title
+ * @param {string} imdbId - IMDB ID of the title
+ * @param {Object} [preferences] - Raw preferences, see parsePreferences
+ * @returns {Promise<Object>} The best option, every qualifying option ranked with a reason,
+ *   the options grouped by type, and the options left out by the preferences
+ * @throws {ValidationError} If the ID or a preference is invalid
+ * @throws {NotFoundError} If the title does not exist
+ * @throws {APIError} If API requests fail
+ */
+const getWhereToWatch = async (imdbId, preferences = {}) => {
+    if (!imdbId || !imdbId.startsWith('tt')) {
+        throw new ValidationError('Invalid IMDb ID format. Must start with "tt"');
+    }
+    const parsed = parsePreferences(preferences);
+
+    let streamingData;
+    try {
+        streamingData = await getStreamingData(imdbId, parsed.country);
+    } catch (error) {
+        if (isHttpError(error)) {
+            throw error;
+        }
+        throw new APIError('The remote detail server returned an invalid response');
+    }
+
+    const { options, groups, excluded } = rankOffers(getCountryStreamingOptions(imdbId, streamingData, parsed.country), parsed);
+
+    return {
+        imdbId,
+        title: streamingData.title || null,
+        country: parsed.country,
+        preferences: parsed,
+        best: options[0] || null,
+        options,
+        groups,
+        excluded
+    };
+};
+
+module.exports = {
+    QUALITIES,
+    parsePreferences,
+    rankOffers,
+    getWhereToWatch
+};